@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Manage the API keys of the server (see lib/apikeys.js). Works on the key
+// file directly; a running server picks up the changes by itself.
+//
+// Usage: node bin/apikeys.js <create|list|revoke> [options], see --help
+
+require('dotenv').config({ quiet: true });
+
+const apiKeys = require('../lib/apikeys');
+
+const USAGE = `Usage: apikeys <command> [options]
+
+Commands:
+  create --name <name> [limits]  create a key and print it (shown only once)
+  list                           list keys with their limits
+  revoke <id>                    revoke a key; requests with it get 401
+
+Limits of create (0 = unlimited):
+      --requests <n>         requests per window (default ${apiKeys.DEFAULT_LIMITS.requests})
+      --window <min>         length of the request window in minutes
+                             (default ${apiKeys.DEFAULT_LIMITS.windowMinutes})
+      --mb-per-day <n>       input megabytes converted per day
+                             (default ${apiKeys.DEFAULT_LIMITS.bytesPerDay / 1024 / 1024})
+      --concurrent <n>       jobs queued or running at once
+                             (default ${apiKeys.DEFAULT_LIMITS.concurrentJobs})
+
+The key file is API_KEYS_FILE (default api-keys.json).
+  -h, --help                 show this help`;
+
+// Flags of create and the limit each one sets
+const LIMIT_FLAGS = {
+    '--requests': { name: 'requests', scale: 1 },
+    '--window': { name: 'windowMinutes', scale: 1, min: 1 },
+    '--mb-per-day': { name: 'bytesPerDay', scale: 1024 * 1024 },
+    '--concurrent': { name: 'concurrentJobs', scale: 1 }
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { command: null, positional: [], name: null, limits: {}, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        // Accept both "--flag value" and "--flag=value"
+        const [flag, value] = argv[i].startsWith('--') && argv[i].includes('=')
+            ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+            : [argv[i], undefined];
+        const takeValue = () => {
+            if (value !== undefined) return value;
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+            return argv[++i];
+        };
+
+        if (flag === '-h' || flag === '--help') args.help = true;
+        else if (flag === '--name') args.name = takeValue();
+        else if (LIMIT_FLAGS[flag]) {
+            const { name, scale, min = 0 } = LIMIT_FLAGS[flag];
+            const number = Number(takeValue());
+            if (!Number.isInteger(number) || number < min) {
+                throw new UsageError(`${flag} must be an integer of at least ${min}`);
+            }
+            args.limits[name] = number * scale;
+        } else if (flag.startsWith('-')) throw new UsageError(`Unknown option: ${flag}`);
+        else if (args.command === null) args.command = flag;
+        else args.positional.push(flag);
+    }
+    return args;
+}
+
+function formatLimit(value, unit = '') {
+    return value ? `${value}${unit}` : 'unlimited';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args.command === null) {
+        console.log(USAGE);
+        return 0;
+    }
+    apiKeys.configure({ file: process.env.API_KEYS_FILE || 'api-keys.json' });
+
+    if (args.command === 'create') {
+        if (!args.name) throw new UsageError('create needs --name <name>');
+        const { key, token } = apiKeys.createKey(args.name, args.limits);
+        console.log(`Created key ${key.id} (${key.name}):`);
+        console.log(token);
+        console.log('Store it now, it cannot be shown again. Send it as "X-API-Key: <key>" or "Authorization: Bearer <key>".');
+        return 0;
+    }
+    if (args.command === 'list') {
+        const keys = apiKeys.listKeys();
+        if (keys.length === 0) console.log('No API keys.');
+        keys.forEach((key) => {
+            const { requests, windowMinutes, bytesPerDay, concurrentJobs } = key.limits;
+            const state = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+            console.log(`${key.id}  ${key.name}  ${state}  created ${key.createdAt}`);
+            console.log(`    requests ${formatLimit(requests)} per ${windowMinutes} min, ` +
+                `${formatLimit(bytesPerDay && bytesPerDay / 1024 / 1024, 'MB')} per day, ` +
+                `${formatLimit(concurrentJobs)} concurrent jobs`);
+        });
+        return 0;
+    }
+    if (args.command === 'revoke') {
+        if (args.positional.length !== 1) throw new UsageError('revoke needs the id of the key');
+        const key = apiKeys.revokeKey(args.positional[0]);
+        if (!key) {
+            console.error(`apikeys: no key with id ${args.positional[0]}`);
+            return 1;
+        }
+        console.log(`Revoked key ${key.id} (${key.name})`);
+        return 0;
+    }
+    throw new UsageError(`Unknown command: ${args.command}`);
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    if (error instanceof UsageError) {
+        console.error(`apikeys: ${error.message}`);
+        console.error('Try apikeys --help for more information.');
+        process.exitCode = 2;
+    } else {
+        console.error(error);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Command line front end of lib/convert.js: converts animated WebP, GIF and
+// PNG/APNG files without running the web server.
+//
+// Usage: webp2mp4 <input...> [-o <file|dir>] [options], see --help
+
+const fs = require('fs');
+const path = require('path');
+const { convertWebP } = require('../lib/convert');
+const { parseConversionOptions } = require('../lib/options');
+const { OUTPUT_FORMATS, getOutputType } = require('../lib/formats');
+const { overallProgress } = require('../lib/jobs');
+const { hasMagic, expandGlob } = require('../lib/glob');
+
+const USAGE = `Usage: webp2mp4 <input...> [-o <file|dir>] [options]
+
+Inputs are files or glob patterns (*, ?, **), e.g. "stickers/**/*.webp".
+Quote patterns so that the shell passes them on unchanged.
+
+Options:
+  -o, --output <path>      output file (single input) or directory
+                           (default: next to each input)
+  -f, --format <format>    mp4 (default), webm, gif, apng, mov, frames (ZIP of
+                           PNGs with a timing manifest) or spritesheet (ZIP
+                           of sheets with an atlas); taken from the extension
+                           of a single output file if not given (.zip is
+                           frames)
+      --timing <mode>      vfr (default, exact frame delays) or cfr
+      --fps <n>            constant output frame rate (implies --timing cfr)
+      --quality <preset>   web-small, high-quality or lossless
+      --codec <codec>      h264 (default) or h265 (mp4 only)
+      --crf <n>            constant rate factor
+      --preset <name>      encoder speed preset (mp4 only)
+      --profile <name>     H.264/H.265 profile (mp4 only)
+      --level <level>      H.264/H.265 level (mp4 only)
+      --max-width <px>     largest output width (keeps the aspect ratio)
+      --max-height <px>    largest output height (keeps the aspect ratio)
+      --target-size <KB>   target file size (mp4 and webm)
+      --canvas <name>      fixed output size: vertical (9:16, 1080x1920),
+                           square (1:1, 1080x1080), landscape (16:9,
+                           1920x1080) or custom
+      --canvas-width <px>  width of the custom canvas
+      --canvas-height <px> height of the custom canvas
+      --fit <mode>         pad (default, letterbox), crop (centre) or fill
+                           (stretch)
+      --pad-color <color>  #rrggbb or transparent (default black)
+      --margin <px>        free space on every side of the canvas
+      --start-frame <n>    first frame to convert (0-based)
+      --end-frame <n>      last frame to convert (inclusive)
+      --start-time <ms>    start of the converted part (instead of frames)
+      --end-time <ms>      end of the converted part
+      --frame-step <n>     only keep every n-th frame (same duration)
+      --speed <factor>     playback speed, 0.25 to 4
+      --reverse            play backwards
+      --loop <n|source>    play the animation n times, or as often as the
+                           input's own loop count says
+      --min-duration <s>   repeat the animation until it lasts this long
+      --ping-pong          play forward and then backward
+      --background <type>  what transparency is flattened onto: none (keep it;
+                           not for mp4), color (default for mp4),
+                           checkerboard, blur or image
+      --background-color <#rrggbb>
+                           colour of color, checkerboard and blur (white)
+      --checker-size <px>  square size of the checkerboard (16)
+      --blur-radius <px>   blur radius of the blur background (20)
+      --background-image <file>
+                           WebP, GIF or PNG image for the image background
+                           (implies --background image)
+      --atlas <format>     spritesheet atlas: texturepacker (default, JSON
+                           hash) or css (keyframe animation, grid only)
+      --packing <mode>     spritesheet layout: grid (default) or packed
+                           (trims transparent borders)
+      --columns <n>        frames per row of the grid (default: about as
+                           many rows as columns)
+      --padding <px>       space around every frame on the sheet (0)
+      --max-sheet-size <px>
+                           largest sheet side (4096); more frames continue
+                           on further sheets
+  -j, --parallel <n>       number of files converted at once (default 1)
+  -y, --overwrite          replace existing output files
+  -q, --quiet              only report errors
+  -h, --help               show this help`;
+
+// Command line flags that map onto the form fields of lib/options.js
+const OPTION_FIELDS = {
+    '--format': 'format',
+    '-f': 'format',
+    '--timing': 'timing',
+    '--fps': 'fps',
+    '--quality': 'quality',
+    '--codec': 'codec',
+    '--crf': 'crf',
+    '--preset': 'preset',
+    '--profile': 'profile',
+    '--level': 'level',
+    '--max-width': 'maxWidth',
+    '--max-height': 'maxHeight',
+    '--target-size': 'targetSizeKB',
+    '--canvas': 'canvas',
+    '--canvas-width': 'canvasWidth',
+    '--canvas-height': 'canvasHeight',
+    '--fit': 'fit',
+    '--pad-color': 'padColor',
+    '--margin': 'margin',
+    '--start-frame': 'startFrame',
+    '--end-frame': 'endFrame',
+    '--start-time': 'startTime',
+    '--end-time': 'endTime',
+    '--frame-step': 'frameStep',
+    '--speed': 'speed',
+    '--loop': 'loop',
+    '--min-duration': 'minDuration',
+    '--background': 'background',
+    '--background-color': 'backgroundColor',
+    '--checker-size': 'checkerSize',
+    '--blur-radius': 'blurRadius',
+    '--atlas': 'atlas',
+    '--packing': 'packing',
+    '--columns': 'columns',
+    '--padding': 'padding',
+    '--max-sheet-size': 'maxSheetSize'
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { inputs: [], output: null, parallel: 1, overwrite: false, quiet: false, help: false, backgroundImage: null, fields: {} };
+    for (let i = 0; i < argv.length; i++) {
+        // Accept both "--flag value" and "--flag=value"
+        const [flag, value] = argv[i].startsWith('--') && argv[i].includes('=')
+            ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+            : [argv[i], undefined];
+        const takeValue = () => {
+            if (value !== undefined) return value;
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+            return argv[++i];
+        };
+
+        if (flag === '-h' || flag === '--help') args.help = true;
+        else if (flag === '-y' || flag === '--overwrite') args.overwrite = true;
+        else if (flag === '-q' || flag === '--quiet') args.quiet = true;
+        else if (flag === '--ping-pong') args.fields.pingPong = 'true';
+        else if (flag === '--reverse') args.fields.reverse = 'true';
+        else if (flag === '-o' || flag === '--output') args.output = takeValue();
+        else if (flag === '-j' || flag === '--parallel') args.parallel = Number(takeValue());
+        else if (flag === '--background-image') args.backgroundImage = takeValue();
+        else if (OPTION_FIELDS[flag]) args.fields[OPTION_FIELDS[flag]] = takeValue();
+        else if (flag.startsWith('-')) throw new UsageError(`Unknown option: ${flag}`);
+        else args.inputs.push(flag);
+    }
+
+    if (!Number.isInteger(args.parallel) || args.parallel < 1) {
+        throw new UsageError('--parallel must be a positive integer');
+    }
+    if (args.fields.fps !== undefined && args.fields.timing === undefined) {
+        args.fields.timing = 'cfr';
+    }
+    if (args.backgroundImage !== null && args.fields.background === undefined) {
+        args.fields.background = 'image';
+    }
+    return args;
+}
+
+// Expand glob patterns; plain paths must exist
+function resolveInputs(patterns) {
+    const inputs = [];
+    patterns.forEach((pattern) => {
+        if (hasMagic(pattern)) {
+            const matches = expandGlob(pattern);
+            if (matches.length === 0) throw new UsageError(`No files match ${pattern}`);
+            inputs.push(...matches);
+        } else if (fs.existsSync(pattern) && fs.statSync(pattern).isFile()) {
+            inputs.push(pattern);
+        } else {
+            throw new UsageError(`Input file not found: ${pattern}`);
+        }
+    });
+    return [...new Set(inputs.map((input) => path.normalize(input)))];
+}
+
+// The output is a single file for a single input, unless it already is a
+// directory or ends with a slash
+function isSingleFileOutput(inputs, output) {
+    return output !== null && inputs.length === 1 && !/[\\/]$/.test(output) && !isDirectory(output);
+}
+
+// Output format whose extension the file name has (undefined if none)
+function formatFromExtension(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return Object.keys(OUTPUT_FORMATS).find((format) => OUTPUT_FORMATS[format].extension === extension);
+}
+
+// Pair every input with its output path: the output file itself, a file in
+// the output directory or, without --output, a file next to the input
+function planConversions(inputs, output, extension, overwrite) {
+    const singleFile = isSingleFileOutput(inputs, output);
+    if (singleFile && path.extname(output).toLowerCase() !== extension) {
+        throw new UsageError(`${output} does not have the ${extension} extension of the chosen format`);
+    }
+    const seen = new Map();
+    return inputs.map((input) => {
+        const outputPath = singleFile
+            ? output
+            : path.join(output !== null ? output : path.dirname(input), path.basename(input, path.extname(input)) + extension);
+
+        const key = path.resolve(outputPath);
+        if (key === path.resolve(input)) {
+            throw new UsageError(`${input} would be overwritten by its own output; choose another --output`);
+        }
+        if (seen.has(key)) {
+            throw new UsageError(`${seen.get(key)} and ${input} would both be written to ${outputPath}`);
+        }
+        if (!overwrite && fs.existsSync(outputPath)) {
+            throw new UsageError(`${outputPath} already exists (use --overwrite to replace it)`);
+        }
+        seen.set(key, input);
+        return { input, outputPath };
+    });
+}
+
+function isDirectory(filePath) {
+    try {
+        return fs.statSync(filePath).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+// Run the conversions with at most `parallel` of them at a time.
+// Resolves to the number of failed conversions.
+function runAll(plan, options, args) {
+    const showProgress = !args.quiet && plan.length === 1 && process.stderr.isTTY;
+    let next = 0;
+    let failed = 0;
+
+    const convertNext = async () => {
+        while (next < plan.length) {
+            const index = next++;
+            const { input, outputPath } = plan[index];
+            const label = `[${index + 1}/${plan.length}] ${input}`;
+            const start = Date.now();
+            try {
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                const conversion = convertWebP(input, outputPath, options);
+                if (showProgress) {
+                    conversion.on('progress', ({ phase, value, message }) => {
+                        process.stderr.write(`\r${label}: ${message} (${overallProgress(phase, value)}%)\x1b[K`);
+                    });
+                }
+                const result = await conversion;
+                if (showProgress) process.stderr.write('\r\x1b[K');
+                if (!args.quiet) {
+                    const seconds = ((Date.now() - start) / 1000).toFixed(1);
+                    console.log(`${label} -> ${outputPath} (${result.frameCount} frames, ${seconds}s)`);
+                }
+            } catch (error) {
+                if (showProgress) process.stderr.write('\r\x1b[K');
+                // Do not leave a truncated file behind
+                fs.rmSync(outputPath, { force: true });
+                failed++;
+                console.error(`${label}: ${error.message.trim()}`);
+            }
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(args.parallel, plan.length); i++) {
+        runners.push(convertNext());
+    }
+    return Promise.all(runners).then(() => failed);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.inputs.length === 0) {
+        throw new UsageError('No input files given');
+    }
+
+    const inputs = resolveInputs(args.inputs);
+    if (args.fields.format === undefined && isSingleFileOutput(inputs, args.output)) {
+        // "-o clip.webm" picks the format by itself
+        const format = formatFromExtension(args.output);
+        if (format) args.fields.format = format;
+    }
+
+    const { options, error } = parseConversionOptions(args.fields);
+    if (error) {
+        throw new UsageError(error);
+    }
+    if (options.background && options.background.type === 'image') {
+        if (args.backgroundImage === null) {
+            throw new UsageError('--background image needs --background-image <file>');
+        }
+        if (!fs.existsSync(args.backgroundImage) || !fs.statSync(args.backgroundImage).isFile()) {
+            throw new UsageError(`Background image not found: ${args.backgroundImage}`);
+        }
+        options.background.imagePath = args.backgroundImage;
+    } else if (args.backgroundImage !== null) {
+        throw new UsageError('--background-image can only be used with --background image');
+    }
+
+    const plan = planConversions(inputs, args.output, getOutputType(options.format).extension, args.overwrite);
+    const failed = await runAll(plan, options, args);
+    if (failed > 0 && plan.length > 1) {
+        console.error(`${failed} of ${plan.length} conversions failed`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+    process.exitCode = code;
+}, (error) => {
+    if (error instanceof UsageError) {
+        console.error(`webp2mp4: ${error.message}`);
+        console.error('Try webp2mp4 --help for more information.');
+        process.exitCode = 2;
+    } else {
+        console.error(error);
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,47 @@
+const { openAnimation } = require('./lib/decoders');
+const { describeAnimation, renderPoster } = require('./lib/inspect');
+const { superviseWorker } = require('./lib/worker-utils');
+const log = require('./lib/logger');
+
+// Exit on timeout, cancellation or too much memory use
+superviseWorker();
+
+// Receive parameters from parent process (already validated by server.js)
+const [inputPath, frameArg] = process.argv.slice(2);
+const frameIndex = Number(frameArg);
+
+if (!inputPath || !Number.isInteger(frameIndex)) {
+    log.error('Missing required arguments: inputPath, frame');
+    process.exit(1);
+}
+
+// Decode the animation, describe it and render the poster of the frame.
+// Resolves to the message for the server: { type: 'result', info, poster },
+// or { type: 'rejected', code, params } for inputs it cannot inspect.
+async function inspect() {
+    let animation;
+    try {
+        animation = await openAnimation(inputPath);
+    } catch (e) {
+        log.warn('Error decoding uploaded file', { error: e });
+        return { type: 'rejected', code: 'UNDECODABLE_ANIMATION' };
+    }
+    const info = describeAnimation(animation);
+    if (frameIndex >= info.frameCount) {
+        return { type: 'rejected', code: 'FRAME_OUT_OF_RANGE', params: { frameCount: info.frameCount } };
+    }
+
+    const poster = await renderPoster(animation, frameIndex);
+    return {
+        type: 'result',
+        info,
+        poster: { frame: poster.frame, width: poster.width, height: poster.height, png: poster.png.toString('base64') }
+    };
+}
+
+inspect()
+    .then((message) => new Promise((resolve) => process.send(message, () => resolve())))
+    .then(() => process.exit(0), (error) => {
+        log.error('Error inspecting file', { error });
+        process.exit(1);
+    });
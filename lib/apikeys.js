@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// API keys with per-key quotas. Keys are kept in a JSON file (managed with
+// bin/apikeys.js) that stores only a SHA-256 hash of every key; the server
+// rereads the file when it changes, so keys can be created and revoked while
+// it runs. Usage is counted in memory by every server instance.
+//
+// limits (0 = unlimited):
+//   requests        requests per window of windowMinutes
+//   windowMinutes   length of the request window
+//   bytesPerDay     input bytes converted per UTC day
+//   concurrentJobs  jobs queued or running at the same time
+
+const TOKEN_PREFIX = 'wpk_';
+
+const DEFAULT_LIMITS = {
+    requests: 300,
+    windowMinutes: 15,
+    bytesPerDay: 1024 * 1024 * 1024,
+    concurrentJobs: 4
+};
+
+const settings = {
+    file: 'api-keys.json'
+};
+
+let keys = [];
+let loadedVersion = null;
+
+// keyId -> { windowStart, requests, day, bytes, activeJobs: Set, reservedJobs, reservedBytes }
+const usage = new Map();
+
+function configure({ file }) {
+    if (file !== undefined) settings.file = file;
+    keys = [];
+    loadedVersion = null;
+}
+
+// Reread the key file if it changed since it was last read
+function load() {
+    let stat;
+    try {
+        stat = fs.statSync(settings.file);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        keys = [];
+        loadedVersion = null;
+        return keys;
+    }
+    const version = `${stat.mtimeMs}:${stat.size}`;
+    if (version !== loadedVersion) {
+        keys = JSON.parse(fs.readFileSync(settings.file, 'utf8')).keys || [];
+        loadedVersion = version;
+    }
+    return keys;
+}
+
+// Write the whole key file at once, readable by its owner only
+function save(list) {
+    fs.mkdirSync(path.dirname(path.resolve(settings.file)), { recursive: true });
+    const temp = `${settings.file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    fs.writeFileSync(temp, JSON.stringify({ keys: list }, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, settings.file);
+    keys = list;
+    loadedVersion = null;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a key. Returns { key, token }; the token is not stored and cannot
+// be shown again.
+function createKey(name, limits = {}) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        hash: hashToken(token),
+        limits: Object.assign({}, DEFAULT_LIMITS, limits),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    save([...load(), key]);
+    return { key, token };
+}
+
+// Revoke a key by id. Returns the key, or null if there is no such key.
+function revokeKey(id) {
+    const list = load();
+    const key = list.find((candidate) => candidate.id === id);
+    if (!key) return null;
+    if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        save(list);
+    }
+    return key;
+}
+
+function listKeys() {
+    return load();
+}
+
+// The active key for a token, or null
+function findKey(token) {
+    const hash = hashToken(token);
+    return load().find((key) => key.hash === hash && !key.revokedAt) || null;
+}
+
+function usageOf(key) {
+    let entry = usage.get(key.id);
+    if (!entry) {
+        entry = { windowStart: 0, requests: 0, day: null, bytes: 0, activeJobs: new Set(), reservedJobs: 0, reservedBytes: 0 };
+        usage.set(key.id, entry);
+    }
+    const windowMs = key.limits.windowMinutes * 60 * 1000;
+    if (Date.now() - entry.windowStart >= windowMs) {
+        entry.windowStart = Date.now();
+        entry.requests = 0;
+    }
+    const day = new Date().toISOString().slice(0, 10);
+    if (entry.day !== day) {
+        entry.day = day;
+        entry.bytes = 0;
+    }
+    return entry;
+}
+
+// Count a request against the key's request window.
+// Returns { allowed, limit, remaining, resetAt (ms) }.
+function countRequest(key) {
+    const entry = usageOf(key);
+    const limit = key.limits.requests;
+    const resetAt = entry.windowStart + key.limits.windowMinutes * 60 * 1000;
+    if (!limit) return { allowed: true, limit: 0, remaining: 0, resetAt };
+    if (entry.requests >= limit) return { allowed: false, limit, remaining: 0, resetAt };
+    entry.requests++;
+    return { allowed: true, limit, remaining: limit - entry.requests, resetAt };
+}
+
+// Check whether the key may start `jobs` more jobs with `bytes` more input,
+// besides what other requests have reserved.
+// Returns null, or { limit: 'bytesPerDay' | 'concurrentJobs', retryAfter (s) }.
+function checkJobQuota(key, { bytes = 0, jobs = 1 } = {}) {
+    const entry = usageOf(key);
+    const { bytesPerDay, concurrentJobs } = key.limits;
+    if (concurrentJobs && entry.activeJobs.size + entry.reservedJobs + jobs > concurrentJobs) {
+        return { limit: 'concurrentJobs', retryAfter: 10 };
+    }
+    const usedBytes = entry.bytes + entry.reservedBytes;
+    if (bytesPerDay && (usedBytes >= bytesPerDay || usedBytes + bytes > bytesPerDay)) {
+        const midnight = new Date(`${entry.day}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+        return { limit: 'bytesPerDay', retryAfter: Math.ceil((midnight - Date.now()) / 1000) };
+    }
+    return null;
+}
+
+// Hold quota for jobs whose input is still being received, so that parallel
+// requests cannot all pass the check. Returns { exceeded } like
+// checkJobQuota, or { reservation }: the held amounts, taken by addJob and
+// given back by releaseReservation.
+function reserveJobQuota(key, { bytes = 0, jobs = 1 } = {}) {
+    const exceeded = checkJobQuota(key, { bytes, jobs });
+    if (exceeded) return { exceeded };
+    const entry = usageOf(key);
+    entry.reservedJobs += jobs;
+    entry.reservedBytes += bytes;
+    return { reservation: { keyId: key.id, jobs, bytes } };
+}
+
+// Replace the amounts of a reservation, e.g. the request size by the real
+// input sizes once the upload is received. Returns null, or what
+// checkJobQuota returns; the reservation is then empty.
+function updateReservation(key, reservation, { bytes = 0, jobs = 1 } = {}) {
+    releaseReservation(reservation);
+    const exceeded = checkJobQuota(key, { bytes, jobs });
+    if (exceeded) return exceeded;
+    const entry = usageOf(key);
+    entry.reservedJobs += jobs;
+    entry.reservedBytes += bytes;
+    Object.assign(reservation, { jobs, bytes });
+    return null;
+}
+
+// Give back what is left of a reservation
+function releaseReservation(reservation) {
+    const entry = usage.get(reservation.keyId);
+    if (entry) {
+        entry.reservedJobs = Math.max(0, entry.reservedJobs - reservation.jobs);
+        entry.reservedBytes = Math.max(0, entry.reservedBytes - reservation.bytes);
+    }
+    reservation.jobs = 0;
+    reservation.bytes = 0;
+}
+
+// Record a job started with the key, and its input size. The job takes its
+// share of the reservation, if it had one.
+function addJob(keyId, jobId, bytes, reservation = null) {
+    const key = load().find((candidate) => candidate.id === keyId);
+    if (!key) return;
+    const entry = usageOf(key);
+    if (reservation && reservation.jobs > 0) {
+        const reservedBytes = Math.min(bytes, reservation.bytes);
+        reservation.jobs--;
+        reservation.bytes -= reservedBytes;
+        entry.reservedJobs = Math.max(0, entry.reservedJobs - 1);
+        entry.reservedBytes = Math.max(0, entry.reservedBytes - reservedBytes);
+    }
+    entry.activeJobs.add(jobId);
+    entry.bytes += bytes;
+}
+
+// A job of the key has finished
+function releaseJob(keyId, jobId) {
+    const entry = usage.get(keyId);
+    if (entry) entry.activeJobs.delete(jobId);
+}
+
+// Usage of the key in the current window and day
+function usageSummary(key) {
+    const entry = usageOf(key);
+    return { requests: entry.requests, bytesToday: entry.bytes, activeJobs: entry.activeJobs.size };
+}
+
+module.exports = {
+    TOKEN_PREFIX,
+    DEFAULT_LIMITS,
+    configure,
+    createKey,
+    revokeKey,
+    listKeys,
+    findKey,
+    countRequest,
+    checkJobQuota,
+    reserveJobQuota,
+    updateReservation,
+    releaseReservation,
+    addJob,
+    releaseJob,
+    usageSummary
+};
@@ -0,0 +1,186 @@
+const { openAnimation } = require('./decoders');
+const { compositeFrames } = require('./compositor');
+
+// Flattening of composed RGBA frames onto an opaque background, for outputs
+// without an alpha channel or when transparency should not be kept.
+// background (validated by lib/options.js):
+//   { type: 'none' }                                keep the alpha channel
+//   { type: 'color', color: [r, g, b] }
+//   { type: 'checkerboard', color, size }           squares of size px in color and a darker shade
+//   { type: 'blur', color, radius }                 blurred copy of the frame itself over color
+//   { type: 'image', imagePath }                    image scaled to cover the frame (WebP, GIF or PNG)
+// Frames use straight alpha. Blending and blurring work on premultiplied
+// colours, so transparent pixels never bleed their (meaningless) colour.
+
+const WHITE = [255, 255, 255];
+const DEFAULT_BACKGROUND = { type: 'color', color: WHITE };
+const DEFAULT_CHECKER_SIZE = 16;
+const DEFAULT_BLUR_RADIUS = 20;
+// Number of box blur passes, which together approximate a Gaussian blur
+const BLUR_PASSES = 3;
+
+// Resolves to flatten(canvas), which returns a new buffer with the canvas
+// blended onto the background (or a plain copy for type 'none')
+async function createFlattener(background, width, height) {
+    if (!background || background.type === 'none') {
+        return (canvas) => Buffer.from(canvas);
+    }
+
+    const color = background.color || WHITE;
+    if (background.type === 'blur') {
+        const radius = background.radius || DEFAULT_BLUR_RADIUS;
+        return (canvas) => blendOver(canvas, blurredBackdrop(canvas, width, height, radius, color));
+    }
+
+    let backdrop;
+    if (background.type === 'color') {
+        backdrop = solidBackdrop(width, height, color);
+    } else if (background.type === 'checkerboard') {
+        backdrop = checkerboardBackdrop(width, height, background.size || DEFAULT_CHECKER_SIZE, color);
+    } else if (background.type === 'image') {
+        backdrop = await imageBackdrop(background.imagePath, width, height);
+    } else {
+        throw new Error(`Unknown background type: ${background.type}`);
+    }
+    return (canvas) => blendOver(canvas, backdrop);
+}
+
+// Source-over blending of a straight-alpha canvas onto an opaque backdrop
+function blendOver(canvas, backdrop) {
+    const out = Buffer.alloc(canvas.length);
+    for (let p = 0; p < canvas.length; p += 4) {
+        const a = canvas[p + 3];
+        for (let c = 0; c < 3; c++) {
+            out[p + c] = Math.round((canvas[p + c] * a + backdrop[p + c] * (255 - a)) / 255);
+        }
+        out[p + 3] = 255;
+    }
+    return out;
+}
+
+function solidBackdrop(width, height, color) {
+    const backdrop = Buffer.alloc(width * height * 4);
+    for (let p = 0; p < backdrop.length; p += 4) {
+        backdrop[p + 0] = color[0];
+        backdrop[p + 1] = color[1];
+        backdrop[p + 2] = color[2];
+        backdrop[p + 3] = 255;
+    }
+    return backdrop;
+}
+
+// Alternating squares of the colour and a 20% darker shade of it
+function checkerboardBackdrop(width, height, size, color) {
+    const dark = color.map((channel) => Math.round(channel * 0.8));
+    const backdrop = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const square = (Math.floor(x / size) + Math.floor(y / size)) % 2 === 0 ? color : dark;
+            const p = (y * width + x) * 4;
+            backdrop[p + 0] = square[0];
+            backdrop[p + 1] = square[1];
+            backdrop[p + 2] = square[2];
+            backdrop[p + 3] = 255;
+        }
+    }
+    return backdrop;
+}
+
+// Blur the premultiplied frame, then lay it over the colour, which shows
+// through wherever the blurred frame is still transparent
+function blurredBackdrop(canvas, width, height, radius, color) {
+    const premultiplied = new Float32Array(canvas.length);
+    for (let p = 0; p < canvas.length; p += 4) {
+        const a = canvas[p + 3];
+        premultiplied[p + 0] = canvas[p + 0] * a / 255;
+        premultiplied[p + 1] = canvas[p + 1] * a / 255;
+        premultiplied[p + 2] = canvas[p + 2] * a / 255;
+        premultiplied[p + 3] = a;
+    }
+
+    const passRadius = Math.max(1, Math.round(radius / BLUR_PASSES));
+    for (let pass = 0; pass < BLUR_PASSES; pass++) {
+        boxBlur(premultiplied, width, height, passRadius, 4, width * 4);
+        boxBlur(premultiplied, height, width, passRadius, width * 4, 4);
+    }
+
+    const backdrop = Buffer.alloc(canvas.length);
+    for (let p = 0; p < canvas.length; p += 4) {
+        const rest = 255 - premultiplied[p + 3];
+        for (let c = 0; c < 3; c++) {
+            backdrop[p + c] = Math.round(premultiplied[p + c] + color[c] * rest / 255);
+        }
+        backdrop[p + 3] = 255;
+    }
+    return backdrop;
+}
+
+// Running-sum box blur of every line of the image in one direction.
+// length/step walk along a line, lines/lineStep from one line to the next;
+// pixels beyond the edge repeat the edge pixel.
+function boxBlur(data, length, lines, radius, step, lineStep) {
+    const line = new Float32Array(length * 4);
+    const window = 2 * radius + 1;
+    for (let l = 0; l < lines; l++) {
+        const start = l * lineStep;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < 4; c++) line[i * 4 + c] = data[start + i * step + c];
+        }
+        for (let c = 0; c < 4; c++) {
+            const at = (i) => line[Math.min(length - 1, Math.max(0, i)) * 4 + c];
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) sum += at(i);
+            for (let i = 0; i < length; i++) {
+                data[start + i * step + c] = sum / window;
+                sum += at(i + radius + 1) - at(i - radius);
+            }
+        }
+    }
+}
+
+// First frame of the image, flattened onto white, scaled to cover the
+// whole frame and centred (the overflowing side is cropped)
+async function imageBackdrop(imagePath, width, height) {
+    const image = await openAnimation(imagePath);
+    let pixels = null;
+    await compositeFrames(image, (canvas) => {
+        pixels = blendOver(canvas, solidBackdrop(image.width, image.height, WHITE));
+        return false;
+    });
+
+    const scale = Math.max(width / image.width, height / image.height);
+    const offsetX = (image.width - width / scale) / 2;
+    const offsetY = (image.height - height / scale) / 2;
+    const backdrop = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const sy = clamp((y + 0.5) / scale + offsetY - 0.5, 0, image.height - 1);
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(y0 + 1, image.height - 1);
+        const fy = sy - y0;
+        for (let x = 0; x < width; x++) {
+            const sx = clamp((x + 0.5) / scale + offsetX - 0.5, 0, image.width - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, image.width - 1);
+            const fx = sx - x0;
+            const p = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const top = pixels[(y0 * image.width + x0) * 4 + c] * (1 - fx) + pixels[(y0 * image.width + x1) * 4 + c] * fx;
+                const bottom = pixels[(y1 * image.width + x0) * 4 + c] * (1 - fx) + pixels[(y1 * image.width + x1) * 4 + c] * fx;
+                backdrop[p + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+            backdrop[p + 3] = 255;
+        }
+    }
+    return backdrop;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+module.exports = {
+    DEFAULT_BACKGROUND,
+    DEFAULT_CHECKER_SIZE,
+    DEFAULT_BLUR_RADIUS,
+    createFlattener
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jobs = require('./jobs');
+const i18n = require('./i18n');
+
+// In-memory registry of multi-file conversions.
+// A batch groups one job per accepted file plus the files rejected at upload.
+const batches = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// entries: [{ jobId, originalName }] for accepted files
+// rejected: [{ originalName, error, code, params }] for files refused
+// before conversion, with the message code (see lib/i18n)
+function createBatch(entries, rejected = []) {
+    const batch = {
+        id: crypto.randomUUID(),
+        entries,
+        rejected,
+        createdAt: Date.now()
+    };
+    batches.set(batch.id, batch);
+
+    // Re-publish the batch state whenever one of its jobs changes
+    batch.unsubscribers = entries.map((entry) => jobs.onJobUpdate(entry.jobId, () => {
+        events.emit(batch.id, toPublicBatch(batch));
+    }));
+    return batch;
+}
+
+function getBatch(id) {
+    return batches.get(id);
+}
+
+function removeBatch(id) {
+    const batch = batches.get(id);
+    if (!batch) return;
+    batch.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    batches.delete(id);
+    events.removeAllListeners(id);
+}
+
+// Subscribe to state changes of a batch; returns an unsubscribe function
+function onBatchUpdate(id, listener) {
+    events.on(id, listener);
+    return () => events.removeListener(id, listener);
+}
+
+// A batch is finished once none of its jobs can change any more
+function isBatchFinished(batch) {
+    return batch.entries.every((entry) => {
+        const job = jobs.getJob(entry.jobId);
+        return !job || jobs.isFinished(job);
+    });
+}
+
+// Jobs of a batch that produced an output, with the name to give the result
+function completedEntries(batch) {
+    return batch.entries
+        .map((entry) => ({ entry, job: jobs.getJob(entry.jobId) }))
+        .filter(({ job }) => job && job.state === 'done');
+}
+
+function toPublicBatch(batch) {
+    const files = batch.entries.map((entry) => {
+        const job = jobs.getJob(entry.jobId);
+        if (!job) {
+            return { name: entry.originalName, jobId: entry.jobId, state: 'failed', progress: 0, error: i18n.translate('en', 'JOB_EXPIRED'), errorCode: 'JOB_EXPIRED', errorParams: {}, resultUrl: null, downloadUrl: null };
+        }
+        const state = jobs.toPublicJob(job);
+        return {
+            name: entry.originalName,
+            jobId: job.id,
+            state: state.state,
+            progress: state.progress,
+            error: state.error,
+            errorCode: state.errorCode,
+            errorParams: state.errorParams,
+            resultUrl: state.resultUrl,
+            downloadUrl: state.downloadUrl
+        };
+    });
+    batch.rejected.forEach((file) => {
+        files.push({ name: file.originalName, jobId: null, state: 'failed', progress: 0, error: file.error, errorCode: file.code, errorParams: file.params || {}, resultUrl: null, downloadUrl: null });
+    });
+
+    const finished = isBatchFinished(batch);
+    const succeeded = files.filter((file) => file.state === 'done').length;
+    return {
+        id: batch.id,
+        state: finished ? 'done' : 'running',
+        total: files.length,
+        succeeded,
+        failed: files.filter((file) => file.state === 'failed').length,
+        progress: files.length ? Math.round(files.reduce((sum, file) => sum + (file.state === 'failed' ? 100 : file.progress), 0) / files.length) : 100,
+        files,
+        zipUrl: finished && succeeded > 0 ? `/batches/${batch.id}/zip` : null
+    };
+}
+
+module.exports = {
+    createBatch,
+    getBatch,
+    removeBatch,
+    onBatchUpdate,
+    isBatchFinished,
+    completedEntries,
+    toPublicBatch
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+
+// Disk cache of conversion results, shared by the whole server.
+// Results are stored as <key><extension> in the cache directory, where the
+// key is the SHA-256 of the input bytes and the normalised conversion
+// options. The least recently used results are evicted once the cache grows
+// beyond its size budget. When each result was last used is kept in an
+// index file, so the order survives restarts; the file times of the results
+// are not used for it, since the result storage touches the hard links it
+// makes of them.
+
+// Part of every key; bump it when the conversion output changes, so that
+// results of older versions are no longer served
+const CACHE_VERSION = 1;
+
+// Index of the last use of every result (key -> ms), in the cache directory
+const INDEX_FILE = 'index.json';
+
+const settings = {
+    dir: 'cache',
+    maxBytes: 0
+};
+
+// key -> { file, size, lastUsed }
+const entries = new Map();
+let totalBytes = 0;
+
+// Set the cache directory and size budget (bytes, 0 disables the cache) and
+// index the results already on disk
+function configure({ dir, maxBytes }) {
+    if (dir !== undefined) settings.dir = dir;
+    if (maxBytes !== undefined) settings.maxBytes = maxBytes;
+    entries.clear();
+    totalBytes = 0;
+    if (!isEnabled()) return;
+
+    fs.mkdirSync(settings.dir, { recursive: true });
+    const lastUsed = readIndex();
+    fs.readdirSync(settings.dir).forEach((file) => {
+        const match = /^([0-9a-f]{64})(\.[a-z0-9]+)?$/.exec(file);
+        const filePath = path.join(settings.dir, file);
+        if (!match) {
+            // Left over from an interrupted copy
+            if (file.includes('.tmp-')) fs.rmSync(filePath, { force: true });
+            return;
+        }
+        // Results missing from the index count as used when they were stored
+        const stat = fs.statSync(filePath);
+        addEntry(match[1], { file, size: stat.size, lastUsed: lastUsed[match[1]] || stat.mtimeMs });
+    });
+    evict();
+    writeIndex();
+}
+
+function isEnabled() {
+    return settings.maxBytes > 0;
+}
+
+// Key of a conversion: the input bytes, the conversion direction (worker)
+// and the options. A background image is identified by its content, not
+// by its upload path. inputHash: SHA-256 of the input (see hashFile), if
+// already known.
+async function computeKey(inputPath, worker, options, inputHash) {
+    const normalised = Object.assign({}, options);
+    if (options.background && options.background.imagePath) {
+        const background = Object.assign({}, options.background);
+        background.image = await hashFile(background.imagePath);
+        delete background.imagePath;
+        normalised.background = background;
+    }
+
+    const hash = crypto.createHash('sha256');
+    hash.update(inputHash || await hashFile(inputPath));
+    hash.update(canonicalJson({ version: CACHE_VERSION, worker, options: normalised }));
+    return hash.digest('hex');
+}
+
+// Make the cached result available at outputPath (hard link, or a copy if
+// linking is not possible). Returns false if there is no result for the key.
+function lookup(key, outputPath) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    const cachedPath = path.join(settings.dir, entry.file);
+    try {
+        linkOrCopy(cachedPath, outputPath);
+        entry.lastUsed = Date.now();
+        writeIndex();
+        return true;
+    } catch (e) {
+        // Removed behind the cache's back
+        log.warn('Result cache entry unusable', { error: e.message });
+        removeEntry(key);
+        return false;
+    }
+}
+
+// Add a finished result to the cache and evict older results if needed
+function store(key, outputPath) {
+    if (entries.has(key)) return;
+    const size = fs.statSync(outputPath).size;
+    if (size > settings.maxBytes) return;
+
+    const file = key + path.extname(outputPath).toLowerCase();
+    const cachedPath = path.join(settings.dir, file);
+    try {
+        linkOrCopy(outputPath, cachedPath);
+    } catch (e) {
+        // Stored concurrently by an identical conversion
+        if (e.code !== 'EEXIST') throw e;
+    }
+    addEntry(key, { file, size, lastUsed: Date.now() });
+    evict();
+    writeIndex();
+}
+
+function stats() {
+    return { entries: entries.size, bytes: totalBytes, maxBytes: settings.maxBytes };
+}
+
+function addEntry(key, entry) {
+    entries.set(key, entry);
+    totalBytes += entry.size;
+}
+
+function removeEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+    fs.rmSync(path.join(settings.dir, entry.file), { force: true });
+}
+
+// Drop the least recently used results until the cache fits its budget
+function evict() {
+    if (totalBytes <= settings.maxBytes) return;
+    const byAge = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key] of byAge) {
+        if (totalBytes <= settings.maxBytes) break;
+        removeEntry(key);
+    }
+}
+
+// Last use of the results by key, from the index file ({} if there is none
+// or it cannot be read)
+function readIndex() {
+    try {
+        const index = JSON.parse(fs.readFileSync(path.join(settings.dir, INDEX_FILE), 'utf8'));
+        return index && typeof index === 'object' ? index : {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn('Result cache index unreadable, using the file times', { error: e.message });
+        return {};
+    }
+}
+
+// Replace the index file at once with the current entries
+function writeIndex() {
+    const index = {};
+    entries.forEach((entry, key) => {
+        index[key] = entry.lastUsed;
+    });
+    const indexPath = path.join(settings.dir, INDEX_FILE);
+    const temp = `${indexPath}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+        fs.writeFileSync(temp, JSON.stringify(index));
+        fs.renameSync(temp, indexPath);
+    } catch (e) {
+        // Only the eviction order after a restart depends on it
+        log.warn('Could not write the result cache index', { error: e.message });
+        fs.rmSync(temp, { force: true });
+    }
+}
+
+// Hard links cost no space; the cache directory may be on another device though
+function linkOrCopy(source, target) {
+    try {
+        fs.linkSync(source, target);
+    } catch (e) {
+        if (e.code !== 'EXDEV' && e.code !== 'EPERM') throw e;
+        const temp = `${target}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+        fs.copyFileSync(source, temp);
+        fs.renameSync(temp, target);
+    }
+}
+
+// Hex SHA-256 of a file's content
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// JSON with object keys sorted, so equal options always give the same text
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+        return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = {
+    configure,
+    isEnabled,
+    computeKey,
+    hashFile,
+    lookup,
+    store,
+    stats
+};
@@ -0,0 +1,53 @@
+// Output canvases of a fixed size, e.g. for social media platforms that
+// expect a given aspect ratio and resolution.
+// canvas (validated by lib/options.js):
+//   { width, height, fit, padColor, margin }
+//   fit: 'pad'  scale to fit inside and fill the rest with padColor (letterbox)
+//        'crop' scale to cover and cut off what sticks out, keeping the centre
+//        'fill' scale to exactly the canvas, ignoring the aspect ratio
+//   padColor: [r, g, b], or null for transparent (formats with alpha only)
+//   margin: space in px kept free on every side, filled with padColor
+
+const CANVAS_PRESETS = {
+    vertical: { label: '9:16 (1080x1920)', width: 1080, height: 1920 },
+    square: { label: '1:1 (1080x1080)', width: 1080, height: 1080 },
+    landscape: { label: '16:9 (1920x1080)', width: 1920, height: 1080 }
+};
+
+const FIT_MODES = ['pad', 'crop', 'fill'];
+
+const DEFAULT_PAD_COLOR = [0, 0, 0];
+
+// ffmpeg filters turning the frames into the canvas
+function canvasFilters(canvas) {
+    const { width, height } = canvas;
+    const margin = canvas.margin || 0;
+    const color = padColorValue(canvas.padColor === undefined ? DEFAULT_PAD_COLOR : canvas.padColor);
+    const innerWidth = width - 2 * margin;
+    const innerHeight = height - 2 * margin;
+
+    const filters = [];
+    if (canvas.fit === 'crop') {
+        filters.push(`scale=${innerWidth}:${innerHeight}:force_original_aspect_ratio=increase`, `crop=${innerWidth}:${innerHeight}`);
+    } else if (canvas.fit === 'fill') {
+        filters.push(`scale=${innerWidth}:${innerHeight}`, 'setsar=1');
+    } else {
+        filters.push(`scale=${innerWidth}:${innerHeight}:force_original_aspect_ratio=decrease`);
+    }
+    // Centre the content; pad also draws the margin
+    if (canvas.fit === 'pad' || margin > 0) {
+        filters.push(`pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${color}`);
+    }
+    return filters;
+}
+
+function padColorValue(color) {
+    if (color === null) return 'black@0';
+    return '0x' + color.map((channel) => channel.toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    CANVAS_PRESETS,
+    FIT_MODES,
+    canvasFilters
+};
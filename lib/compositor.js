@@ -0,0 +1,104 @@
+// Coalesces the frames of a decoded animation (see lib/decoders) into full
+// canvases, applying each frame's blend and dispose method.
+// onFrame(canvas, frame, index) is awaited for every composed frame; the
+// canvas is reused, so copy it if it has to outlive the callback. Returning
+// false from onFrame stops the composition after that frame.
+async function compositeFrames(animation, onFrame) {
+    const { width, height, background: bg } = animation;
+
+    // Create persistent canvas (RGBA)
+    const canvas = Buffer.alloc(width * height * 4);
+    fillRect(canvas, width, 0, 0, width, height, bg);
+
+    for (let i = 0; i < animation.frames.length; i++) {
+        const frame = animation.frames[i];
+        const rgba = await animation.getFrameData(i);
+        const { x: x0, y: y0, width: fw, height: fh } = frame;
+        // Frames are written without clipping; one outside the canvas would
+        // overwrite other rows or run past the buffer
+        if (x0 < 0 || y0 < 0 || x0 + fw > width || y0 + fh > height) {
+            throw new Error(`Frame ${i} (${fw}x${fh} at ${x0},${y0}) does not fit the ${width}x${height} canvas`);
+        }
+
+        // Keep the area under the frame so it can be restored afterwards
+        const saved = frame.dispose === 'previous' ? copyRect(canvas, width, x0, y0, fw, fh) : null;
+
+        if (frame.blend === false) {
+            for (let y = 0; y < fh; y++) {
+                for (let x = 0; x < fw; x++) {
+                    const si = (y * fw + x) * 4;
+                    const di = ((y0 + y) * width + (x0 + x)) * 4;
+                    canvas[di + 0] = rgba[si + 0];
+                    canvas[di + 1] = rgba[si + 1];
+                    canvas[di + 2] = rgba[si + 2];
+                    canvas[di + 3] = rgba[si + 3];
+                }
+            }
+        } else {
+            for (let y = 0; y < fh; y++) {
+                for (let x = 0; x < fw; x++) {
+                    const si = (y * fw + x) * 4;
+                    const di = ((y0 + y) * width + (x0 + x)) * 4;
+                    const sa = rgba[si + 3];
+                    if (sa === 255) {
+                        canvas[di + 0] = rgba[si + 0];
+                        canvas[di + 1] = rgba[si + 1];
+                        canvas[di + 2] = rgba[si + 2];
+                        canvas[di + 3] = 255;
+                    } else if (sa === 0) {
+                        // keep existing
+                    } else {
+                        const da = canvas[di + 3];
+                        const outA = sa + da * (255 - sa) / 255;
+                        const sr = rgba[si + 0], sg = rgba[si + 1], sb = rgba[si + 2];
+                        const dr = canvas[di + 0], dg = canvas[di + 1], db = canvas[di + 2];
+                        if (outA > 0) {
+                            canvas[di + 0] = ((sr * sa + dr * da * (255 - sa) / 255) / outA) | 0;
+                            canvas[di + 1] = ((sg * sa + dg * da * (255 - sa) / 255) / outA) | 0;
+                            canvas[di + 2] = ((sb * sa + db * da * (255 - sa) / 255) / outA) | 0;
+                            canvas[di + 3] = outA | 0;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (await onFrame(canvas, frame, i) === false) return;
+
+        if (frame.dispose === 'background') {
+            fillRect(canvas, width, x0, y0, fw, fh, bg);
+        } else if (saved) {
+            pasteRect(canvas, width, x0, y0, fw, fh, saved);
+        }
+    }
+}
+
+function fillRect(canvas, width, x0, y0, w, h, color) {
+    for (let y = 0; y < h; y++) {
+        const rowOff = (y0 + y) * width * 4 + x0 * 4;
+        for (let x = 0; x < w; x++) {
+            const p = rowOff + x * 4;
+            canvas[p + 0] = color[0];
+            canvas[p + 1] = color[1];
+            canvas[p + 2] = color[2];
+            canvas[p + 3] = color[3];
+        }
+    }
+}
+
+function copyRect(canvas, width, x0, y0, w, h) {
+    const rect = Buffer.alloc(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        const start = ((y0 + y) * width + x0) * 4;
+        canvas.copy(rect, y * w * 4, start, start + w * 4);
+    }
+    return rect;
+}
+
+function pasteRect(canvas, width, x0, y0, w, h, rect) {
+    for (let y = 0; y < h; y++) {
+        rect.copy(canvas, ((y0 + y) * width + x0) * 4, y * w * 4, (y + 1) * w * 4);
+    }
+}
+
+module.exports = { compositeFrames };
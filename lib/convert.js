@@ -0,0 +1,404 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { PNG } = require('pngjs');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { OUTPUT_FORMATS, DEFAULT_FORMAT } = require('./formats');
+const { buildEncoderSettings } = require('./encoding');
+const { openAnimation, frameDelays } = require('./decoders');
+const { compositeFrames } = require('./compositor');
+const { selectClip, buildSequence, isForwardOnly } = require('./playback');
+const { DEFAULT_BACKGROUND, createFlattener } = require('./background');
+const { canvasFilters } = require('./canvas');
+const { parseTimemark } = require('./worker-utils');
+const { writeFrameArchive, writeSpriteSheet } = require('./spritesheet');
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const DEFAULT_OPTIONS = { timing: 'vfr', fps: 30, format: DEFAULT_FORMAT, encoding: {}, transport: 'pipe' };
+
+// Longest setpts expression passed on the command line. Linux caps a single
+// argument at 128KB; longer timelines fall back to the PNG file transport.
+const MAX_TIMESTAMP_EXPRESSION = 100000;
+
+// Frames played out of source order (repetitions, ping-pong, reverse) are
+// composed once and kept in memory up to this size; larger animations fall
+// back to the PNG file transport, whose frame list can refer to a file many times.
+const MAX_FRAME_CACHE_BYTES = 256 * 1024 * 1024;
+
+// Convert an animated WebP, GIF or PNG/APNG file (detected from its content)
+// to one of the OUTPUT_FORMATS.
+//
+// options (not validated here, see lib/options.js):
+//   timing: 'vfr' keeps every frame's own delay, 'cfr' resamples to a constant fps
+//   fps: frame rate of the 'cfr' timing
+//   format: key of OUTPUT_FORMATS
+//   encoding: quality preset and encoder overrides, see lib/encoding.js
+//   clip: trimming, frame step, speed and reverse playback, see lib/playback.js
+//   loop: repetitions and ping-pong playback, see lib/playback.js
+//   canvas: fixed output size with pad, crop or fill, see lib/canvas.js
+//   background: what transparent areas are flattened onto, see lib/background.js
+//               (default: kept for formats with alpha, white otherwise)
+//   sheet: packing and atlas of the spritesheet format, see lib/spritesheet.js
+//   transport: 'pipe' streams raw frames into ffmpeg, 'files' writes PNGs first
+//   tempDir: directory for the PNG frames of the 'files' transport and of the
+//            frames and spritesheet formats; when it is not given, a
+//            temporary directory is created and removed afterwards
+//
+// Returns a promise of { inputFormat, frameCount, duration (ms), transport, timings }
+// where timings are the ms spent on composition (decoding and composing the
+// frames, until all of them are handed to ffmpeg) and on encoding (ffmpeg
+// finishing after that); with the 'pipe' transport ffmpeg already encodes
+// during composition.
+// which also emits events, registered with on(event, listener):
+//   'progress' { phase: 'extracting' | 'encoding', value: 0-100, message }
+//   'log'      diagnostic message (ffmpeg command line and output)
+// kill() stops ffmpeg and rejects the promise.
+function convertWebP(inputPath, outputPath, options = {}) {
+    const events = new EventEmitter();
+    const control = { command: null, killed: false };
+
+    const promise = runConversion(inputPath, outputPath, Object.assign({}, DEFAULT_OPTIONS, options), events, control);
+    promise.on = (event, listener) => {
+        events.on(event, listener);
+        return promise;
+    };
+    promise.kill = (signal = 'SIGKILL') => {
+        control.killed = true;
+        if (control.command) control.command.kill(signal);
+    };
+    return promise;
+}
+
+async function runConversion(inputPath, outputPath, options, events, control) {
+    const format = OUTPUT_FORMATS[options.format];
+    if (!format) {
+        throw new Error(`Unknown output format: ${options.format}`);
+    }
+    const log = (message) => events.emit('log', message);
+    const sendProgress = (phase, value, message) => events.emit('progress', { phase, value: Number(value), message });
+    const checkKilled = () => {
+        if (control.killed) throw new Error('Conversion was stopped');
+    };
+    const startedAt = Date.now();
+    let composedAt = null;
+
+    // Decode the input (WebP, GIF or PNG/APNG, detected from its content)
+    let animation = await openAnimation(inputPath);
+    const inputFormat = animation.format;
+    const sourceFrameCount = animation.frames.length;
+    checkKilled();
+
+    // Source frame and display duration (ms) of each output frame, in order
+    const clip = selectClip(frameDelays(animation), options.clip);
+    const sequence = buildSequence(clip, animation.loops, options.loop);
+    const delays = sequence.delays;
+    const frameCount = delays.length;
+    const totalDuration = delays.reduce((sum, d) => sum + d, 0);
+    log(`Total duration: ${totalDuration}ms (${sequence.plays} play(s)), timing mode: ${options.timing}`);
+
+    // Containers ignore how long the last frame stays on screen, so the
+    // last frame is sent once more as a tail that closes the timeline.
+    // Piped frames end at the tail's start time, which is therefore the
+    // total duration; frame files get a 1ms tail (see writeFrameList).
+    const last = frameCount - 1;
+    const expression = timestampExpression(delays);
+    const forwardOnly = isForwardOnly(sequence);
+    // Source frames that are shown; frames after the last of them need not be composed
+    const shown = new Set(sequence.frames);
+    const lastShown = Math.max(...shown);
+    const cacheBytes = animation.width * animation.height * 4 * shown.size;
+    const transport = options.transport === 'files' || expression.length > MAX_TIMESTAMP_EXPRESSION ||
+        (!forwardOnly && cacheBytes > MAX_FRAME_CACHE_BYTES) ? 'files' : 'pipe';
+    log(`Extracting and coalescing ${lastShown + 1} of ${sourceFrameCount} frame(s) from ${inputFormat.toUpperCase()} input (${transport} transport)...`);
+
+    // Every composed frame goes through the same flattening stage
+    const background = options.background || (format.alpha ? null : DEFAULT_BACKGROUND);
+    const flatten = await createFlattener(background, animation.width, animation.height);
+    checkKilled();
+
+    const reportFrame = (i, count = frameCount) => {
+        checkKilled();
+        if (i % 50 === 0 || i === count - 1) {
+            const progress = ((i + 1) / count * 100).toFixed(0);
+            sendProgress('extracting', progress, `Processing frame ${i + 1}/${count}`);
+        }
+    };
+
+    // The temporary frame directory is only removed if it was created here
+    const ownTempDir = (transport === 'files' || !!format.exportMode) && !options.tempDir;
+    const tempDir = ownTempDir ? fs.mkdtempSync(path.join(os.tmpdir(), 'webp-frames-')) : options.tempDir;
+    // Stored number of plays: in GIF/APNG files, or the manifest and atlas of an export
+    const plays = outputPlays(options.loop, animation.loops);
+
+    const command = ffmpeg();
+    control.command = command;
+    try {
+        const filters = [];
+        let frameStream = null;
+        if (transport === 'pipe') {
+            // Raw RGBA frames on stdin carry no timestamps, so every frame gets
+            // its start time (ms) from a setpts expression
+            frameStream = new PassThrough({ highWaterMark: animation.width * animation.height * 4 });
+            command
+                .input(frameStream)
+                .inputFormat('rawvideo')
+                .inputOptions(['-pix_fmt', 'rgba', '-video_size', `${animation.width}x${animation.height}`]);
+            filters.push('settb=1/1000', `setpts='${expression}'`);
+        } else {
+            // Create temp directory for frames
+            if (!fs.existsSync(tempDir)) {
+                fs.mkdirSync(tempDir);
+            }
+            await compositeFrames(animation, async (canvas, frame, i) => {
+                if (shown.has(i)) {
+                    await writePng(flatten(canvas), animation.width, animation.height, path.join(tempDir, frameFileName(i)));
+                }
+                reportFrame(i, lastShown + 1);
+                return i < lastShown;
+            });
+            composedAt = Date.now();
+            command
+                .input(writeFrameList(tempDir, sequence.frames, delays))
+                .inputFormat('concat')
+                .inputOptions(['-safe', '0']);
+        }
+
+        // A canvas sets the output size itself, so the size limit of a
+        // quality preset does not apply
+        const encoding = options.canvas ? Object.assign({}, options.encoding, { maxWidth: null, maxHeight: null }) : options.encoding;
+        const encoder = buildEncoderSettings(options.format, encoding, totalDuration);
+        if (options.timing === 'cfr') {
+            // Resample the timeline to a constant frame rate
+            filters.push(`fps=${options.fps}`);
+        }
+        if (options.canvas) {
+            filters.push(...canvasFilters(options.canvas));
+        }
+        filters.push(...encoder.filters);
+        if (format.evenDimensions) {
+            filters.push('scale=trunc(iw/2)*2:trunc(ih/2)*2');
+        }
+        if (format.paletteFilter) {
+            filters.push(format.paletteFilter);
+        }
+
+        const outputOptions = [...format.outputOptions, ...encoder.outputOptions];
+        if (format.loopOptions) {
+            outputOptions.push(...format.loopOptions(plays));
+        }
+        if (filters.length > 0) {
+            outputOptions.push('-vf', filters.join(','));
+        }
+        if (format.pixelFormat) {
+            outputOptions.push('-pix_fmt', format.pixelFormat);
+        }
+        if (options.timing !== 'cfr') {
+            // Keep the source timestamps as-is
+            outputOptions.push('-fps_mode', 'vfr', ...format.vfrOptions);
+            if (format.finalDelayOptions) {
+                // Drop the tail frame and give the last frame its full delay
+                // through the muxer instead
+                outputOptions.push('-frames:v', String(frameCount), ...format.finalDelayOptions(delays[last]));
+            }
+        }
+
+        // Exports write numbered frame files, packed into the output afterwards
+        const exportDir = format.exportMode ? path.join(tempDir, 'export') : null;
+        if (exportDir) {
+            fs.mkdirSync(exportDir, { recursive: true });
+            // One file per frame shown, without the tail frame
+            const exportCount = options.timing === 'cfr' ? Math.max(1, Math.round(totalDuration * options.fps / 1000)) : frameCount;
+            outputOptions.push('-frames:v', String(exportCount));
+        }
+
+        command
+            .output(exportDir ? path.join(exportDir, 'out_%05d.png') : outputPath)
+            .videoCodec(encoder.videoCodec)
+            .outputOptions(outputOptions);
+        if (format.muxer) {
+            command.format(format.muxer);
+        }
+
+        // While frames are still being piped in, composition is the slower
+        // side, so encoding progress is only reported once all frames are sent
+        let allFramesSent = transport === 'files';
+        const encoded = new Promise((resolve, reject) => {
+            command
+                .on('start', (commandLine) => {
+                    log('Spawned Ffmpeg with command: ' + commandLine);
+                    if (allFramesSent) sendProgress('encoding', 0, 'Encoding video');
+                })
+                .on('progress', (progress) => {
+                    if (!allFramesSent) return;
+                    const encodedMs = parseTimemark(progress.timemark);
+                    const value = Math.min(100, encodedMs / totalDuration * 100).toFixed(0);
+                    sendProgress('encoding', value, `Encoding video (${progress.frames || 0} frames)`);
+                })
+                .on('end', () => resolve())
+                .on('error', (err, stdout, stderr) => {
+                    log('FFmpeg stderr: ' + stderr);
+                    reject(err);
+                });
+            // Stopped before ffmpeg was started
+            if (control.killed) return reject(new Error('Conversion was stopped'));
+            command.run();
+        });
+        // Failures surface through the awaits below
+        encoded.catch(() => {});
+
+        if (frameStream) {
+            // Compose and encode side by side. Waiting for the stream to drain
+            // keeps at most one frame buffered ahead of ffmpeg.
+            const writeFrame = async (buffer) => {
+                if (!frameStream.write(buffer)) {
+                    await Promise.race([
+                        once(frameStream, 'drain'),
+                        encoded.then(() => {
+                            throw new Error('ffmpeg exited before all frames were written');
+                        })
+                    ]);
+                }
+            };
+            if (forwardOnly) {
+                // Send the shown frames as soon as they are composed
+                let next = 0;
+                await compositeFrames(animation, async (canvas, frame, i) => {
+                    if (sequence.frames[next] !== i) {
+                        checkKilled();
+                        return true;
+                    }
+                    // The canvas is reused for the next frame, so send a copy
+                    const pixels = flatten(canvas);
+                    await writeFrame(pixels);
+                    if (next === last) {
+                        await writeFrame(pixels);
+                    }
+                    reportFrame(next++);
+                    return next <= last;
+                });
+            } else {
+                // Compose every shown source frame once, then send them in playing order
+                const composed = [];
+                await compositeFrames(animation, (canvas, frame, i) => {
+                    checkKilled();
+                    if (shown.has(i)) composed[i] = flatten(canvas);
+                    return i < lastShown;
+                });
+                for (let i = 0; i < frameCount; i++) {
+                    await writeFrame(composed[sequence.frames[i]]);
+                    if (i === last) {
+                        await writeFrame(composed[sequence.frames[i]]);
+                    }
+                    reportFrame(i);
+                }
+            }
+            frameStream.end();
+            composedAt = Date.now();
+            allFramesSent = true;
+            sendProgress('encoding', 0, 'Encoding video');
+        }
+
+        // Decoded frames are no longer needed while ffmpeg finishes
+        animation = null;
+        if (global.gc) global.gc();
+
+        await encoded;
+        if (exportDir) {
+            sendProgress('encoding', 100, format.exportMode === 'spritesheet' ? 'Packing sprite sheet' : 'Packing frames');
+            const files = fs.readdirSync(exportDir).filter((name) => name.startsWith('out_')).sort()
+                .map((name) => path.join(exportDir, name));
+            if (files.length === 0) throw new Error('ffmpeg wrote no frames');
+            // Resampled frames all last 1/fps, rounded to whole ms without drifting
+            const durations = options.timing === 'cfr'
+                ? files.map((file, i) => Math.round((i + 1) * 1000 / options.fps) - Math.round(i * 1000 / options.fps))
+                : delays.slice(0, files.length);
+            if (format.exportMode === 'spritesheet') {
+                await writeSpriteSheet(files, durations, plays, options.sheet, outputPath);
+            } else {
+                await writeFrameArchive(files, durations, plays, outputPath);
+            }
+        }
+        const timings = { composition: composedAt - startedAt, encoding: Date.now() - composedAt };
+        return { inputFormat, frameCount, duration: totalDuration, transport, timings };
+    } catch (error) {
+        // A piped ffmpeg would otherwise keep waiting for the remaining frames
+        command.kill('SIGKILL');
+        throw error;
+    } finally {
+        control.command = null;
+        if (ownTempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Number of plays stored in formats that loop by themselves (GIF, APNG).
+// Without loop options they loop forever as before; repetitions that were
+// written out are played once, unless the source itself loops forever.
+function outputPlays(loop, sourceLoops) {
+    if (!loop) return 0;
+    if (loop.plays === 'source' && sourceLoops === 0 && !loop.minDuration) return 0;
+    return 1;
+}
+
+// setpts expression giving frame N its start time in ms, i.e. the sum of the
+// durations before it (for the tail, N = durations.length, the total). Runs of
+// equal durations share one term, so a constant frame rate stays a single
+// term however long the animation is.
+function timestampExpression(durations) {
+    const terms = [];
+    let start = 0;
+    while (start < durations.length) {
+        let end = start + 1;
+        while (end < durations.length && durations[end] === durations[start]) end++;
+        terms.push(`${durations[start]}*clip(N-${start},0,${end - start})`);
+        start = end;
+    }
+    return terms.join('+');
+}
+
+function frameFileName(index) {
+    return `frame_${index.toString().padStart(5, '0')}.png`;
+}
+
+function writePng(canvas, width, height, outPath) {
+    const png = new PNG({ width, height });
+    png.data = Buffer.from(canvas);
+    return new Promise((resolve, reject) => png.pack().pipe(fs.createWriteStream(outPath)).on('finish', resolve).on('error', reject));
+}
+
+// Write an ffconcat list playing the frame files in the given order
+// (source frame indices), each for its own display duration.
+// Each entry is opened at 1000fps so timestamps land on whole milliseconds
+// instead of ffmpeg's default 1/25s grid. The concat demuxer ignores the
+// duration of the last entry, so the last frame is listed twice: once for
+// all but 1ms of its delay and once more as a 1ms tail that closes the timeline.
+function writeFrameList(dir, order, delays) {
+    const lines = ['ffconcat version 1.0'];
+    const addEntry = (i, delay) => {
+        lines.push(`file '${frameFileName(order[i])}'`);
+        lines.push('option framerate 1000');
+        if (delay !== undefined) lines.push(`duration ${(delay / 1000).toFixed(3)}`);
+    };
+
+    const last = delays.length - 1;
+    for (let i = 0; i < last; i++) {
+        addEntry(i, delays[i]);
+    }
+    if (delays[last] > 1) {
+        addEntry(last, delays[last] - 1);
+    }
+    addEntry(last);
+
+    const listPath = path.join(dir, 'frames.txt');
+    fs.writeFileSync(listPath, lines.join('\n') + '\n');
+    return listPath;
+}
+
+module.exports = {
+    convertWebP
+};
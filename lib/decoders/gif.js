@@ -0,0 +1,78 @@
+const { GifReader } = require('omggif');
+
+// GIF disposal methods: 0 (unspecified) and 1 keep the frame in place,
+// 2 restores its area to the background and 3 to the previous canvas
+const DISPOSAL_METHODS = { 2: 'background', 3: 'previous' };
+
+// Frame rectangles and timing as listed in the GIF's image descriptors
+function readFrames(reader) {
+    const frames = [];
+    for (let i = 0; i < reader.numFrames(); i++) {
+        const info = reader.frameInfo(i);
+        frames.push({
+            x: info.x,
+            y: info.y,
+            width: info.width,
+            height: info.height,
+            // GIF delays are in centiseconds; like browsers, play 0-1cs at the default delay
+            delay: info.delay <= 1 ? 0 : info.delay * 10,
+            // Transparent pixels always let the canvas show through
+            blend: true,
+            dispose: DISPOSAL_METHODS[info.disposal] || 'none'
+        });
+    }
+    return frames;
+}
+
+function decode(buffer) {
+    const reader = new GifReader(buffer);
+    const width = reader.width;
+    const height = reader.height;
+
+    const frames = readFrames(reader);
+    let hasAlpha = false;
+    for (let i = 0; i < reader.numFrames(); i++) {
+        if (reader.frameInfo(i).transparent_index !== null) hasAlpha = true;
+    }
+
+    // Without a NETSCAPE extension the animation plays once; otherwise the
+    // count is the number of repeats after the first play (0 = forever)
+    const loopCount = reader.loopCount();
+    const loops = loopCount === null ? 1 : loopCount === 0 ? 0 : loopCount + 1;
+
+    // omggif only blits onto a full canvas, so frames are decoded into a
+    // scratch canvas and their rectangle is copied out
+    const scratch = Buffer.alloc(width * height * 4);
+
+    return {
+        format: 'gif',
+        width,
+        height,
+        loops,
+        hasAlpha,
+        // The logical screen background is ignored by browsers; disposed areas become transparent
+        background: [0, 0, 0, 0],
+        frames,
+        getFrameData: async (index) => {
+            const frame = frames[index];
+            const rgba = Buffer.alloc(frame.width * frame.height * 4);
+            scratch.fill(0);
+            reader.decodeAndBlitFrameRGBA(index, scratch);
+            for (let y = 0; y < frame.height; y++) {
+                const start = ((frame.y + y) * width + frame.x) * 4;
+                scratch.copy(rgba, y * frame.width * 4, start, start + frame.width * 4);
+            }
+            return rgba;
+        }
+    };
+}
+
+// The canvas size and frame rectangles, without decoding any pixels.
+// omggif only walks the blocks of the file here; the LZW data is decoded by
+// decodeAndBlitFrameRGBA.
+function probe(buffer) {
+    const reader = new GifReader(buffer);
+    return { format: 'gif', width: reader.width, height: reader.height, frames: readFrames(reader) };
+}
+
+module.exports = { decode, probe };
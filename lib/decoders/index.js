@@ -0,0 +1,103 @@
+const fs = require('fs');
+const webp = require('./webp');
+const gif = require('./gif');
+const png = require('./png');
+
+// Every decoder returns the same description of the animation:
+// {
+//     format, width, height,
+//     loops,        // number of plays, 0 = forever
+//     hasAlpha,
+//     background,   // RGBA the canvas starts with and disposes to
+//     frames: [{ x, y, width, height, delay (ms), blend, dispose: 'none' | 'background' | 'previous' }],
+//     getFrameData(index) // resolves to the RGBA pixels of the frame rectangle
+// }
+// and a probe(buffer) that reads only the headers and returns
+// { format, width, height, frames: [{ x, y, width, height, delay }] }, or
+// throws if the structure of the file is broken.
+const DECODERS = { webp, gif, png };
+
+// Number of leading bytes needed to recognise every supported format
+const MAGIC_LENGTH = 12;
+
+// Frames without a delay fall back to 100ms (10fps), as in browsers
+const DEFAULT_FRAME_DELAY = 100;
+
+// Identify an input by its leading bytes rather than its name
+function detectFormat(buffer) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+        return 'gif';
+    }
+    if (buffer.length >= png.PNG_SIGNATURE.length && buffer.subarray(0, png.PNG_SIGNATURE.length).equals(png.PNG_SIGNATURE)) {
+        return 'png';
+    }
+    return null;
+}
+
+// Video inputs of the reverse conversion, which ffmpeg decodes (see webp-worker.js)
+function detectVideoFormat(buffer) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+        return 'mp4';
+    }
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+        return 'webm';
+    }
+    return detectFormat(buffer) === 'gif' ? 'gif' : null;
+}
+
+function readLeadingBytes(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(MAGIC_LENGTH);
+        const bytesRead = fs.readSync(fd, buffer, 0, MAGIC_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function detectFileFormat(filePath) {
+    return detectFormat(readLeadingBytes(filePath));
+}
+
+function detectVideoFileFormat(filePath) {
+    return detectVideoFormat(readLeadingBytes(filePath));
+}
+
+// Display duration (ms) of each frame, in order
+function frameDelays(animation) {
+    return animation.frames.map((frame) => frame.delay || DEFAULT_FRAME_DELAY);
+}
+
+async function openAnimation(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+    const format = detectFormat(buffer);
+    if (!format) {
+        throw new Error('Unsupported input format');
+    }
+    return DECODERS[format].decode(buffer);
+}
+
+// Header information of an input file (see probe above). Throws for
+// unsupported or malformed files.
+function probeFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const format = detectFormat(buffer);
+    if (!format) {
+        throw new Error('Unsupported input format');
+    }
+    return DECODERS[format].probe(buffer);
+}
+
+module.exports = {
+    detectFormat,
+    detectFileFormat,
+    detectVideoFormat,
+    detectVideoFileFormat,
+    frameDelays,
+    openAnimation,
+    probeFile
+};
@@ -0,0 +1,155 @@
+const { PNG } = require('pngjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// APNG dispose_op values, by index
+const DISPOSE_OPS = ['none', 'background', 'previous'];
+
+// Chunks handled by the decoder itself; every other chunk found before the
+// image data (palette, transparency, colour space) is copied into each frame
+const FRAME_CHUNKS = ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fdAT', 'IEND'];
+
+function readChunks(buffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+// Frame rectangle and timing from an fcTL chunk
+function readFrameControl(data) {
+    const delayNum = data.readUInt16BE(20);
+    const delayDen = data.readUInt16BE(22) || 100;
+    return {
+        width: data.readUInt32BE(4),
+        height: data.readUInt32BE(8),
+        x: data.readUInt32BE(12),
+        y: data.readUInt32BE(16),
+        delay: Math.round(delayNum * 1000 / delayDen),
+        dispose: DISPOSE_OPS[data[24]] || 'none',
+        blend: data[25] === 1
+    };
+}
+
+// CRCs are left empty; frames are decoded with CRC checks disabled
+function writeChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, data, Buffer.alloc(4)]);
+}
+
+// Decodes a plain PNG as a single frame, or every frame of an APNG
+function decode(buffer) {
+    const chunks = readChunks(buffer);
+    const ihdr = chunks.find((chunk) => chunk.type === 'IHDR');
+    if (!ihdr) throw new Error('PNG is missing its IHDR chunk');
+    const width = ihdr.data.readUInt32BE(0);
+    const height = ihdr.data.readUInt32BE(4);
+    // Colour types 4 and 6 carry alpha; tRNS adds it to the others
+    const hasAlpha = (ihdr.data[9] & 4) !== 0 || chunks.some((chunk) => chunk.type === 'tRNS');
+    const actl = chunks.find((chunk) => chunk.type === 'acTL');
+
+    if (!actl) {
+        return {
+            format: 'png',
+            width,
+            height,
+            loops: 0,
+            hasAlpha,
+            background: [0, 0, 0, 0],
+            frames: [{ x: 0, y: 0, width, height, delay: 0, blend: false, dispose: 'none' }],
+            getFrameData: async () => PNG.sync.read(buffer).data
+        };
+    }
+
+    const firstData = chunks.findIndex((chunk) => chunk.type === 'IDAT');
+    const shared = chunks.filter((chunk, index) => index < firstData && !FRAME_CHUNKS.includes(chunk.type));
+
+    const frames = [];
+    let current = null;
+    for (const chunk of chunks) {
+        if (chunk.type === 'fcTL') {
+            current = Object.assign(readFrameControl(chunk.data), { data: [] });
+            frames.push(current);
+        } else if (chunk.type === 'IDAT' && current) {
+            // IDAT before the first fcTL is a default image that is not part of the animation
+            current.data.push(chunk.data);
+        } else if (chunk.type === 'fdAT' && current) {
+            // Skip the sequence number
+            current.data.push(chunk.data.subarray(4));
+        }
+    }
+
+    // A 'previous' disposal on the first frame is treated as 'background'
+    if (frames.length > 0 && frames[0].dispose === 'previous') {
+        frames[0].dispose = 'background';
+    }
+
+    return {
+        format: 'png',
+        width,
+        height,
+        loops: actl.data.readUInt32BE(4),
+        hasAlpha,
+        // The APNG canvas starts out fully transparent
+        background: [0, 0, 0, 0],
+        frames: frames.map(({ data, ...frame }) => frame),
+        getFrameData: async (index) => {
+            // Rebuild a standalone PNG for the frame and decode that
+            const frame = frames[index];
+            const header = Buffer.from(ihdr.data);
+            header.writeUInt32BE(frame.width, 0);
+            header.writeUInt32BE(frame.height, 4);
+            const png = Buffer.concat([
+                PNG_SIGNATURE,
+                writeChunk('IHDR', header),
+                ...shared.map((chunk) => writeChunk(chunk.type, chunk.data)),
+                writeChunk('IDAT', Buffer.concat(frame.data)),
+                writeChunk('IEND', Buffer.alloc(0))
+            ]);
+            return PNG.sync.read(png, { checkCRC: false }).data;
+        }
+    };
+}
+
+// The canvas size and frame rectangles from the chunk headers, without
+// decoding any pixels. Unlike readChunks() this refuses truncated chunks.
+function probe(buffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        if (offset + 12 + length > buffer.length) {
+            throw new Error(`Chunk "${type}" at byte ${offset} extends past the end of the file`);
+        }
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+    if (chunks.length === 0 || chunks[0].type !== 'IHDR' || chunks[0].data.length !== 13) {
+        throw new Error('PNG must start with an IHDR chunk');
+    }
+    const width = chunks[0].data.readUInt32BE(0);
+    const height = chunks[0].data.readUInt32BE(4);
+    if (width === 0 || height === 0) {
+        throw new Error(`PNG has an empty size (${width}x${height})`);
+    }
+    if (!chunks.some((chunk) => chunk.type === 'acTL')) {
+        return { format: 'png', width, height, frames: [{ x: 0, y: 0, width, height, delay: 0 }] };
+    }
+    const frames = chunks.filter((chunk) => chunk.type === 'fcTL').map((chunk, index) => {
+        if (chunk.data.length < 26) throw new Error(`Frame ${index}: fcTL chunk is too short`);
+        return readFrameControl(chunk.data);
+    });
+    return { format: 'png', width, height, frames };
+}
+
+module.exports = { PNG_SIGNATURE, decode, probe };
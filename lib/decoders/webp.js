@@ -0,0 +1,163 @@
+const WebP = require('node-webpmux');
+
+// VP8X feature flag of animated files
+const ANIMATION_FLAG = 0x02;
+
+async function decode(buffer) {
+    await WebP.Image.initLib();
+    const img = new WebP.Image();
+    await img.load(buffer);
+
+    if (!img.hasAnim) {
+        return {
+            format: 'webp',
+            width: img.width,
+            height: img.height,
+            loops: 0,
+            hasAlpha: !!img.hasAlpha,
+            background: [0, 0, 0, 0],
+            frames: [{ x: 0, y: 0, width: img.width, height: img.height, delay: 0, blend: false, dispose: 'none' }],
+            getFrameData: () => img.getImageData()
+        };
+    }
+
+    return {
+        format: 'webp',
+        width: img.width,
+        height: img.height,
+        loops: img.anim.loops || 0,
+        hasAlpha: !!img.hasAlpha,
+        // The background colour is only a hint, which browsers ignore; the
+        // canvas starts transparent and is flattened later if needed
+        background: [0, 0, 0, 0],
+        // Frame offsets are stored halved in the ANMF chunk
+        frames: img.anim.frames.map((frame) => ({
+            x: (frame.x || 0) * 2,
+            y: (frame.y || 0) * 2,
+            width: frame.width,
+            height: frame.height,
+            delay: frame.delay,
+            blend: frame.blend !== false,
+            dispose: frame.dispose === true ? 'background' : 'none'
+        })),
+        getFrameData: (index) => img.getFrameData(index)
+    };
+}
+
+// Read the dimensions and frame rectangles from the RIFF container and the
+// bitstream headers only, without decoding any pixels. Checks the structure
+// on the way (chunk sizes, chunk order, frame sizes matching their
+// bitstreams) and throws an Error describing the first problem found.
+function probe(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        throw new Error('Missing RIFF/WEBP signature');
+    }
+    const end = 8 + buffer.readUInt32LE(4);
+    if (end > buffer.length) {
+        throw new Error(`File is truncated: the RIFF header declares ${end} bytes, the file has ${buffer.length}`);
+    }
+    const chunks = readChunks(buffer, 12, end);
+    if (chunks.length === 0) {
+        throw new Error('File contains no chunks');
+    }
+
+    const first = chunks[0];
+    if (first.type === 'VP8 ' || first.type === 'VP8L') {
+        const { width, height } = bitstreamSize(first);
+        return { format: 'webp', width, height, frames: [{ x: 0, y: 0, width, height, delay: 0 }] };
+    }
+    if (first.type !== 'VP8X') {
+        throw new Error(`The first chunk must be VP8, VP8L or VP8X, found "${first.type}"`);
+    }
+    if (first.data.length < 10) {
+        throw new Error('VP8X chunk is too short');
+    }
+    const width = first.data.readUIntLE(4, 3) + 1;
+    const height = first.data.readUIntLE(7, 3) + 1;
+
+    if (!(first.data[0] & ANIMATION_FLAG)) {
+        const image = chunks.find((chunk) => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+        if (!image) throw new Error('File contains no image data');
+        const size = bitstreamSize(image);
+        if (size.width !== width || size.height !== height) {
+            throw new Error(`Image is ${size.width}x${size.height} but the canvas is ${width}x${height}`);
+        }
+        return { format: 'webp', width, height, frames: [{ x: 0, y: 0, width, height, delay: 0 }] };
+    }
+
+    const animIndex = chunks.findIndex((chunk) => chunk.type === 'ANIM');
+    const firstFrame = chunks.findIndex((chunk) => chunk.type === 'ANMF');
+    if (animIndex === -1 || chunks[animIndex].data.length < 6) {
+        throw new Error('Animated file is missing its ANIM chunk');
+    }
+    if (firstFrame === -1) {
+        throw new Error('Animation contains no frames');
+    }
+    if (firstFrame < animIndex) {
+        throw new Error('ANMF chunk found before the ANIM chunk');
+    }
+
+    const frames = chunks.filter((chunk) => chunk.type === 'ANMF').map((chunk, index) => {
+        if (chunk.data.length < 16) {
+            throw new Error(`Frame ${index}: ANMF chunk is too short`);
+        }
+        const frame = {
+            // Offsets are stored halved
+            x: chunk.data.readUIntLE(0, 3) * 2,
+            y: chunk.data.readUIntLE(3, 3) * 2,
+            width: chunk.data.readUIntLE(6, 3) + 1,
+            height: chunk.data.readUIntLE(9, 3) + 1,
+            delay: chunk.data.readUIntLE(12, 3)
+        };
+        const image = readChunks(chunk.data, 16, chunk.data.length).find((sub) => sub.type === 'VP8 ' || sub.type === 'VP8L');
+        if (!image) {
+            throw new Error(`Frame ${index} contains no image data`);
+        }
+        const size = bitstreamSize(image);
+        if (size.width !== frame.width || size.height !== frame.height) {
+            throw new Error(`Frame ${index}: image is ${size.width}x${size.height} but the frame header says ${frame.width}x${frame.height}`);
+        }
+        return frame;
+    });
+    return { format: 'webp', width, height, frames };
+}
+
+// Chunks between start and end: [{ type, offset, data }]. Chunks are padded
+// to an even size.
+function readChunks(buffer, start, end) {
+    const chunks = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const type = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (offset + 8 + size > end) {
+            throw new Error(`Chunk "${type}" at byte ${offset} extends past the end of its container`);
+        }
+        chunks.push({ type, offset, data: buffer.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+// Dimensions from the header of a VP8 (lossy) or VP8L (lossless) bitstream
+function bitstreamSize(chunk) {
+    const data = chunk.data;
+    if (chunk.type === 'VP8L') {
+        if (data.length < 5 || data[0] !== 0x2f) {
+            throw new Error(`VP8L bitstream at byte ${chunk.offset} has an invalid signature`);
+        }
+        const bits = data.readUInt32LE(1);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (data.length < 10 || data[3] !== 0x9d || data[4] !== 0x01 || data[5] !== 0x2a) {
+        throw new Error(`VP8 bitstream at byte ${chunk.offset} has an invalid start code`);
+    }
+    const width = data.readUInt16LE(6) & 0x3fff;
+    const height = data.readUInt16LE(8) & 0x3fff;
+    if (width === 0 || height === 0) {
+        throw new Error(`VP8 bitstream at byte ${chunk.offset} has an empty size`);
+    }
+    return { width, height };
+}
+
+module.exports = { decode, probe };
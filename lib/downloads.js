@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Time-limited download links for stored results. A link carries its expiry
+// time and an HMAC-SHA256 signature of the key and that time, so any server
+// instance that shares the secret and the storage can check and serve it
+// without knowing the job.
+
+const settings = {
+    // Replaced by configure(); a random secret only works within one process
+    secret: crypto.randomBytes(32).toString('hex'),
+    ttlMs: 60 * 60 * 1000
+};
+
+// secret: HMAC key; ttlMs: how long a newly created link is valid
+function configure({ secret, ttlMs }) {
+    if (secret !== undefined) settings.secret = secret;
+    if (ttlMs !== undefined) settings.ttlMs = ttlMs;
+}
+
+// Link to the result stored under key, valid for ttlMs but never beyond
+// notAfter (ms, e.g. when the result is removed from storage)
+function createLink(key, notAfter = Infinity) {
+    const expires = Math.floor(Math.min(Date.now() + settings.ttlMs, notAfter) / 1000);
+    return `/downloads/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+// Returns null for a valid link, otherwise the error code of the reason it
+// is refused (see lib/i18n)
+function verifyLink(key, expires, signature) {
+    if (typeof expires !== 'string' || !/^\d{1,12}$/.test(expires) || typeof signature !== 'string') {
+        return 'INVALID_DOWNLOAD_LINK';
+    }
+    const expected = Buffer.from(sign(key, Number(expires)));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'INVALID_DOWNLOAD_LINK';
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+        return 'DOWNLOAD_LINK_EXPIRED';
+    }
+    return null;
+}
+
+function sign(key, expires) {
+    return crypto.createHmac('sha256', settings.secret).update(`${key}\n${expires}`).digest('hex');
+}
+
+module.exports = {
+    configure,
+    createLink,
+    verifyLink
+};
@@ -0,0 +1,162 @@
+const { OUTPUT_FORMATS } = require('./formats');
+
+// Encoders whose quality can be tuned.
+// Formats whose encoder is not listed here (GIF, APNG, ProRes) only support size limits.
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const H26X_LEVELS = ['3.0', '3.1', '4.0', '4.1', '4.2', '5.0', '5.1', '5.2'];
+
+// Lossless mode and levels are passed either as plain ffmpeg options or, for
+// encoders that ignore them, as encoder-private parameters (paramsOption).
+const ENCODERS = {
+    libx264: {
+        crfRange: [0, 51],
+        presets: X264_PRESETS,
+        profiles: ['baseline', 'main', 'high'],
+        levels: H26X_LEVELS,
+        losslessOptions: ['-qp', '0']
+    },
+    libx265: {
+        crfRange: [0, 51],
+        presets: X264_PRESETS,
+        profiles: ['main'],
+        levels: H26X_LEVELS,
+        paramsOption: '-x265-params',
+        losslessParams: ['lossless=1'],
+        levelParam: 'level-idc',
+        // Needed for HEVC playback in Apple players
+        outputOptions: ['-tag:v', 'hvc1']
+    },
+    'libvpx-vp9': {
+        crfRange: [0, 63],
+        defaultCrf: 30,
+        presets: [],
+        profiles: [],
+        levels: [],
+        losslessOptions: ['-lossless', '1']
+    }
+};
+
+// Codec choices per output format (without a choice the format's own videoCodec is used)
+const FORMAT_CODECS = {
+    mp4: { h264: 'libx264', h265: 'libx265' }
+};
+
+// Named quality presets. CRF values are per encoder because their scales differ.
+const QUALITY_PRESETS = {
+    'web-small': {
+        crf: { libx264: 28, libx265: 30, 'libvpx-vp9': 42 },
+        preset: 'slow',
+        maxWidth: 720,
+        maxHeight: 720
+    },
+    'high-quality': {
+        crf: { libx264: 18, libx265: 20, 'libvpx-vp9': 24 },
+        preset: 'slow'
+    },
+    'lossless': {
+        lossless: true,
+        preset: 'veryslow'
+    }
+};
+
+// Largest value accepted for maxWidth/maxHeight
+const MAX_DIMENSION = 8192;
+
+// Share of the target size reserved for container overhead
+const CONTAINER_OVERHEAD = 0.05;
+
+// Name of the ffmpeg encoder used for a format and (optional) codec choice
+function resolveVideoCodec(format, codec) {
+    const codecs = FORMAT_CODECS[format];
+    if (codecs && codec) return codecs[codec];
+    return OUTPUT_FORMATS[format].videoCodec;
+}
+
+// Merge a named quality preset with explicit overrides for a given encoder.
+// Explicit values always win over the preset.
+function resolveEncoding(encoding, videoCodec) {
+    const preset = encoding.quality ? QUALITY_PRESETS[encoding.quality] : {};
+    const encoder = ENCODERS[videoCodec] || {};
+    const resolved = {
+        crf: preset.crf ? preset.crf[videoCodec] : encoder.defaultCrf,
+        preset: preset.preset,
+        lossless: !!preset.lossless,
+        maxWidth: preset.maxWidth,
+        maxHeight: preset.maxHeight
+    };
+    for (const key of ['crf', 'preset', 'profile', 'level', 'maxWidth', 'maxHeight', 'targetSizeKB']) {
+        if (encoding[key] !== undefined) resolved[key] = encoding[key];
+    }
+    // An explicit rate setting replaces a lossless preset
+    if (encoding.crf !== undefined || encoding.targetSizeKB !== undefined) {
+        resolved.lossless = false;
+    }
+    return resolved;
+}
+
+// Scale filter shrinking frames to fit inside maxWidth x maxHeight (either may
+// be omitted) while preserving the aspect ratio, never upscaling
+function fitWithinFilter(maxWidth, maxHeight) {
+    const w = maxWidth ? `'min(iw,${maxWidth})'` : 'iw';
+    const h = maxHeight ? `'min(ih,${maxHeight})'` : 'ih';
+    return `scale=${w}:${h}:force_original_aspect_ratio=decrease`;
+}
+
+// Build the encoder part of the ffmpeg command for a format.
+// durationMs is the output duration, used to turn a target size into a bitrate.
+function buildEncoderSettings(format, encoding = {}, durationMs) {
+    const videoCodec = resolveVideoCodec(format, encoding.codec);
+    const encoder = ENCODERS[videoCodec];
+    const resolved = resolveEncoding(encoding, videoCodec);
+    const outputOptions = [];
+    const filters = [];
+
+    if (resolved.maxWidth || resolved.maxHeight) {
+        filters.push(fitWithinFilter(resolved.maxWidth, resolved.maxHeight));
+    }
+
+    if (encoder) {
+        const params = [];
+        if (resolved.targetSizeKB) {
+            const seconds = Math.max(durationMs, 1) / 1000;
+            const bitsPerSecond = resolved.targetSizeKB * 8192 * (1 - CONTAINER_OVERHEAD) / seconds;
+            const kbps = Math.max(16, Math.floor(bitsPerSecond / 1000));
+            outputOptions.push('-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`);
+        } else if (resolved.lossless) {
+            if (encoder.losslessParams) params.push(...encoder.losslessParams);
+            else outputOptions.push(...encoder.losslessOptions);
+        } else if (resolved.crf !== undefined) {
+            outputOptions.push('-crf', String(resolved.crf));
+            // VP9 only runs in constant quality mode with a zero bitrate
+            if (videoCodec === 'libvpx-vp9') outputOptions.push('-b:v', '0');
+        }
+        if (resolved.preset && encoder.presets.includes(resolved.preset)) {
+            outputOptions.push('-preset', resolved.preset);
+        }
+        if (resolved.profile && !resolved.lossless) {
+            outputOptions.push('-profile:v', resolved.profile);
+        }
+        if (resolved.level) {
+            if (encoder.levelParam) params.push(`${encoder.levelParam}=${resolved.level.replace('.', '')}`);
+            else outputOptions.push('-level:v', resolved.level);
+        }
+        if (params.length > 0) {
+            outputOptions.push(encoder.paramsOption, params.join(':'));
+        }
+        if (encoder.outputOptions) {
+            outputOptions.push(...encoder.outputOptions);
+        }
+    }
+
+    return { videoCodec, outputOptions, filters };
+}
+
+module.exports = {
+    ENCODERS,
+    FORMAT_CODECS,
+    QUALITY_PRESETS,
+    MAX_DIMENSION,
+    resolveVideoCodec,
+    fitWithinFilter,
+    buildEncoderSettings
+};
@@ -0,0 +1,133 @@
+// Supported output formats.
+// extension/mimeType are used by server.js for the download response,
+// the remaining fields describe the ffmpeg encoder settings used by the worker.
+// alpha tells whether the output keeps transparency; frames for the other
+// formats are flattened onto a background first (see lib/background.js).
+// finalDelayOptions is set for image formats whose muxer cannot take the last
+// frame's duration from the stream and needs it passed explicitly (in ms).
+// loopOptions is set for formats that store how often they are played
+// (plays, 0 = forever); video containers are played once.
+// exportMode is set for formats that are no video: ffmpeg writes one PNG per
+// output frame, which lib/spritesheet.js then zips ('frames') or packs into
+// sprite sheets ('spritesheet').
+const OUTPUT_FORMATS = {
+    mp4: {
+        label: 'MP4 (H.264)',
+        extension: '.mp4',
+        mimeType: 'video/mp4',
+        videoCodec: 'libx264',
+        pixelFormat: 'yuv420p',
+        // 4:2:0 chroma subsampling needs even dimensions
+        alpha: false,
+        evenDimensions: true,
+        // x264's B-frame reordering breaks the MP4 track duration on sparse VFR input
+        vfrOptions: ['-bf', '0'],
+        outputOptions: []
+    },
+    webm: {
+        label: 'WebM (VP9 + alpha)',
+        extension: '.webm',
+        mimeType: 'video/webm',
+        videoCodec: 'libvpx-vp9',
+        pixelFormat: 'yuva420p',
+        alpha: true,
+        evenDimensions: true,
+        vfrOptions: [],
+        outputOptions: ['-row-mt', '1']
+    },
+    gif: {
+        label: 'GIF',
+        extension: '.gif',
+        mimeType: 'image/gif',
+        videoCodec: 'gif',
+        pixelFormat: null,
+        alpha: true,
+        evenDimensions: false,
+        // Build an optimised palette from the whole animation, keeping one slot for transparency
+        paletteFilter: 'split[a][b];[a]palettegen=reserve_transparent=1:stats_mode=diff[p];[b][p]paletteuse=dither=sierra2_4a:diff_mode=rectangle',
+        vfrOptions: [],
+        finalDelayOptions: (ms) => ['-final_delay', String(Math.round(ms / 10))],
+        // The GIF muxer counts repeats after the first play; -1 plays once
+        loopOptions: (plays) => ['-loop', String(plays === 0 ? 0 : plays === 1 ? -1 : plays - 1)],
+        outputOptions: []
+    },
+    apng: {
+        label: 'APNG',
+        extension: '.apng',
+        mimeType: 'image/apng',
+        muxer: 'apng',
+        videoCodec: 'apng',
+        pixelFormat: 'rgba',
+        alpha: true,
+        evenDimensions: false,
+        vfrOptions: [],
+        finalDelayOptions: (ms) => ['-final_delay', String(ms / 1000)],
+        loopOptions: (plays) => ['-plays', String(plays)],
+        outputOptions: []
+    },
+    mov: {
+        label: 'MOV (ProRes 4444)',
+        extension: '.mov',
+        mimeType: 'video/quicktime',
+        videoCodec: 'prores_ks',
+        pixelFormat: 'yuva444p10le',
+        alpha: true,
+        evenDimensions: false,
+        vfrOptions: [],
+        outputOptions: ['-profile:v', '4444', '-vendor', 'apl0']
+    },
+    frames: {
+        label: 'PNG frames (ZIP)',
+        extension: '.zip',
+        mimeType: 'application/zip',
+        muxer: 'image2',
+        videoCodec: 'png',
+        pixelFormat: 'rgba',
+        alpha: true,
+        evenDimensions: false,
+        exportMode: 'frames',
+        vfrOptions: [],
+        outputOptions: []
+    },
+    spritesheet: {
+        label: 'Sprite sheet (ZIP)',
+        extension: '.zip',
+        mimeType: 'application/zip',
+        muxer: 'image2',
+        videoCodec: 'png',
+        pixelFormat: 'rgba',
+        alpha: true,
+        evenDimensions: false,
+        exportMode: 'spritesheet',
+        vfrOptions: [],
+        outputOptions: []
+    }
+};
+
+const DEFAULT_FORMAT = 'mp4';
+
+// Output of the reverse conversion (video or GIF to animated WebP, see webp-worker.js).
+// Kept apart from OUTPUT_FORMATS because it is encoded by node-webpmux, not ffmpeg.
+const WEBP_OUTPUT = {
+    label: 'Animated WebP',
+    extension: '.webp',
+    mimeType: 'image/webp'
+};
+
+// Download details (extension, mimeType) of a job's output format
+function getOutputType(format) {
+    return format === 'webp' ? WEBP_OUTPUT : OUTPUT_FORMATS[format];
+}
+
+// Download details of a stored result, found by its file extension
+function findOutputTypeByExtension(extension) {
+    return [...Object.values(OUTPUT_FORMATS), WEBP_OUTPUT].find((type) => type.extension === extension);
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_FORMAT,
+    WEBP_OUTPUT,
+    getOutputType,
+    findOutputTypeByExtension
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal glob matching for the command line tool, so patterns also work in
+// shells that do not expand them (e.g. Windows cmd):
+//   *   any characters within one path segment
+//   ?   one character within one path segment
+//   **  any number of directories
+// Hidden entries only match segments that start with a dot themselves.
+
+function hasMagic(pattern) {
+    return /[*?]/.test(pattern);
+}
+
+// Files matching the pattern, sorted; paths keep the form of the pattern
+// (relative patterns give paths relative to the working directory)
+function expandGlob(pattern) {
+    const segments = pattern.split(path.sep === '\\' ? /[\\/]/ : '/');
+    let prefix = '';
+    if (path.isAbsolute(pattern)) {
+        prefix = segments.shift() + path.sep;
+    }
+    const results = new Set();
+    matchSegments(prefix, segments.filter((segment) => segment !== '' && segment !== '.'), results);
+    return [...results].sort();
+}
+
+function matchSegments(prefix, segments, results) {
+    if (segments.length === 0) {
+        if (isFile(prefix)) results.add(prefix);
+        return;
+    }
+
+    const [segment, ...rest] = segments;
+    if (segment === '**') {
+        // Zero directories, or descend one level and try again
+        matchSegments(prefix, rest, results);
+        readEntries(prefix).forEach((entry) => {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                matchSegments(path.join(prefix, entry.name), segments, results);
+            }
+        });
+        return;
+    }
+
+    if (!hasMagic(segment)) {
+        matchSegments(path.join(prefix, segment), rest, results);
+        return;
+    }
+
+    const regex = segmentRegExp(segment);
+    readEntries(prefix).forEach((entry) => {
+        if (entry.name.startsWith('.') && !segment.startsWith('.')) return;
+        if (regex.test(entry.name)) {
+            matchSegments(path.join(prefix, entry.name), rest, results);
+        }
+    });
+}
+
+function segmentRegExp(segment) {
+    const source = segment.split('').map((char) => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+function readEntries(dir) {
+    try {
+        return fs.readdirSync(dir || '.', { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+}
+
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    hasMagic,
+    expandGlob
+};
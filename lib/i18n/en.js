@@ -0,0 +1,76 @@
+// English messages, by error code (see lib/i18n/index.js)
+module.exports = {
+    // Uploads
+    UNSUPPORTED_IMAGE_TYPE: 'Only WebP, GIF, PNG and APNG files are allowed!',
+    UNSUPPORTED_VIDEO_TYPE: 'Only MP4, WebM and GIF files are allowed!',
+    FILE_TOO_LARGE: 'File too large! Maximum size is {maxSizeMB}MB.',
+    UPLOAD_ERROR: 'File upload error.',
+    NO_FILE_UPLOADED: 'No file uploaded.',
+    UPLOAD_NOT_FOUND: 'Uploaded file not found/safe.',
+    INVALID_FILE_PATH: 'Invalid file path.',
+    UNREADABLE_UPLOAD: 'The uploaded file could not be read.',
+    NOT_AN_IMAGE: 'File content is not a WebP, GIF, PNG or APNG image.',
+    NOT_A_VIDEO: 'File content is not an MP4, WebM or GIF file.',
+    INPUT_MALFORMED: 'The file structure is invalid or damaged. {detail}',
+    INPUT_TOO_LARGE: 'The animation exceeds the limits of the server. {detail}',
+    BACKGROUND_IMAGE_REQUIRED: 'The "image" background needs a backgroundImage upload.',
+    BACKGROUND_IMAGE_UNEXPECTED: 'backgroundImage can only be used with background "image".',
+    BACKGROUND_IMAGE_REJECTED: 'backgroundImage: {detail}',
+
+    // Remote inputs
+    FILE_AND_URL: 'Send either a file or a url, not both.',
+    INVALID_URL: 'Invalid url: it may only be sent once.',
+    REMOTE_FETCH_FAILED: 'Could not download the remote file: {detail}',
+
+    // Options
+    INVALID_OPTION: 'Invalid conversion option: {detail}',
+    INVALID_FRAME: 'Invalid frame. Must be a frame index (0 or more).',
+    FRAME_OUT_OF_RANGE: 'Invalid frame. The animation has {frameCount} frame(s).',
+
+    // API keys, rate limits and the queue
+    API_KEY_REQUIRED: 'An API key is required.',
+    INVALID_API_KEY: 'Invalid or revoked API key.',
+    API_KEY_CHECK_FAILED: 'Could not check the API key.',
+    API_KEY_RATE_LIMITED: 'Too many requests for this API key, please try again later.',
+    QUOTA_CONCURRENT_JOBS: 'Too many jobs queued or running for this API key, please wait for one to finish.',
+    QUOTA_BYTES_PER_DAY: 'Daily conversion volume of this API key exceeded.',
+    BATCH_EXCEEDS_KEY_JOBS: 'The batch has {files} files, more than the {limit} concurrent jobs this API key allows. Send the files in smaller batches.',
+    RATE_LIMITED: 'Too many requests, please try again later.',
+    QUEUE_FULL: 'Server busy: the conversion queue is full, please try again later.',
+
+    // Jobs and batches
+    CONVERSION_FAILED: 'Conversion failed: {detail}',
+    INSPECT_FAILED: 'Error inspecting file.',
+    UNDECODABLE_ANIMATION: 'The animation could not be decoded.',
+    JOB_NOT_FOUND: 'Job not found.',
+    JOB_NOT_FINISHED: 'Job is not finished (state: {state}).',
+    JOB_HISTORY_DISABLED: 'Job history is disabled.',
+    INVALID_QUERY: 'Invalid query. Each parameter may only be sent once.',
+    INVALID_PAGE: 'Invalid page. Must be a whole number from 1.',
+    INVALID_LIMIT: 'Invalid limit. Must be a whole number from 1 to {max}.',
+    INVALID_STATE: 'Invalid state. Must be one or more of: {states}.',
+    INVALID_FORMAT: 'Invalid format.',
+    INVALID_DATE: 'Invalid {name}. Must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z.',
+    BATCH_NOT_FOUND: 'Batch not found.',
+    BATCH_NOT_FINISHED: 'Batch is not finished yet.',
+    BATCH_EMPTY: 'No file in this batch was converted successfully.',
+    BATCH_PREPARE_FAILED: 'Could not prepare the batch, no file was queued.',
+
+    // Reasons of failed jobs (errorCode of jobs and batch files)
+    JOB_CANCELLED: 'Cancelled because the client closed the connection.',
+    JOB_TIMEOUT: 'Conversion timed out after {seconds} seconds.',
+    JOB_MEMORY_LIMIT: 'Conversion exceeded the memory limit of {limitMB}MB.',
+    JOB_INTERRUPTED: 'Interrupted by a server restart.',
+    JOB_EXPIRED: 'Job expired.',
+    WORKER_FAILED: 'Error during conversion (worker failed).',
+    WORKER_START_FAILED: 'Failed to start the conversion worker.',
+    RESULT_STORE_FAILED: 'Could not store the result.',
+
+    // Results
+    INVALID_DOWNLOAD_LINK: 'Invalid download link.',
+    DOWNLOAD_LINK_EXPIRED: 'This download link has expired.',
+    STORAGE_READ_FAILED: 'Could not read the result from storage.',
+    RESULT_EXPIRED: 'The result has expired and was removed.',
+
+    BAD_REQUEST: '{detail}'
+};
@@ -0,0 +1,89 @@
+// Message catalogues of the server's user-facing texts. Every message has a
+// stable code (e.g. QUEUE_FULL), sent next to the text in JSON errors so
+// that clients can react to it without parsing the text. Messages are
+// templates: {name} is replaced by params.name.
+//
+// To add a language, add a catalogue file with the same codes and list it
+// in CATALOGUES; codes missing from it fall back to English.
+
+const CATALOGUES = {
+    'zh-TW': require('./zh-TW'),
+    en: require('./en')
+};
+
+const FALLBACK_LANGUAGE = 'en';
+
+const settings = {
+    defaultLanguage: 'zh-TW'
+};
+
+function configure({ defaultLanguage }) {
+    if (defaultLanguage !== undefined) {
+        const language = findLanguage(defaultLanguage);
+        if (!language) throw new Error(`Unsupported default language: ${defaultLanguage}`);
+        settings.defaultLanguage = language;
+    }
+}
+
+function supportedLanguages() {
+    return Object.keys(CATALOGUES);
+}
+
+// Supported language for a tag: an exact match (ignoring case), else the
+// first language with the same primary subtag ("zh-Hant-HK" -> zh-TW,
+// "en-GB" -> en). Returns null if there is none.
+function findLanguage(tag) {
+    if (typeof tag !== 'string' || !tag) return null;
+    const wanted = tag.trim().toLowerCase();
+    const languages = supportedLanguages();
+    const exact = languages.find((language) => language.toLowerCase() === wanted);
+    if (exact) return exact;
+    const primary = wanted.split('-')[0];
+    return languages.find((language) => language.toLowerCase().split('-')[0] === primary) || null;
+}
+
+// Language of a request: an explicit choice (?lang=) if supported, else
+// the best match of the Accept-Language header, else the default language
+function negotiate(requested, acceptLanguage) {
+    const chosen = findLanguage(requested);
+    if (chosen) return chosen;
+
+    const ranges = String(acceptLanguage || '').split(',').map((part, index) => {
+        const [tag, ...parameters] = part.trim().split(';');
+        const q = parameters.map((parameter) => /^\s*q=([\d.]+)\s*$/.exec(parameter)).find(Boolean);
+        return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+    }).filter((range) => range.tag && range.tag !== '*' && range.q > 0);
+    // Highest quality first; equal ones keep the order of the header
+    ranges.sort((a, b) => b.q - a.q || a.index - b.index);
+    for (const range of ranges) {
+        const language = findLanguage(range.tag);
+        if (language) return language;
+    }
+    return settings.defaultLanguage;
+}
+
+// Text of a message code in the language
+function translate(language, code, params = {}) {
+    const catalogue = CATALOGUES[language] || CATALOGUES[FALLBACK_LANGUAGE];
+    const template = catalogue[code] || CATALOGUES[FALLBACK_LANGUAGE][code] || code;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// An error carrying a message code, translated where it is answered. The
+// message is the English text, for logs.
+class LocalizedError extends Error {
+    constructor(code, params = {}, status = 400) {
+        super(translate(FALLBACK_LANGUAGE, code, params));
+        this.code = code;
+        this.params = params;
+        this.status = status;
+    }
+}
+
+module.exports = {
+    LocalizedError,
+    configure,
+    supportedLanguages,
+    negotiate,
+    translate
+};
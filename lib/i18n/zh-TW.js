@@ -0,0 +1,77 @@
+// 繁體中文訊息，依錯誤代碼排列（見 lib/i18n/index.js）
+// Details from the option and header checks ({detail}) stay in English.
+module.exports = {
+    // Uploads
+    UNSUPPORTED_IMAGE_TYPE: '只接受 WebP、GIF、PNG 或 APNG 格式的檔案！',
+    UNSUPPORTED_VIDEO_TYPE: '只接受 MP4、WebM 或 GIF 格式的檔案！',
+    FILE_TOO_LARGE: '檔案太大！最大允許 {maxSizeMB}MB。',
+    UPLOAD_ERROR: '檔案上傳錯誤。',
+    NO_FILE_UPLOADED: '未上傳檔案。',
+    UPLOAD_NOT_FOUND: '找不到上傳的檔案。',
+    INVALID_FILE_PATH: '檔案路徑無效。',
+    UNREADABLE_UPLOAD: '無法讀取上傳的檔案。',
+    NOT_AN_IMAGE: '檔案內容不是 WebP、GIF、PNG 或 APNG 格式。',
+    NOT_A_VIDEO: '檔案內容不是 MP4、WebM 或 GIF 格式。',
+    INPUT_MALFORMED: '檔案結構無效或已損毀。{detail}',
+    INPUT_TOO_LARGE: '動畫超出伺服器的處理上限。{detail}',
+    BACKGROUND_IMAGE_REQUIRED: '請上傳背景圖片（background 為 image 時需要 backgroundImage）。',
+    BACKGROUND_IMAGE_UNEXPECTED: '只有 background 為 image 時才能上傳 backgroundImage。',
+    BACKGROUND_IMAGE_REJECTED: '背景圖片：{detail}',
+
+    // Remote inputs
+    FILE_AND_URL: '請上傳檔案或提供網址，不可同時使用。',
+    INVALID_URL: '網址無效，只能提供一個。',
+    REMOTE_FETCH_FAILED: '無法下載遠端檔案：{detail}',
+
+    // Options
+    INVALID_OPTION: '轉換選項無效：{detail}',
+    INVALID_FRAME: '影格無效，須為 0 以上的影格編號。',
+    FRAME_OUT_OF_RANGE: '影格無效，此動畫只有 {frameCount} 個影格。',
+
+    // API keys, rate limits and the queue
+    API_KEY_REQUIRED: '請提供 API 金鑰。',
+    INVALID_API_KEY: 'API 金鑰無效或已撤銷。',
+    API_KEY_CHECK_FAILED: '無法檢查 API 金鑰。',
+    API_KEY_RATE_LIMITED: '此 API 金鑰請求次數過多，請稍後再試。',
+    QUOTA_CONCURRENT_JOBS: '此 API 金鑰同時進行的工作已達上限，請等待其他工作完成。',
+    QUOTA_BYTES_PER_DAY: '此 API 金鑰今日的轉換量已達上限。',
+    BATCH_EXCEEDS_KEY_JOBS: '此批次有 {files} 個檔案，超過此 API 金鑰同時工作數上限 {limit}，請分成較小的批次送出。',
+    RATE_LIMITED: '請求次數過多，請稍後再試。',
+    QUEUE_FULL: '伺服器忙碌中，轉換佇列已滿，請稍後再試。',
+
+    // Jobs and batches
+    CONVERSION_FAILED: '轉換失敗：{detail}',
+    INSPECT_FAILED: '讀取動畫資訊時發生錯誤。',
+    UNDECODABLE_ANIMATION: '無法解析動畫內容。',
+    JOB_NOT_FOUND: '找不到此工作。',
+    JOB_NOT_FINISHED: '工作尚未完成（狀態：{state}）。',
+    JOB_HISTORY_DISABLED: '工作紀錄已停用。',
+    INVALID_QUERY: '查詢參數無效，每個參數只能提供一次。',
+    INVALID_PAGE: '頁碼無效，須為 1 以上的整數。',
+    INVALID_LIMIT: '每頁筆數無效，須為 1 到 {max} 的整數。',
+    INVALID_STATE: '狀態無效，須為下列之一或多個：{states}。',
+    INVALID_FORMAT: '格式無效。',
+    INVALID_DATE: '{name} 無效，須為日期，例如 2024-01-31 或 2024-01-31T12:00:00Z。',
+    BATCH_NOT_FOUND: '找不到此批次。',
+    BATCH_NOT_FINISHED: '批次尚未完成。',
+    BATCH_EMPTY: '此批次沒有轉換成功的檔案。',
+    BATCH_PREPARE_FAILED: '無法準備此批次，沒有任何檔案進入佇列。',
+
+    // Reasons of failed jobs (errorCode of jobs and batch files)
+    JOB_CANCELLED: '用戶端已關閉連線，工作已取消。',
+    JOB_TIMEOUT: '轉換超過 {seconds} 秒，已逾時。',
+    JOB_MEMORY_LIMIT: '轉換超過 {limitMB}MB 的記憶體上限。',
+    JOB_INTERRUPTED: '伺服器重新啟動，工作已中斷。',
+    JOB_EXPIRED: '工作已過期。',
+    WORKER_FAILED: '轉換過程發生錯誤（工作程序失敗）。',
+    WORKER_START_FAILED: '無法啟動轉換工作程序。',
+    RESULT_STORE_FAILED: '無法儲存轉換結果。',
+
+    // Results
+    INVALID_DOWNLOAD_LINK: '下載連結無效。',
+    DOWNLOAD_LINK_EXPIRED: '下載連結已過期。',
+    STORAGE_READ_FAILED: '無法從儲存區讀取結果。',
+    RESULT_EXPIRED: '結果已過期並刪除。',
+
+    BAD_REQUEST: '{detail}'
+};
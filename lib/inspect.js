@@ -0,0 +1,100 @@
+const { PNG } = require('pngjs');
+const { frameDelays } = require('./decoders');
+const { compositeFrames } = require('./compositor');
+
+// Longest side of a poster thumbnail (px)
+const POSTER_MAX_SIZE = 320;
+
+// Metadata of a decoded animation (see lib/decoders) for clients deciding how
+// to convert it. Delays are the ones the conversion uses, i.e. with the
+// default delay already applied to frames that have none.
+function describeAnimation(animation) {
+    const delays = frameDelays(animation);
+    return {
+        format: animation.format,
+        width: animation.width,
+        height: animation.height,
+        frameCount: animation.frames.length,
+        duration: delays.reduce((sum, d) => sum + d, 0),
+        loops: animation.loops,
+        hasAlpha: animation.hasAlpha,
+        background: rgbaHex(animation.background),
+        frames: animation.frames.map((frame, i) => ({
+            x: frame.x,
+            y: frame.y,
+            width: frame.width,
+            height: frame.height,
+            delay: delays[i],
+            blend: frame.blend,
+            dispose: frame.dispose
+        }))
+    };
+}
+
+// Composite the animation up to frameIndex and return that frame as a PNG
+// thumbnail no larger than maxSize on either side.
+// Resolves to { frame, width, height, png }.
+async function renderPoster(animation, frameIndex = 0, maxSize = POSTER_MAX_SIZE) {
+    let poster = null;
+    await compositeFrames(animation, (canvas, frame, i) => {
+        if (i < frameIndex) return true;
+        poster = scaleDown(canvas, animation.width, animation.height, maxSize);
+        return false;
+    });
+
+    const png = new PNG({ width: poster.width, height: poster.height });
+    png.data = poster.data;
+    return { frame: frameIndex, width: poster.width, height: poster.height, png: PNG.sync.write(png) };
+}
+
+// Shrink an RGBA image to fit within maxSize x maxSize. Every target pixel
+// averages the source pixels it covers, weighted by their alpha so that
+// transparent pixels do not darken the edges.
+function scaleDown(rgba, width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    if (scale === 1) {
+        return { data: Buffer.from(rgba), width, height };
+    }
+
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+    const data = Buffer.alloc(targetWidth * targetHeight * 4);
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor(ty * height / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor(tx * width / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const p = (y * width + x) * 4;
+                    const alpha = rgba[p + 3];
+                    r += rgba[p + 0] * alpha;
+                    g += rgba[p + 1] * alpha;
+                    b += rgba[p + 2] * alpha;
+                    a += alpha;
+                }
+            }
+            const d = (ty * targetWidth + tx) * 4;
+            if (a > 0) {
+                data[d + 0] = Math.round(r / a);
+                data[d + 1] = Math.round(g / a);
+                data[d + 2] = Math.round(b / a);
+                data[d + 3] = Math.round(a / ((y1 - y0) * (x1 - x0)));
+            }
+        }
+    }
+    return { data, width: targetWidth, height: targetHeight };
+}
+
+// '#rrggbbaa' notation of an RGBA array
+function rgbaHex(color) {
+    return '#' + color.map((channel) => channel.toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    POSTER_MAX_SIZE,
+    describeAnimation,
+    renderPoster
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const downloads = require('./downloads');
+const jobStore = require('./jobstore');
+
+// In-memory job registry, backed by the durable job store (lib/jobstore.js).
+// A job moves through: queued -> extracting -> encoding -> done | failed
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const FINAL_STATES = ['done', 'failed'];
+
+// Changes to these alone are not written to the job store; they change with
+// every frame and do not matter once the process is gone
+const VOLATILE_FIELDS = ['progress', 'message'];
+
+function createJob(fields) {
+    const now = Date.now();
+    const job = Object.assign({
+        id: crypto.randomUUID(),
+        state: 'queued',
+        progress: 0,
+        message: 'Waiting for worker',
+        error: null,
+        errorCode: null,
+        errorParams: null,
+        createdAt: now,
+        updatedAt: now
+    }, fields);
+    jobs.set(job.id, job);
+    jobStore.save(job);
+    return job;
+}
+
+// Put a job read back from the job store into the registry
+function restoreJob(record) {
+    const job = Object.assign({}, record);
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id);
+}
+
+function updateJob(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return;
+    const durable = Object.keys(changes).some((name) => !VOLATILE_FIELDS.includes(name) && changes[name] !== job[name]);
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    if (durable) jobStore.save(job);
+    events.emit(id, toPublicJob(job));
+}
+
+// Jobs currently in the registry
+function listJobs() {
+    return [...jobs.values()];
+}
+
+function removeJob(id) {
+    jobs.delete(id);
+    events.removeAllListeners(id);
+}
+
+// Subscribe to state changes of a job; returns an unsubscribe function
+function onJobUpdate(id, listener) {
+    events.on(id, listener);
+    return () => events.removeListener(id, listener);
+}
+
+function isFinished(job) {
+    return FINAL_STATES.includes(job.state);
+}
+
+// Map a worker phase percentage onto the overall job percentage:
+// frame composition covers 0-50%, ffmpeg encoding covers 50-100%
+function overallProgress(phase, value) {
+    const pct = Math.max(0, Math.min(100, Number(value) || 0));
+    return Math.round(phase === 'encoding' ? 50 + pct / 2 : pct / 2);
+}
+
+// Fields that are safe to expose over HTTP (no filesystem paths). error is
+// the English text of a failure, errorCode and errorParams its message code
+// (see lib/i18n) for the text in other languages.
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        state: job.state,
+        format: job.options.format,
+        progress: job.progress,
+        message: job.message,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        errorParams: job.errorParams || null,
+        createdAt: new Date(job.createdAt).toISOString(),
+        updatedAt: new Date(job.updatedAt).toISOString(),
+        resultUrl: job.state === 'done' ? `/jobs/${job.id}/result` : null,
+        // Signed link that keeps working after the job is forgotten, until
+        // the result is removed from storage
+        downloadUrl: job.state === 'done' && job.storageKey && job.resultExpiresAt > Date.now() ? downloads.createLink(job.storageKey, job.resultExpiresAt) : null,
+        resultExpiresAt: job.resultExpiresAt ? new Date(job.resultExpiresAt).toISOString() : null
+    };
+}
+
+module.exports = {
+    createJob,
+    restoreJob,
+    getJob,
+    listJobs,
+    updateJob,
+    removeJob,
+    onJobUpdate,
+    isFinished,
+    overallProgress,
+    toPublicJob
+};
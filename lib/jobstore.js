@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Durable record of conversion jobs, so they survive restarts and can be
+// listed afterwards. The store is a JSON journal: every line is a snapshot of
+// one job, and a later line replaces the earlier ones of the same job. The
+// journal is compacted (rewritten with one line per job) when it has grown
+// well beyond the number of jobs, dropping finished jobs older than the
+// history retention.
+//
+// Jobs are saved by lib/jobs.js; the server reads the store at startup to
+// resume interrupted jobs, lists it as the job history and compacts it from
+// the sweeper.
+
+// Compact once the journal has this many lines more than twice the job count
+const COMPACT_SLACK = 1000;
+
+const FINAL_STATES = ['done', 'failed'];
+
+const settings = {
+    // The store is disabled until a file is configured
+    file: null,
+    historyRetentionMs: 7 * 24 * 60 * 60 * 1000
+};
+
+// id -> latest snapshot
+const records = new Map();
+let journalLines = 0;
+
+// Set the journal file and read the jobs already in it
+function configure({ file, historyRetentionMs }) {
+    if (file !== undefined) settings.file = file;
+    if (historyRetentionMs !== undefined) settings.historyRetentionMs = historyRetentionMs;
+    load();
+}
+
+function isEnabled() {
+    return Boolean(settings.file);
+}
+
+function load() {
+    records.clear();
+    journalLines = 0;
+    if (!isEnabled()) return;
+
+    let content = '';
+    try {
+        content = fs.readFileSync(settings.file, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    content.split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            // A line cut short by a crash
+            return;
+        }
+        if (record && typeof record.id === 'string') records.set(record.id, record);
+        journalLines++;
+    });
+    compact();
+}
+
+// Record the current state of a job
+function save(job) {
+    if (!isEnabled()) return;
+    const line = JSON.stringify(job);
+    records.set(job.id, JSON.parse(line));
+    fs.mkdirSync(path.dirname(path.resolve(settings.file)), { recursive: true });
+    fs.appendFileSync(settings.file, line + '\n');
+    journalLines++;
+    if (journalLines > records.size * 2 + COMPACT_SLACK) compact();
+}
+
+// Drop finished jobs beyond the history retention and rewrite the journal
+// with one line per job
+function compact() {
+    if (!isEnabled()) return;
+    const cutoff = Date.now() - settings.historyRetentionMs;
+    for (const [id, record] of records) {
+        if (FINAL_STATES.includes(record.state) && record.updatedAt < cutoff) records.delete(id);
+    }
+    const lines = [...records.values()].map((record) => JSON.stringify(record) + '\n').join('');
+    fs.mkdirSync(path.dirname(path.resolve(settings.file)), { recursive: true });
+    const temp = `${settings.file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    fs.writeFileSync(temp, lines);
+    fs.renameSync(temp, settings.file);
+    journalLines = records.size;
+}
+
+function get(id) {
+    return records.get(id) || null;
+}
+
+// Recorded jobs, newest first
+function list() {
+    return [...records.values()].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+module.exports = {
+    configure,
+    isEnabled,
+    save,
+    compact,
+    get,
+    list
+};
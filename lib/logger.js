@@ -0,0 +1,64 @@
+// Structured logs: every entry is one JSON object per line, e.g.
+//   {"time":"...","level":"info","msg":"Job queued","jobId":"...","requestId":"..."}
+// Info and debug entries go to stdout, warnings and errors to stderr.
+//
+// Loggers made with child() add their fields to every entry, which is how
+// entries of one request or job are correlated. Forked workers inherit the
+// fields of their job through the LOG_CONTEXT environment variable (see
+// workerEnv), so their entries carry the same ids as the server's.
+//
+// LOG_LEVEL (debug | info | warn | error, default info) hides less severe
+// entries; it is read from the environment so workers follow it too.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minimumLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Fields of the job a worker process runs, set by the server
+const inheritedFields = parseContext(process.env.LOG_CONTEXT);
+
+function parseContext(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+}
+
+// Errors are not enumerable, so they are copied into plain objects
+function serialize(value) {
+    if (!(value instanceof Error)) return value;
+    const error = { message: value.message, stack: value.stack };
+    if (value.code !== undefined) error.code = value.code;
+    return error;
+}
+
+function write(level, baseFields, message, fields = {}) {
+    if (LEVELS[level] < minimumLevel) return;
+    const entry = Object.assign({ time: new Date().toISOString(), level, msg: message }, baseFields);
+    Object.keys(fields).forEach((name) => {
+        if (fields[name] !== undefined) entry[name] = serialize(fields[name]);
+    });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+function createLogger(baseFields) {
+    return {
+        debug: (message, fields) => write('debug', baseFields, message, fields),
+        info: (message, fields) => write('info', baseFields, message, fields),
+        warn: (message, fields) => write('warn', baseFields, message, fields),
+        error: (message, fields) => write('error', baseFields, message, fields),
+        fields: baseFields,
+        // Logger adding more fields to every entry; undefined ones are left out
+        child: (fields) => createLogger(Object.assign({}, baseFields, JSON.parse(JSON.stringify(fields))))
+    };
+}
+
+// Environment of a forked worker whose entries should carry the fields of `log`
+function workerEnv(log, env = process.env) {
+    return Object.assign({}, env, { LOG_CONTEXT: JSON.stringify(log.fields) });
+}
+
+module.exports = Object.assign(createLogger(inheritedFields), { workerEnv });
@@ -0,0 +1,137 @@
+// Prometheus metrics of the server, served by GET /metrics in the text
+// exposition format (version 0.0.4). Counters and histograms are updated by
+// server.js as jobs and requests go by; gauges read their value when the
+// metrics are collected.
+
+const PREFIX = 'webp_converter_';
+
+// Upper bounds (s) of the duration histogram buckets
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = [];
+
+function labelKey(labels) {
+    return JSON.stringify(labels || {});
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return `{${names.map((name) => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+function register(metric) {
+    registry.push(metric);
+    return metric;
+}
+
+function createCounter(name, help) {
+    // labelKey -> { labels, value }
+    const series = new Map();
+    return register({
+        name: PREFIX + name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        samples: () => [...series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }))
+    });
+}
+
+// collect() returns the current value, or [{ labels, value }] for several series
+function createGauge(name, help, collect) {
+    return register({
+        name: PREFIX + name,
+        help,
+        type: 'gauge',
+        samples: () => {
+            const value = collect();
+            const list = Array.isArray(value) ? value : [{ labels: {}, value }];
+            return list.map((entry) => ({ suffix: '', labels: entry.labels, value: entry.value }));
+        }
+    });
+}
+
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+    // labelKey -> { labels, counts (per bucket), sum, count }
+    const series = new Map();
+    return register({
+        name: PREFIX + name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => ({ suffix: '_bucket', labels: Object.assign({}, labels, { le: formatValue(bound) }), value: counts[index] })),
+            { suffix: '_bucket', labels: Object.assign({}, labels, { le: '+Inf' }), value: count },
+            { suffix: '_sum', labels, value: sum },
+            { suffix: '_count', labels, value: count }
+        ])
+    });
+}
+
+// All metrics in the text exposition format
+function render() {
+    const lines = [];
+    registry.forEach((metric) => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples().forEach(({ suffix, labels, value }) => {
+            lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Metrics of the server. The worker label names the worker script:
+// 'conversion' (conversion-worker.js) or 'webp' (webp-worker.js).
+const conversions = createCounter('conversions_total',
+    'Finished conversion jobs by worker and outcome (success, cache_hit, failed, timeout, cancelled, memory_limit, interrupted).');
+const jobDuration = createHistogram('job_duration_seconds',
+    'Time from creating a job to finishing it, including the time spent queued, by worker and outcome.');
+const phaseDuration = createHistogram('conversion_phase_duration_seconds',
+    'Time spent in each phase of a successful conversion: composition (decoding and composing frames) and encoding (ffmpeg or WebP encoding once all frames are handed over).');
+const inputBytes = createCounter('input_bytes_total', 'Bytes of conversion inputs accepted, by worker.');
+const outputBytes = createCounter('output_bytes_total', 'Bytes of conversion results produced, by worker.');
+const rateLimitRejections = createCounter('rate_limit_rejections_total',
+    'Requests refused by a rate limit or quota: convert and general (IP limits), requests, bytesPerDay and concurrentJobs (API key quotas).');
+const queueRejections = createCounter('queue_full_rejections_total', 'Conversion requests refused because the queue was full.');
+
+module.exports = {
+    PREFIX,
+    createCounter,
+    createGauge,
+    createHistogram,
+    render,
+    conversions,
+    jobDuration,
+    phaseDuration,
+    inputBytes,
+    outputBytes,
+    rateLimitRejections,
+    queueRejections
+};
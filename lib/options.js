@@ -0,0 +1,472 @@
+const { OUTPUT_FORMATS, DEFAULT_FORMAT } = require('./formats');
+const { ENCODERS, FORMAT_CODECS, QUALITY_PRESETS, MAX_DIMENSION, resolveVideoCodec } = require('./encoding');
+const { CANVAS_PRESETS, FIT_MODES } = require('./canvas');
+const { ATLAS_FORMATS, PACKING_MODES, DEFAULT_SHEET, MAX_PADDING } = require('./spritesheet');
+
+// Validation of conversion options sent as form fields (all values are
+// strings). Shared by server.js and the webp2mp4 command line tool; the
+// parsers return the parsed values or { error } with a message for the client.
+
+// Largest target size accepted for the "target file size" mode (1 GB)
+const MAX_TARGET_SIZE_KB = 1024 * 1024;
+
+// Limits of the frame step and the playback speed factor
+const MAX_FRAME_STEP = 100;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// Largest repeat count and minimum duration (seconds) of the loop options
+const MAX_PLAYS = 100;
+const MAX_MIN_DURATION = 300;
+
+// Flattening backgrounds and the limits of their settings
+const BACKGROUND_TYPES = ['none', 'color', 'checkerboard', 'blur', 'image'];
+const MAX_CHECKER_SIZE = 256;
+const MAX_BLUR_RADIUS = 100;
+
+// Parse and validate conversion options from the multipart form fields
+// timing: 'vfr' (exact per-frame delays) or 'cfr' (resample to a constant fps)
+// format: one of the keys of OUTPUT_FORMATS
+// startFrame, endFrame, startTime, endTime, frameStep, speed, reverse: played part (optional)
+// loop, minDuration, pingPong: repetitions of the animation (optional)
+// canvas, canvasWidth, canvasHeight, fit, padColor, margin: output canvas (optional)
+// background, backgroundColor, checkerSize, blurRadius: flattening of transparency (optional)
+// atlas, packing, columns, padding, maxSheetSize: sprite sheet layout (spritesheet format only)
+function parseConversionOptions(body) {
+    // Repeated form fields arrive as arrays and would slip past the allow-lists
+    const repeated = Object.keys(body || {}).find((key) => typeof body[key] !== 'string');
+    if (repeated) {
+        return { error: `Invalid ${repeated}. Each option may only be sent once.` };
+    }
+
+    const timing = (body && body.timing) || 'vfr';
+    if (!['vfr', 'cfr'].includes(timing)) {
+        return { error: 'Invalid timing mode. Use "vfr" or "cfr".' };
+    }
+
+    const format = (body && body.format) || DEFAULT_FORMAT;
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+        return { error: `Invalid format. Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.` };
+    }
+
+    const options = { timing, format };
+    if (timing === 'cfr') {
+        const fps = isBlank(body.fps) ? 30 : Number(body.fps);
+        if (!Number.isInteger(fps) || fps < 1 || fps > 120) {
+            return { error: 'Invalid fps. Must be an integer between 1 and 120.' };
+        }
+        options.fps = fps;
+    }
+
+    const { encoding, error } = parseEncodingOptions(body || {}, format);
+    if (error) {
+        return { error };
+    }
+    options.encoding = encoding;
+
+    const clip = parseClipOptions(body || {});
+    if (clip.error) {
+        return { error: clip.error };
+    }
+    if (clip.clip) {
+        options.clip = clip.clip;
+    }
+
+    const loop = parseLoopOptions(body || {});
+    if (loop.error) {
+        return { error: loop.error };
+    }
+    if (loop.loop) {
+        options.loop = loop.loop;
+    }
+
+    const canvas = parseCanvasOptions(body || {}, format);
+    if (canvas.error) {
+        return { error: canvas.error };
+    }
+    if (canvas.canvas) {
+        options.canvas = canvas.canvas;
+    }
+
+    const background = parseBackgroundOptions(body || {}, format);
+    if (background.error) {
+        return { error: background.error };
+    }
+    if (background.background) {
+        options.background = background.background;
+    }
+
+    const sheet = parseSheetOptions(body || {}, format);
+    if (sheet.error) {
+        return { error: sheet.error };
+    }
+    if (sheet.sheet) {
+        options.sheet = sheet.sheet;
+    }
+    return { options };
+}
+
+// Parse the layout of the spritesheet format (see lib/spritesheet.js).
+// Returns { sheet } with every setting filled in for that format only.
+function parseSheetOptions(body, format) {
+    const fields = ['atlas', 'packing', 'columns', 'padding', 'maxSheetSize'];
+    if (format !== 'spritesheet') {
+        const misplaced = fields.find((field) => !isBlank(body[field]));
+        return misplaced ? { error: `${misplaced} can only be used with the spritesheet format.` } : {};
+    }
+
+    const sheet = Object.assign({}, DEFAULT_SHEET);
+    if (!isBlank(body.atlas)) sheet.atlas = body.atlas;
+    if (!isBlank(body.packing)) sheet.packing = body.packing;
+    if (!ATLAS_FORMATS.includes(sheet.atlas)) {
+        return { error: `Invalid atlas. Use one of: ${ATLAS_FORMATS.join(', ')}.` };
+    }
+    if (!PACKING_MODES.includes(sheet.packing)) {
+        return { error: `Invalid packing. Use one of: ${PACKING_MODES.join(', ')}.` };
+    }
+    // CSS backgrounds cannot place trimmed frames
+    if (sheet.atlas === 'css' && sheet.packing !== 'grid') {
+        return { error: 'The css atlas needs packing grid.' };
+    }
+
+    const ranges = { columns: [1, MAX_DIMENSION], padding: [0, MAX_PADDING], maxSheetSize: [16, MAX_DIMENSION] };
+    for (const field of Object.keys(ranges)) {
+        if (isBlank(body[field])) continue;
+        const [min, max] = ranges[field];
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `Invalid ${field}. Must be an integer between ${min} and ${max}.` };
+        }
+        sheet[field] = value;
+    }
+    if (sheet.columns !== null && sheet.packing !== 'grid') {
+        return { error: 'columns can only be used with packing grid.' };
+    }
+    return { sheet };
+}
+
+// Parse the output canvas (see lib/canvas.js): a preset name or 'custom'
+// with canvasWidth and canvasHeight. Returns { canvas } only when one was chosen.
+function parseCanvasOptions(body, format) {
+    const name = isBlank(body.canvas) ? null : body.canvas;
+    const names = [...Object.keys(CANVAS_PRESETS), 'custom'];
+    if (name !== null && !names.includes(name)) {
+        return { error: `Invalid canvas. Use one of: ${names.join(', ')}.` };
+    }
+
+    const settings = ['canvasWidth', 'canvasHeight', 'fit', 'padColor', 'margin'];
+    const misplaced = settings.find((field) => !isBlank(body[field]) && (name === null || (name !== 'custom' && field.startsWith('canvas'))));
+    if (misplaced) {
+        return { error: misplaced.startsWith('canvas') ? `${misplaced} can only be used with canvas custom.` : `${misplaced} needs a canvas.` };
+    }
+    if (name === null) {
+        return {};
+    }
+    // The canvas sets the output size
+    const sizeLimit = ['maxWidth', 'maxHeight'].find((field) => !isBlank(body[field]));
+    if (sizeLimit) {
+        return { error: `${sizeLimit} cannot be combined with a canvas.` };
+    }
+
+    const canvas = {};
+    if (name === 'custom') {
+        for (const [field, key] of [['canvasWidth', 'width'], ['canvasHeight', 'height']]) {
+            const value = Number(body[field]);
+            if (isBlank(body[field]) || !Number.isInteger(value) || value < 2 || value > MAX_DIMENSION) {
+                return { error: `Invalid ${field}. Must be an integer between 2 and ${MAX_DIMENSION}.` };
+            }
+            canvas[key] = value;
+        }
+    } else {
+        canvas.width = CANVAS_PRESETS[name].width;
+        canvas.height = CANVAS_PRESETS[name].height;
+    }
+
+    canvas.fit = isBlank(body.fit) ? 'pad' : body.fit;
+    if (!FIT_MODES.includes(canvas.fit)) {
+        return { error: `Invalid fit. Use one of: ${FIT_MODES.join(', ')}.` };
+    }
+
+    if (!isBlank(body.padColor)) {
+        if (body.padColor === 'transparent') {
+            if (!OUTPUT_FORMATS[format].alpha) {
+                return { error: `The ${format} format cannot keep transparency. Choose a padColor.` };
+            }
+            canvas.padColor = null;
+        } else {
+            canvas.padColor = parseHexColor(body.padColor);
+            if (!canvas.padColor) {
+                return { error: 'Invalid padColor. Use #rgb, #rrggbb or transparent.' };
+            }
+        }
+    }
+
+    if (!isBlank(body.margin)) {
+        // At least 2px of content have to remain
+        const maxMargin = Math.floor((Math.min(canvas.width, canvas.height) - 2) / 2);
+        const margin = Number(body.margin);
+        if (!Number.isInteger(margin) || margin < 0 || margin > maxMargin) {
+            return { error: `Invalid margin. Must be an integer between 0 and ${maxMargin}.` };
+        }
+        canvas.margin = margin;
+    }
+    return { canvas };
+}
+
+// Parse the flattening background (see lib/background.js). The image of the
+// 'image' type is a separate upload; its path is added by the caller.
+// Returns { background } only when one was chosen.
+function parseBackgroundOptions(body, format) {
+    const type = isBlank(body.background) ? null : body.background;
+    if (type !== null && !BACKGROUND_TYPES.includes(type)) {
+        return { error: `Invalid background. Use one of: ${BACKGROUND_TYPES.join(', ')}.` };
+    }
+    if (type === 'none' && !OUTPUT_FORMATS[format].alpha) {
+        return { error: `The ${format} format cannot keep transparency. Choose another background.` };
+    }
+
+    // Settings of one background type cannot be combined with another
+    const settings = { backgroundColor: ['color', 'checkerboard', 'blur'], checkerSize: ['checkerboard'], blurRadius: ['blur'] };
+    const misplaced = Object.keys(settings).find((field) => !isBlank(body[field]) && !settings[field].includes(type));
+    if (misplaced) {
+        return { error: `${misplaced} can only be used with background ${settings[misplaced].join(', ')}.` };
+    }
+    if (type === null) {
+        return {};
+    }
+
+    const background = { type };
+    if (!isBlank(body.backgroundColor)) {
+        const color = parseHexColor(body.backgroundColor);
+        if (!color) {
+            return { error: 'Invalid backgroundColor. Use #rgb or #rrggbb.' };
+        }
+        background.color = color;
+    }
+    if (!isBlank(body.checkerSize)) {
+        const size = Number(body.checkerSize);
+        if (!Number.isInteger(size) || size < 2 || size > MAX_CHECKER_SIZE) {
+            return { error: `Invalid checkerSize. Must be an integer between 2 and ${MAX_CHECKER_SIZE}.` };
+        }
+        background.size = size;
+    }
+    if (!isBlank(body.blurRadius)) {
+        const radius = Number(body.blurRadius);
+        if (!Number.isInteger(radius) || radius < 1 || radius > MAX_BLUR_RADIUS) {
+            return { error: `Invalid blurRadius. Must be an integer between 1 and ${MAX_BLUR_RADIUS}.` };
+        }
+        background.radius = radius;
+    }
+    return { background };
+}
+
+// [r, g, b] of a #rgb or #rrggbb colour, or null
+function parseHexColor(value) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Parse trimming, frame step, speed and reverse settings (see lib/playback.js).
+// Frame indices are only checked against the animation during conversion.
+// Returns { clip } only when one of them was sent.
+function parseClipOptions(body) {
+    const clip = {};
+
+    for (const field of ['startFrame', 'endFrame', 'startTime', 'endTime']) {
+        if (isBlank(body[field])) continue;
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            return { error: `Invalid ${field}. Must be an integer of 0 or more.` };
+        }
+        clip[field] = value;
+    }
+    const byFrame = clip.startFrame !== undefined || clip.endFrame !== undefined;
+    const byTime = clip.startTime !== undefined || clip.endTime !== undefined;
+    if (byFrame && byTime) {
+        return { error: 'Trim either by frame (startFrame, endFrame) or by time (startTime, endTime), not both.' };
+    }
+    if (clip.startFrame !== undefined && clip.endFrame !== undefined && clip.endFrame < clip.startFrame) {
+        return { error: 'Invalid endFrame. Must not be before startFrame.' };
+    }
+    if (clip.startTime !== undefined && clip.endTime !== undefined && clip.endTime <= clip.startTime) {
+        return { error: 'Invalid endTime. Must be after startTime.' };
+    }
+
+    if (!isBlank(body.frameStep)) {
+        const step = Number(body.frameStep);
+        if (!Number.isInteger(step) || step < 1 || step > MAX_FRAME_STEP) {
+            return { error: `Invalid frameStep. Must be an integer between 1 and ${MAX_FRAME_STEP}.` };
+        }
+        if (step > 1) clip.step = step;
+    }
+
+    if (!isBlank(body.speed)) {
+        const speed = Number(body.speed);
+        if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+            return { error: `Invalid speed. Must be between ${MIN_SPEED} and ${MAX_SPEED}.` };
+        }
+        if (speed !== 1) clip.speed = speed;
+    }
+
+    if (!isBlank(body.reverse)) {
+        if (!['true', 'false'].includes(body.reverse)) {
+            return { error: 'Invalid reverse. Use "true" or "false".' };
+        }
+        if (body.reverse === 'true') clip.reverse = true;
+    }
+
+    return Object.keys(clip).length > 0 ? { clip } : {};
+}
+
+// Parse repetition and ping-pong settings (see lib/playback.js).
+// Returns { loop } only when one of them was sent.
+function parseLoopOptions(body) {
+    const loop = {};
+
+    if (!isBlank(body.loop)) {
+        const plays = body.loop === 'source' ? 'source' : Number(body.loop);
+        if (plays !== 'source' && (!Number.isInteger(plays) || plays < 1 || plays > MAX_PLAYS)) {
+            return { error: `Invalid loop. Use "source" or an integer between 1 and ${MAX_PLAYS}.` };
+        }
+        loop.plays = plays;
+    }
+
+    if (!isBlank(body.minDuration)) {
+        const seconds = Number(body.minDuration);
+        if (!Number.isFinite(seconds) || seconds < 0.1 || seconds > MAX_MIN_DURATION) {
+            return { error: `Invalid minDuration. Must be between 0.1 and ${MAX_MIN_DURATION} seconds.` };
+        }
+        loop.minDuration = Math.round(seconds * 1000);
+    }
+
+    if (!isBlank(body.pingPong)) {
+        if (!['true', 'false'].includes(body.pingPong)) {
+            return { error: 'Invalid pingPong. Use "true" or "false".' };
+        }
+        if (body.pingPong === 'true') loop.pingPong = true;
+    }
+
+    return Object.keys(loop).length > 0 ? { loop } : {};
+}
+
+// Parse and validate encoder settings against strict allow-lists.
+// Only fields that were actually sent end up in the result; lib/encoding.js
+// merges them with the named quality preset.
+function parseEncodingOptions(body, format) {
+    const encoding = {};
+
+    if (!isBlank(body.quality)) {
+        if (!Object.prototype.hasOwnProperty.call(QUALITY_PRESETS, body.quality)) {
+            return { error: `Invalid quality preset. Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}.` };
+        }
+        encoding.quality = body.quality;
+    }
+
+    if (!isBlank(body.codec)) {
+        const codecs = FORMAT_CODECS[format] || {};
+        if (!Object.prototype.hasOwnProperty.call(codecs, body.codec)) {
+            return { error: `Invalid codec for ${format}.` + (Object.keys(codecs).length ? ` Use one of: ${Object.keys(codecs).join(', ')}.` : ' This format has no codec choice.') };
+        }
+        encoding.codec = body.codec;
+    }
+
+    for (const field of ['maxWidth', 'maxHeight']) {
+        if (isBlank(body[field])) continue;
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < 2 || value > MAX_DIMENSION) {
+            return { error: `Invalid ${field}. Must be an integer between 2 and ${MAX_DIMENSION}.` };
+        }
+        encoding[field] = value;
+    }
+
+    // Rate control, speed and profile settings need a tunable encoder
+    const encoder = ENCODERS[resolveVideoCodec(format, encoding.codec)];
+    const tunable = ['crf', 'preset', 'profile', 'level', 'targetSizeKB'].filter((field) => !isBlank(body[field]));
+    if (tunable.length > 0 && !encoder) {
+        return { error: `${tunable.join(', ')} cannot be used with the ${format} format.` };
+    }
+
+    if (!isBlank(body.crf)) {
+        const [min, max] = encoder.crfRange;
+        const crf = Number(body.crf);
+        if (!Number.isInteger(crf) || crf < min || crf > max) {
+            return { error: `Invalid crf. Must be an integer between ${min} and ${max}.` };
+        }
+        encoding.crf = crf;
+    }
+
+    const allowLists = { preset: 'presets', profile: 'profiles', level: 'levels' };
+    for (const field of Object.keys(allowLists)) {
+        if (isBlank(body[field])) continue;
+        const allowed = encoder[allowLists[field]];
+        if (!allowed.includes(body[field])) {
+            return { error: allowed.length ? `Invalid ${field}. Use one of: ${allowed.join(', ')}.` : `${field} is not supported for the ${format} format.` };
+        }
+        encoding[field] = body[field];
+    }
+
+    if (!isBlank(body.targetSizeKB)) {
+        if (encoding.crf !== undefined) {
+            return { error: 'crf and targetSizeKB cannot be used together.' };
+        }
+        const targetSizeKB = Number(body.targetSizeKB);
+        if (!Number.isInteger(targetSizeKB) || targetSizeKB < 1 || targetSizeKB > MAX_TARGET_SIZE_KB) {
+            return { error: `Invalid targetSizeKB. Must be an integer between 1 and ${MAX_TARGET_SIZE_KB}.` };
+        }
+        encoding.targetSizeKB = targetSizeKB;
+    }
+
+    return { encoding };
+}
+
+// Parse and validate the options of the reverse conversion (animated WebP output)
+// maxDuration: seconds of input the worker converts at most
+function parseWebPOptions(body, maxDuration) {
+    body = body || {};
+    const repeated = Object.keys(body).find((key) => typeof body[key] !== 'string');
+    if (repeated) {
+        return { error: `Invalid ${repeated}. Each option may only be sent once.` };
+    }
+
+    const options = { format: 'webp', maxDuration };
+    const ranges = {
+        fps: [1, 60, 15],
+        quality: [0, 100, 75],
+        loops: [0, 65535, 0],
+        maxWidth: [2, MAX_DIMENSION],
+        maxHeight: [2, MAX_DIMENSION]
+    };
+    for (const field of Object.keys(ranges)) {
+        const [min, max, defaultValue] = ranges[field];
+        if (isBlank(body[field])) {
+            if (defaultValue !== undefined) options[field] = defaultValue;
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `Invalid ${field}. Must be an integer between ${min} and ${max}.` };
+        }
+        options[field] = value;
+    }
+
+    const lossless = isBlank(body.lossless) ? 'false' : body.lossless;
+    if (!['true', 'false'].includes(lossless)) {
+        return { error: 'Invalid lossless. Use "true" or "false".' };
+    }
+    options.lossless = lossless === 'true';
+    return { options };
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+module.exports = {
+    MAX_TARGET_SIZE_KB,
+    parseConversionOptions,
+    parseEncodingOptions,
+    parseWebPOptions,
+    isBlank
+};
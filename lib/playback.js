@@ -0,0 +1,151 @@
+// Order in which the frames of an animation are played in the output.
+// Every frame is still composed (blend and dispose depend on the frames
+// before it); the sequence only decides which composed frames are shown,
+// in which order and for how long. Repetitions reuse the composed frames,
+// so every repetition keeps the clip's per-frame delays.
+
+// Longest output a repeated animation may turn into (frames)
+const MAX_SEQUENCE_FRAMES = 100000;
+
+// Select the part of the animation that is played (see lib/options.js):
+// delays: display duration (ms) of every source frame
+// clip (optional):
+//   startFrame / endFrame: first and last frame played (inclusive), or
+//   startTime / endTime: window in ms; frames partly inside it are cut to it
+//   step: only every step-th frame is shown, for as long as the frames it
+//         stands for together (the duration stays the same)
+//   speed: playback speed factor, delays are divided by it
+//   reverse: play the selection backwards
+// An end beyond the animation is the end of the animation.
+//
+// Returns { frames, delays }: the source frame index and display duration
+// of every frame of the clip.
+function selectClip(delays, clip) {
+    clip = clip || {};
+    const lastFrame = delays.length - 1;
+    let frames = delays.map((delay, i) => i);
+    let clipDelays = delays.slice();
+
+    if (clip.startFrame !== undefined || clip.endFrame !== undefined) {
+        const start = clip.startFrame || 0;
+        const end = clip.endFrame === undefined ? lastFrame : Math.min(clip.endFrame, lastFrame);
+        if (start > lastFrame) {
+            throw new Error(`startFrame ${start} is beyond the last frame (${lastFrame})`);
+        }
+        frames = frames.slice(start, end + 1);
+        clipDelays = clipDelays.slice(start, end + 1);
+    } else if (clip.startTime !== undefined || clip.endTime !== undefined) {
+        const duration = delays.reduce((sum, d) => sum + d, 0);
+        const start = clip.startTime || 0;
+        const end = clip.endTime === undefined ? duration : Math.min(clip.endTime, duration);
+        if (start >= duration) {
+            throw new Error(`startTime ${start}ms is beyond the end of the animation (${duration}ms)`);
+        }
+        const kept = { frames: [], delays: [] };
+        let time = 0;
+        delays.forEach((delay, i) => {
+            const shown = Math.min(time + delay, end) - Math.max(time, start);
+            if (shown > 0) {
+                kept.frames.push(i);
+                kept.delays.push(shown);
+            }
+            time += delay;
+        });
+        frames = kept.frames;
+        clipDelays = kept.delays;
+    }
+
+    if (clip.step > 1) {
+        const kept = { frames: [], delays: [] };
+        frames.forEach((index, i) => {
+            if (i % clip.step === 0) {
+                kept.frames.push(index);
+                kept.delays.push(0);
+            }
+            kept.delays[kept.delays.length - 1] += clipDelays[i];
+        });
+        frames = kept.frames;
+        clipDelays = kept.delays;
+    }
+
+    if (clip.reverse) {
+        frames.reverse();
+        clipDelays.reverse();
+    }
+
+    if (clip.speed && clip.speed !== 1) {
+        // Round the scaled start times rather than every delay, so rounding
+        // errors do not add up; frames that end up shorter than 1ms are dropped
+        const kept = { frames: [], delays: [] };
+        let time = 0;
+        frames.forEach((index, i) => {
+            const start = Math.round(time / clip.speed);
+            time += clipDelays[i];
+            const delay = Math.round(time / clip.speed) - start;
+            if (delay > 0) {
+                kept.frames.push(index);
+                kept.delays.push(delay);
+            }
+        });
+        frames = kept.frames;
+        clipDelays = kept.delays;
+    }
+
+    if (frames.length === 0) {
+        throw new Error('The selected part of the animation contains no frames');
+    }
+    return { frames, delays: clipDelays };
+}
+
+// clip: the played part of the animation, see selectClip
+// sourceLoops: the source's own play count (0 = forever)
+// loop (optional, validated by lib/options.js):
+//   plays: number of plays, or 'source' for the source's play count
+//          (a source that loops forever is played once)
+//   minDuration: repeat whole plays until the output lasts at least this long (ms)
+//   pingPong: every play runs forward and then backward
+//
+// Returns { frames, delays, plays }: the source frame index and display
+// duration of every output frame, and the number of plays they contain.
+function buildSequence(clip, sourceLoops, loop) {
+    loop = loop || {};
+
+    // One play: forward, then backward without repeating either end frame,
+    // so that the turning points and the seam between plays do not stutter
+    const cycle = clip.frames.map((index, i) => i);
+    if (loop.pingPong) {
+        for (let i = clip.frames.length - 2; i > 0; i--) cycle.push(i);
+    }
+    const cycleDuration = cycle.reduce((sum, i) => sum + clip.delays[i], 0);
+
+    let plays = loop.plays === 'source' ? (sourceLoops || 1) : (loop.plays || 1);
+    if (loop.minDuration) {
+        plays = Math.max(plays, Math.ceil(loop.minDuration / cycleDuration));
+    }
+    if (plays * cycle.length > MAX_SEQUENCE_FRAMES) {
+        throw new Error(`Repeating the animation ${plays} times would exceed ${MAX_SEQUENCE_FRAMES} frames`);
+    }
+
+    const positions = [];
+    for (let play = 0; play < plays; play++) {
+        positions.push(...cycle);
+    }
+    return {
+        frames: positions.map((i) => clip.frames[i]),
+        delays: positions.map((i) => clip.delays[i]),
+        plays
+    };
+}
+
+// True if the sequence shows every source frame at most once, in source
+// order, so frames can be sent as they are composed
+function isForwardOnly(sequence) {
+    return sequence.frames.every((index, i) => i === 0 || index > sequence.frames[i - 1]);
+}
+
+module.exports = {
+    MAX_SEQUENCE_FRAMES,
+    selectClip,
+    buildSequence,
+    isForwardOnly
+};
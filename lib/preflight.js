@@ -0,0 +1,140 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobePath = require('ffprobe-static').path;
+const { probeFile, frameDelays } = require('./decoders');
+
+ffmpeg.setFfprobePath(ffprobePath);
+
+// Pre-flight checks of an input before a worker is forked to decode it. Only
+// the headers are read (see probe in lib/decoders), so a small file that
+// declares a huge canvas or thousands of frames is refused before anything
+// allocates memory for its pixels. Videos of the reverse conversion are
+// read with ffprobe instead.
+//
+// Limits (0 = unlimited):
+//   maxCanvasPixels  width x height of the canvas
+//   maxFrames        number of frames
+//   maxTotalPixels   canvas pixels x frames, the pixels composed in total
+//   maxDurationMs    total display time of one loop
+
+class InputRejectedError extends Error {
+    // status 400 for a malformed file, 413 for a file over a limit
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const settings = {
+    maxCanvasPixels: 4096 * 4096,
+    maxFrames: 2000,
+    maxTotalPixels: 1000 * 1000 * 1000,
+    maxDurationMs: 10 * 60 * 1000
+};
+
+function configure(config) {
+    Object.keys(settings).forEach((name) => {
+        if (config[name] !== undefined) settings[name] = config[name];
+    });
+}
+
+function overLimit(value, limit) {
+    return limit > 0 && value > limit;
+}
+
+// Check the input file at filePath. Returns its header information
+// { format, width, height, frames }, or throws an InputRejectedError.
+function checkFile(filePath) {
+    let info;
+    try {
+        info = probeFile(filePath);
+    } catch (e) {
+        throw new InputRejectedError(`Malformed image. ${e.message}.`);
+    }
+    const { width, height, frames } = info;
+
+    if (width === 0 || height === 0) {
+        throw new InputRejectedError(`Malformed image. The canvas is ${width}x${height}.`);
+    }
+    if (frames.length === 0) {
+        throw new InputRejectedError('Malformed image. It contains no frames.');
+    }
+    if (overLimit(width * height, settings.maxCanvasPixels)) {
+        throw new InputRejectedError(`The canvas is ${width}x${height} (${width * height} pixels); at most ${settings.maxCanvasPixels} pixels are allowed.`, 413);
+    }
+    if (overLimit(frames.length, settings.maxFrames)) {
+        throw new InputRejectedError(`The animation has ${frames.length} frames; at most ${settings.maxFrames} are allowed.`, 413);
+    }
+
+    // The compositor writes frames into the canvas without clipping them
+    frames.forEach((frame, index) => {
+        if (frame.width === 0 || frame.height === 0 ||
+            frame.x + frame.width > width || frame.y + frame.height > height) {
+            throw new InputRejectedError(`Malformed image. Frame ${index} (${frame.width}x${frame.height} at ${frame.x},${frame.y}) does not fit the ${width}x${height} canvas.`);
+        }
+    });
+
+    const totalPixels = width * height * frames.length;
+    if (overLimit(totalPixels, settings.maxTotalPixels)) {
+        throw new InputRejectedError(`The animation decodes to ${totalPixels} pixels (${frames.length} frames of ${width}x${height}); at most ${settings.maxTotalPixels} are allowed.`, 413);
+    }
+    const duration = frameDelays(info).reduce((sum, delay) => sum + delay, 0);
+    if (overLimit(duration, settings.maxDurationMs)) {
+        throw new InputRejectedError(`The animation plays for ${duration / 1000}s; at most ${settings.maxDurationMs / 1000}s are allowed.`, 413);
+    }
+    return info;
+}
+
+// Check a video or GIF input of the reverse conversion before ffmpeg decodes
+// it. The frames counted are the ones the conversion keeps: the first
+// maxDuration seconds sampled at fps, scaled to fit maxWidth x maxHeight.
+// Resolves to { width, height, frames }, or rejects with an InputRejectedError.
+async function checkVideoFile(filePath, { fps, maxDuration, maxWidth, maxHeight }) {
+    let metadata;
+    try {
+        metadata = await probeVideo(filePath);
+    } catch (e) {
+        throw new InputRejectedError('Malformed video. ffprobe could not read it.');
+    }
+    const stream = metadata.streams.find((candidate) => candidate.codec_type === 'video');
+    if (!stream) {
+        throw new InputRejectedError('Malformed video. It contains no video stream.');
+    }
+    const { width, height } = stream;
+    if (!(width > 0 && height > 0)) {
+        throw new InputRejectedError(`Malformed video. The frame size is ${width}x${height}.`);
+    }
+    // ffmpeg decodes every frame at the input size, one at a time
+    if (overLimit(width * height, settings.maxCanvasPixels)) {
+        throw new InputRejectedError(`The video is ${width}x${height} (${width * height} pixels); at most ${settings.maxCanvasPixels} pixels are allowed.`, 413);
+    }
+
+    // Streams without a known duration are taken to last maxDuration
+    const duration = [stream.duration, metadata.format.duration].map(Number).find((value) => value > 0);
+    const seconds = Math.min(duration || maxDuration, maxDuration);
+    const frames = Math.max(1, Math.ceil(seconds * fps));
+    if (overLimit(frames, settings.maxFrames)) {
+        throw new InputRejectedError(`The conversion keeps ${frames} frames (${seconds}s at ${fps} fps); at most ${settings.maxFrames} are allowed.`, 413);
+    }
+    const scale = Math.min(1, (maxWidth || Infinity) / width, (maxHeight || Infinity) / height);
+    const outputPixels = Math.round(width * scale) * Math.round(height * scale);
+    if (overLimit(outputPixels * frames, settings.maxTotalPixels)) {
+        throw new InputRejectedError(`The conversion decodes to ${outputPixels * frames} pixels (${frames} frames of ${Math.round(width * scale)}x${Math.round(height * scale)}); at most ${settings.maxTotalPixels} are allowed.`, 413);
+    }
+    if (overLimit(seconds * 1000, settings.maxDurationMs)) {
+        throw new InputRejectedError(`The conversion plays for ${seconds}s; at most ${settings.maxDurationMs / 1000}s are allowed.`, 413);
+    }
+    return { width, height, frames };
+}
+
+function probeVideo(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+    });
+}
+
+module.exports = {
+    InputRejectedError,
+    configure,
+    checkFile,
+    checkVideoFile
+};
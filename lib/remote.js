@@ -0,0 +1,238 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+// Outbound HTTP requests to URLs chosen by clients (conversion inputs,
+// webhook callbacks), guarded against server-side request forgery: only
+// http(s) to public addresses, checked for every redirect and after DNS
+// resolution (the checked address is the one connected to), with size, time
+// and redirect limits.
+
+// Address ranges that are never fetched: private, loopback, link-local,
+// carrier-grade NAT, multicast, reserved and ranges embedding IPv4 addresses
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    // Unspecified, loopback and the deprecated IPv4-compatible addresses
+    ['::', 96, 'ipv6'],
+    // IPv4-translated; IPv4-mapped addresses (::ffff:0:0/96) are checked
+    // against the IPv4 ranges by the block list itself
+    ['::ffff:0:0:0', 96, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['64:ff9b:1::', 48, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001::', 32, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['2002::', 16, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+// Content types a remote image may be served with; the content itself is
+// checked by its magic bytes afterwards
+const ALLOWED_CONTENT_TYPES = ['image/webp', 'image/gif', 'image/png', 'image/apng', 'application/octet-stream', 'binary/octet-stream'];
+
+const DEFAULT_OPTIONS = {
+    maxBytes: 50 * 1024 * 1024,
+    timeoutMs: 30000,
+    maxRedirects: 5,
+    // Addresses exempt from the block list, e.g. a local stand-in server in tests
+    allowedAddresses: [],
+    // Skip the block list entirely, for URLs configured by the operator
+    allowPrivate: false
+};
+
+// Error with the HTTP status the server should answer with
+class RemoteFetchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RemoteFetchError';
+        this.status = status;
+    }
+}
+
+function isBlockedAddress(address, allowedAddresses = [], allowPrivate = false) {
+    if (allowPrivate || allowedAddresses.includes(address)) return false;
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return blockList.check(address, type);
+}
+
+// Download url to destPath. Resolves to { url (after redirects), contentType, size };
+// rejects with a RemoteFetchError. A partly written file is removed.
+async function downloadToFile(url, destPath, options = {}) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    const deadline = Date.now() + options.timeoutMs;
+    try {
+        let current = parseUrl(url);
+        for (let redirects = 0; ; redirects++) {
+            const response = await request(current, options, deadline, {
+                headers: { Accept: 'image/webp,image/gif,image/png,*/*;q=0.5' }
+            });
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                if (redirects >= options.maxRedirects) {
+                    throw new RemoteFetchError(`Too many redirects (more than ${options.maxRedirects})`);
+                }
+                current = parseUrl(new URL(response.headers.location, current).href);
+                continue;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                throw new RemoteFetchError(`The remote server answered with HTTP ${response.statusCode}`, 502);
+            }
+
+            const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentType && !ALLOWED_CONTENT_TYPES.includes(contentType)) {
+                response.resume();
+                throw new RemoteFetchError(`Unsupported content type: ${contentType}`);
+            }
+            const length = Number(response.headers['content-length']);
+            if (length > options.maxBytes) {
+                response.resume();
+                throw new RemoteFetchError(`The remote file is larger than ${Math.round(options.maxBytes / 1024 / 1024)}MB`);
+            }
+
+            const size = await saveBody(response, destPath, options.maxBytes, deadline);
+            return { url: current.href, contentType, size };
+        }
+    } catch (error) {
+        fs.rmSync(destPath, { force: true });
+        throw error;
+    }
+}
+
+// POST a JSON body (a string) to url. Redirects are not followed.
+// Resolves to { statusCode }; rejects with a RemoteFetchError.
+async function postJson(url, body, headers, options = {}) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    const response = await request(parseUrl(url), options, Date.now() + options.timeoutMs, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, headers),
+        body
+    });
+    response.resume();
+    return { statusCode: response.statusCode };
+}
+
+// URL object of an http(s) URL without credentials; throws a RemoteFetchError
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new RemoteFetchError('Invalid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new RemoteFetchError('Only http and https URLs are supported');
+    }
+    if (url.username || url.password) {
+        throw new RemoteFetchError('URLs with credentials are not supported');
+    }
+    return url;
+}
+
+// Send a request, connecting only to an allowed address.
+// Resolves to the response once its headers have arrived, which must happen
+// before the deadline; the socket timeout alone would let a server that
+// trickles its headers hold the request forever.
+// init: { method (default GET), headers, body }
+function request(url, options, deadline, init = {}) {
+    return new Promise((resolve, reject) => {
+        // URL keeps the brackets of IPv6 literals
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isBlockedAddress(host, options.allowedAddresses, options.allowPrivate)) {
+            return reject(new RemoteFetchError(`Access to ${host} is not allowed`));
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: init.method || 'GET',
+            // Literal IPs skip the lookup; they were checked above
+            lookup: (hostname, lookupOptions, callback) => {
+                dns.lookup(hostname, { all: true, family: lookupOptions.family || 0 }, (err, addresses) => {
+                    if (err) return callback(err);
+                    const blocked = addresses.find(({ address }) => isBlockedAddress(address, options.allowedAddresses, options.allowPrivate));
+                    if (blocked) {
+                        return callback(new RemoteFetchError(`Access to ${hostname} (${blocked.address}) is not allowed`));
+                    }
+                    if (lookupOptions.all) return callback(null, addresses);
+                    callback(null, addresses[0].address, addresses[0].family);
+                });
+            },
+            headers: Object.assign({ 'User-Agent': 'webp2mp4-converter' }, init.headers),
+            timeout: Math.max(1, deadline - Date.now())
+        });
+        const timedOut = () => req.destroy(new RemoteFetchError('The remote server did not respond in time', 504));
+        const timer = setTimeout(timedOut, Math.max(1, deadline - Date.now()));
+        req.on('response', (response) => {
+            clearTimeout(timer);
+            resolve(response);
+        });
+        req.on('close', () => clearTimeout(timer));
+        req.on('timeout', timedOut);
+        req.on('error', (error) => {
+            reject(error instanceof RemoteFetchError ? error : new RemoteFetchError(`Could not reach the remote server (${error.code || error.message})`, 502));
+        });
+        req.end(init.body);
+    });
+}
+
+// Stream the response body into the file, enforcing the size and time limits
+function saveBody(response, destPath, maxBytes, deadline) {
+    return new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(destPath);
+        let size = 0;
+        let failed = false;
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            clearTimeout(timer);
+            response.destroy();
+            file.destroy();
+            file.on('close', () => reject(error));
+        };
+        const timer = setTimeout(() => fail(new RemoteFetchError('The download took too long', 504)), Math.max(1, deadline - Date.now()));
+
+        response.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                fail(new RemoteFetchError(`The remote file is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`));
+            }
+        });
+        response.on('aborted', () => fail(new RemoteFetchError('The download was interrupted', 502)));
+        response.on('error', () => fail(new RemoteFetchError('The download was interrupted', 502)));
+        file.on('error', (error) => fail(error));
+        file.on('finish', () => {
+            clearTimeout(timer);
+            if (!failed) resolve(size);
+        });
+        response.pipe(file);
+    });
+}
+
+module.exports = {
+    RemoteFetchError,
+    isBlockedAddress,
+    parseUrl,
+    downloadToFile,
+    postJson
+};
@@ -0,0 +1,104 @@
+// Bounded scheduler for conversion workers.
+// At most maxWorkers tasks run at once; the rest wait in a FIFO queue.
+// A task is start(done): it begins the work, calls done() once the work has
+// ended and returns an abort(reason) function used to cancel it while running.
+// Requests reserve their place before their upload is received, so that
+// everything admitted fits even when it reaches the queue later.
+const queue = [];
+const running = new Map();
+const limits = { maxWorkers: 2, maxQueueDepth: 20 };
+let reserved = 0;
+
+function configure({ maxWorkers, maxQueueDepth }) {
+    if (maxWorkers !== undefined) limits.maxWorkers = maxWorkers;
+    if (maxQueueDepth !== undefined) limits.maxQueueDepth = maxQueueDepth;
+}
+
+// True when `count` more tasks fit neither in the free worker slots nor in
+// the free queue space left by the reservations
+function isFull(count = 1) {
+    const freeSlots = Math.max(0, limits.maxWorkers - running.size);
+    const freeQueue = Math.max(0, limits.maxQueueDepth - queue.length);
+    return count + reserved > freeSlots + freeQueue;
+}
+
+// Hold places for `count` tasks that will be enqueued later. Returns false,
+// reserving nothing, when they do not fit.
+function reserve(count = 1) {
+    if (isFull(count)) return false;
+    reserved += count;
+    return true;
+}
+
+// Give back reserved places that will not be used
+function release(count = 1) {
+    reserved = Math.max(0, reserved - count);
+}
+
+// Add a task to the queue. With `reserved`, it takes one of the reserved
+// places; without, it is added regardless of the queue depth (tasks of
+// admitted batches and jobs resumed after a restart).
+function enqueue(id, start, { reserved: useReservation = false } = {}) {
+    if (useReservation) release();
+    queue.push({ id, start });
+    dispatch();
+}
+
+// Cancel a task. Returns 'queued' if it was still waiting (it will never
+// start), 'running' if it was asked to abort, or null for unknown tasks.
+function cancel(id, reason) {
+    const index = queue.findIndex((task) => task.id === id);
+    if (index !== -1) {
+        queue.splice(index, 1);
+        return 'queued';
+    }
+    const abort = running.get(id);
+    if (abort) {
+        abort(reason);
+        return 'running';
+    }
+    return null;
+}
+
+// Number of tasks waiting before the given one (-1 if it is not queued)
+function queuePosition(id) {
+    return queue.findIndex((task) => task.id === id);
+}
+
+function stats() {
+    return {
+        running: running.size,
+        queued: queue.length,
+        reserved,
+        maxWorkers: limits.maxWorkers,
+        maxQueueDepth: limits.maxQueueDepth
+    };
+}
+
+function dispatch() {
+    while (running.size < limits.maxWorkers && queue.length > 0) {
+        const task = queue.shift();
+        let finished = false;
+        const done = () => {
+            if (finished) return;
+            finished = true;
+            running.delete(task.id);
+            dispatch();
+        };
+        // Reserve the slot before starting, since start() may call done() right away
+        running.set(task.id, () => {});
+        const abort = task.start(done);
+        if (!finished && abort) running.set(task.id, abort);
+    }
+}
+
+module.exports = {
+    configure,
+    isFull,
+    reserve,
+    release,
+    enqueue,
+    cancel,
+    queuePosition,
+    stats
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { PNG } = require('pngjs');
+
+// Export of the composed frames as images instead of a video (the frames and
+// spritesheet output formats). ffmpeg writes every output frame as a PNG file
+// (see lib/convert.js); they are zipped as they are with a timing manifest,
+// or packed into sprite sheets with an atlas of each frame's rectangle and
+// duration.
+
+// Atlas formats: 'texturepacker' is a TexturePacker JSON hash per sheet (with
+// each frame's duration, as Aseprite writes it), 'css' a keyframe animation
+// stepping the background of one element through the sheet
+const ATLAS_FORMATS = ['texturepacker', 'css'];
+
+// 'grid' puts every frame in a cell of the same size, row by row; 'packed'
+// trims the transparent borders of each frame and packs them onto shelves
+const PACKING_MODES = ['grid', 'packed'];
+
+const MAX_PADDING = 64;
+
+// Layout settings of writeSpriteSheet that were not given
+const DEFAULT_SHEET = {
+    atlas: 'texturepacker',
+    packing: 'grid',
+    columns: null,
+    padding: 0,
+    maxSheetSize: 4096
+};
+
+// Zip the frame files (in playing order) with manifest.json, which lists the
+// start and duration (ms) of every frame and the number of plays (0 = forever)
+async function writeFrameArchive(files, durations, loops, outputPath) {
+    const { width, height } = readPngSize(files[0]);
+    let start = 0;
+    const frames = files.map((file, i) => {
+        const frame = { file: frameName(i, files.length), start, duration: durations[i] };
+        start += durations[i];
+        return frame;
+    });
+    const manifest = { width, height, frameCount: files.length, duration: start, loops, frames };
+
+    await writeZip(outputPath, [
+        ...files.map((file, i) => ({ name: frames[i].file, path: file })),
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' }
+    ]);
+}
+
+// Pack the frame files (in playing order) into sprite sheets and zip them
+// with their atlas. Identical frames (repetitions, ping-pong) are stored once
+// and share a rectangle. Frames that do not fit on one sheet continue on the
+// next (sheet-0.png, sheet-1.png, ...), each with its own atlas.
+//
+// settings: { atlas, packing, columns (grid only, null for about as many
+// rows as columns), padding (px around every frame), maxSheetSize (px) }
+async function writeSpriteSheet(files, durations, loops, settings, outputPath) {
+    settings = Object.assign({}, DEFAULT_SHEET, settings);
+    const { images, frameImages } = scanFrames(files, settings.packing === 'packed');
+    const sheets = settings.packing === 'packed' ? packShelves(images, settings) : packGrid(images, settings);
+    if (settings.atlas === 'css' && sheets.length > 1) {
+        throw new Error(`The frames need ${sheets.length} sheets, but the css atlas can only use one. Raise maxSheetSize or make the frames smaller.`);
+    }
+
+    const names = sheets.map((sheet, i) => (sheets.length > 1 ? `sheet-${i}` : 'sheet'));
+    const entries = [];
+    sheets.forEach((sheet, i) => {
+        // Written next to the frames, which are removed with them
+        const sheetPath = path.join(path.dirname(files[0]), `${names[i]}.png`);
+        drawSheet(sheet, sheetPath);
+        entries.push({ name: `${names[i]}.png`, path: sheetPath });
+    });
+
+    if (settings.atlas === 'css') {
+        entries.push({ name: 'sheet.css', data: cssAtlas(frameImages, durations, loops, 'sheet.png') });
+    } else {
+        sheets.forEach((sheet, i) => {
+            const related = names.filter((name, j) => j !== i).map((name) => `${name}.json`);
+            const atlas = texturePackerAtlas(sheet, i, frameImages, durations, loops, `${names[i]}.png`, related);
+            entries.push({ name: `${names[i]}.json`, data: JSON.stringify(atlas, null, 2) + '\n' });
+        });
+    }
+    await writeZip(outputPath, entries);
+}
+
+// Read every frame once to find identical ones and, for packing, the
+// bounding box of its visible pixels. Pixels are not kept: the sheets read
+// the frames again, so only one sheet and one frame are in memory at a time.
+// Returns the distinct images and the image of every frame.
+function scanFrames(files, trim) {
+    const images = [];
+    const byHash = new Map();
+    const frameImages = files.map((file) => {
+        const png = PNG.sync.read(fs.readFileSync(file));
+        const hash = crypto.createHash('sha1').update(png.data).digest('hex');
+        if (!byHash.has(hash)) {
+            const bounds = trim ? visibleBounds(png) : { x: 0, y: 0, w: png.width, h: png.height };
+            const image = { file, width: png.width, height: png.height, bounds, sheet: 0, x: 0, y: 0 };
+            byHash.set(hash, image);
+            images.push(image);
+        }
+        return byHash.get(hash);
+    });
+    return { images, frameImages };
+}
+
+// Smallest rectangle holding every pixel that is not fully transparent
+// (1x1 for an empty frame, which TexturePacker does as well)
+function visibleBounds(png) {
+    let minX = png.width;
+    let minY = png.height;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < png.height; y++) {
+        for (let x = 0; x < png.width; x++) {
+            if (png.data[(y * png.width + x) * 4 + 3] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return { x: 0, y: 0, w: 1, h: 1 };
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// Place the images in equal cells, filling each sheet before the next.
+// Returns the sheets, each { width, height, images }.
+function packGrid(images, { columns, padding, maxSheetSize }) {
+    const cellWidth = Math.max(...images.map((image) => image.bounds.w));
+    const cellHeight = Math.max(...images.map((image) => image.bounds.h));
+    const fitColumns = Math.floor((maxSheetSize - padding) / (cellWidth + padding));
+    const fitRows = Math.floor((maxSheetSize - padding) / (cellHeight + padding));
+    if (fitColumns < 1 || fitRows < 1) {
+        throw new Error(`Frames of ${cellWidth}x${cellHeight}px do not fit on a sheet of ${maxSheetSize}px.`);
+    }
+    if (columns && columns > fitColumns) {
+        throw new Error(`${columns} columns of ${cellWidth}px frames do not fit on a sheet of ${maxSheetSize}px; at most ${fitColumns} do.`);
+    }
+
+    const perRow = columns || Math.min(fitColumns, Math.ceil(Math.sqrt(images.length)));
+    const perSheet = perRow * fitRows;
+    const sheets = [];
+    images.forEach((image, i) => {
+        const slot = i % perSheet;
+        if (slot === 0) sheets.push({ width: 0, height: 0, images: [] });
+        place(sheets[sheets.length - 1], sheets.length - 1, image,
+            padding + (slot % perRow) * (cellWidth + padding),
+            padding + Math.floor(slot / perRow) * (cellHeight + padding), padding);
+    });
+    return sheets;
+}
+
+// Place the trimmed images on shelves, tallest first. Shelves are about as
+// wide as a square holding all images, so a single sheet stays square-ish.
+function packShelves(images, { padding, maxSheetSize }) {
+    const widest = Math.max(...images.map((image) => image.bounds.w));
+    const tallest = Math.max(...images.map((image) => image.bounds.h));
+    if (widest + 2 * padding > maxSheetSize || tallest + 2 * padding > maxSheetSize) {
+        throw new Error(`Frames of ${widest}x${tallest}px do not fit on a sheet of ${maxSheetSize}px.`);
+    }
+    const area = images.reduce((sum, image) => sum + (image.bounds.w + padding) * (image.bounds.h + padding), 0);
+    const shelfWidth = Math.min(maxSheetSize, Math.max(widest + 2 * padding, Math.ceil(Math.sqrt(area)) + padding));
+
+    const sheets = [{ width: 0, height: 0, images: [] }];
+    let x = padding;
+    let y = padding;
+    let shelfHeight = 0;
+    const order = [...images].sort((a, b) => b.bounds.h - a.bounds.h || b.bounds.w - a.bounds.w);
+    for (const image of order) {
+        if (x + image.bounds.w + padding > shelfWidth) {
+            x = padding;
+            y += shelfHeight + padding;
+            shelfHeight = 0;
+        }
+        if (y + image.bounds.h + padding > maxSheetSize) {
+            sheets.push({ width: 0, height: 0, images: [] });
+            x = padding;
+            y = padding;
+            shelfHeight = 0;
+        }
+        place(sheets[sheets.length - 1], sheets.length - 1, image, x, y, padding);
+        x += image.bounds.w + padding;
+        shelfHeight = Math.max(shelfHeight, image.bounds.h);
+    }
+    return sheets;
+}
+
+function place(sheet, sheetIndex, image, x, y, padding) {
+    Object.assign(image, { sheet: sheetIndex, x, y });
+    sheet.images.push(image);
+    sheet.width = Math.max(sheet.width, x + image.bounds.w + padding);
+    sheet.height = Math.max(sheet.height, y + image.bounds.h + padding);
+}
+
+// Copy the images onto a transparent sheet and write it as PNG
+function drawSheet(sheet, outPath) {
+    const png = new PNG({ width: sheet.width, height: sheet.height });
+    for (const image of sheet.images) {
+        const frame = PNG.sync.read(fs.readFileSync(image.file));
+        PNG.bitblt(frame, png, image.bounds.x, image.bounds.y, image.bounds.w, image.bounds.h, image.x, image.y);
+    }
+    fs.writeFileSync(outPath, PNG.sync.write(png));
+}
+
+// TexturePacker JSON hash of one sheet: the frames on it, in playing order.
+// meta.loops (0 = forever) and related_multi_packs (the other sheets' atlases)
+// are only written where they apply.
+function texturePackerAtlas(sheet, sheetIndex, frameImages, durations, loops, imageName, related) {
+    const frames = {};
+    frameImages.forEach((image, i) => {
+        if (image.sheet !== sheetIndex) return;
+        const { bounds } = image;
+        frames[frameName(i, frameImages.length)] = {
+            frame: { x: image.x, y: image.y, w: bounds.w, h: bounds.h },
+            rotated: false,
+            trimmed: bounds.w !== image.width || bounds.h !== image.height,
+            spriteSourceSize: { x: bounds.x, y: bounds.y, w: bounds.w, h: bounds.h },
+            sourceSize: { w: image.width, h: image.height },
+            duration: durations[i]
+        };
+    });
+    const meta = {
+        app: 'webp_converter',
+        version: '1.0',
+        image: imageName,
+        format: 'RGBA8888',
+        size: { w: sheet.width, h: sheet.height },
+        scale: '1',
+        loops
+    };
+    if (related.length > 0) meta.related_multi_packs = related;
+    return { frames, meta };
+}
+
+// CSS animation of a .sprite element showing the frames in turn. Every
+// keyframe moves the background to a frame and step-end holds it there
+// until the next one, so each frame keeps its own duration.
+function cssAtlas(frameImages, durations, loops, imageName) {
+    const total = durations.reduce((sum, duration) => sum + duration, 0);
+    const position = (image) => `${-image.x}px ${-image.y}px`;
+    const lines = [
+        '.sprite {',
+        `    width: ${frameImages[0].width}px;`,
+        `    height: ${frameImages[0].height}px;`,
+        `    background: url(${imageName}) no-repeat;`,
+        `    animation: sprite ${total / 1000}s step-end ${loops === 0 ? 'infinite' : loops};`,
+        '}',
+        '',
+        '@keyframes sprite {'
+    ];
+    let start = 0;
+    frameImages.forEach((image, i) => {
+        lines.push(`    ${Number((start / total * 100).toFixed(4))}% { background-position: ${position(image)}; }`);
+        start += durations[i];
+    });
+    lines.push(`    100% { background-position: ${position(frameImages[frameImages.length - 1])}; }`, '}');
+    return lines.join('\n') + '\n';
+}
+
+// Zero-padded name of frame i, in playing order
+function frameName(i, count) {
+    return `frame_${String(i).padStart(Math.max(4, String(count - 1).length), '0')}.png`;
+}
+
+// Width and height from a PNG file's header, without decoding it
+function readPngSize(file) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(file, 'r');
+    try {
+        fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+// entries: { name, path } for files (PNGs, stored as they are since they
+// are compressed already) or { name, data } for generated text
+function writeZip(outputPath, entries) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(outputPath);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.pipe(output);
+        for (const entry of entries) {
+            if (entry.path) archive.file(entry.path, { name: entry.name, store: true });
+            else archive.append(entry.data, { name: entry.name });
+        }
+        archive.finalize();
+    });
+}
+
+module.exports = {
+    ATLAS_FORMATS,
+    PACKING_MODES,
+    DEFAULT_SHEET,
+    MAX_PADDING,
+    writeFrameArchive,
+    writeSpriteSheet
+};
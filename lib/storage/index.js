@@ -0,0 +1,79 @@
+const createLocalStorage = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Storage of finished results, shared by the whole server. Results are kept
+// for a retention period and then removed by sweep(), so they can be
+// downloaded again through signed links (see lib/downloads.js). With the S3
+// driver, several server instances can serve the same results.
+//
+// Every driver implements:
+//   put(key, filePath, { contentType })  store a copy of the file
+//   get(key)     resolves to { stream, size } or null if there is no such result
+//   remove(key)  delete the result (missing results are ignored)
+//   list()       resolves to [{ key, size, lastModified (ms) }]
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+// Keys are the output file names chosen by the server, never client input
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+let driver = null;
+
+// config: { driver: 'local' | 's3', ...settings of the driver }
+function configure(config) {
+    const create = DRIVERS[config.driver];
+    if (!create) {
+        throw new Error(`Unknown storage driver "${config.driver}". Supported: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    driver = create(config);
+}
+
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function checkKey(key) {
+    if (!driver) throw new Error('Storage is not configured');
+    if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+}
+
+async function put(key, filePath, options = {}) {
+    checkKey(key);
+    await driver.put(key, filePath, options);
+}
+
+async function get(key) {
+    checkKey(key);
+    return driver.get(key);
+}
+
+async function remove(key) {
+    checkKey(key);
+    await driver.remove(key);
+}
+
+// Remove the results stored more than retentionMs ago.
+// Resolves to the number of removed results.
+async function sweep(retentionMs) {
+    if (!driver) return 0;
+    const cutoff = Date.now() - retentionMs;
+    let removed = 0;
+    for (const object of await driver.list()) {
+        if (object.lastModified >= cutoff) continue;
+        await driver.remove(object.key);
+        removed++;
+    }
+    return removed;
+}
+
+module.exports = {
+    DRIVERS,
+    configure,
+    isValidKey,
+    put,
+    get,
+    remove,
+    sweep
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Results stored as files in a local directory; the modification time is
+// the time the result was stored.
+// config: { dir }
+function createLocalStorage(config) {
+    const dir = config.dir;
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = (key) => path.join(dir, key);
+
+    // Hard links cost no space; the directory may be on another device though.
+    // A linked file keeps the times of its source (e.g. an old cached result),
+    // so it is touched to count as stored now.
+    async function put(key, sourcePath) {
+        const target = filePath(key);
+        try {
+            await fs.promises.link(sourcePath, target);
+            const now = new Date();
+            await fs.promises.utimes(target, now, now);
+        } catch (e) {
+            if (e.code !== 'EXDEV' && e.code !== 'EPERM') throw e;
+            const temp = `${target}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.promises.copyFile(sourcePath, temp);
+            await fs.promises.rename(temp, target);
+        }
+    }
+
+    async function get(key) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath(key));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        return { stream: fs.createReadStream(filePath(key)), size: stat.size };
+    }
+
+    async function remove(key) {
+        await fs.promises.rm(filePath(key), { force: true });
+    }
+
+    async function list() {
+        const objects = [];
+        for (const file of await fs.promises.readdir(dir)) {
+            try {
+                const stat = await fs.promises.stat(filePath(file));
+                if (stat.isFile()) objects.push({ key: file, size: stat.size, lastModified: stat.mtimeMs });
+            } catch (e) {
+                // Removed while listing
+            }
+        }
+        return objects;
+    }
+
+    return { put, get, remove, list };
+}
+
+module.exports = createLocalStorage;
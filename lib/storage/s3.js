@@ -0,0 +1,183 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Results stored as objects in an S3-compatible bucket (AWS S3, MinIO, ...),
+// using the REST API with Signature Version 4.
+// config: { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix }
+//   endpoint: e.g. http://localhost:9000 (path-style requests); without it
+//             the AWS endpoint of the region is used (virtual-hosted style)
+//   prefix: prepended to every key, e.g. 'results/'
+function createS3Storage(config) {
+    const region = config.region || 'us-east-1';
+    const prefix = config.prefix || '';
+    const base = config.endpoint
+        ? new URL(`${config.endpoint.replace(/\/+$/, '')}/${config.bucket}`)
+        : new URL(`https://${config.bucket}.s3.${region}.amazonaws.com`);
+    const credentials = { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, region };
+
+    // Send a signed request; resolves to the response once its headers arrived
+    function send(method, key, { query = {}, headers = {}, body } = {}) {
+        const url = new URL(base.href);
+        if (key !== null) url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodePath(prefix + key)}`;
+        const signed = signRequest(method, url, query, headers, credentials);
+        url.search = canonicalQuery(query);
+
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            const req = client.request(url, { method, headers: signed });
+            req.on('response', resolve);
+            req.on('error', reject);
+            if (body) {
+                body.on('error', (error) => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    async function put(key, sourcePath, { contentType } = {}) {
+        const { size } = await fs.promises.stat(sourcePath);
+        const headers = { 'content-length': String(size) };
+        if (contentType) headers['content-type'] = contentType;
+        const response = await send('PUT', key, { headers, body: fs.createReadStream(sourcePath) });
+        await expectSuccess(response, 'PUT', key);
+    }
+
+    async function get(key) {
+        const response = await send('GET', key);
+        if (response.statusCode === 404) {
+            response.resume();
+            return null;
+        }
+        if (response.statusCode !== 200) await expectSuccess(response, 'GET', key);
+        return {
+            stream: response,
+            size: Number(response.headers['content-length']),
+            contentType: response.headers['content-type']
+        };
+    }
+
+    async function remove(key) {
+        const response = await send('DELETE', key);
+        // Deleting a missing object is not an error
+        if (response.statusCode === 404) return response.resume();
+        await expectSuccess(response, 'DELETE', key);
+    }
+
+    // Every object under the prefix (ListObjectsV2, 1000 per page)
+    async function list() {
+        const objects = [];
+        let token = null;
+        do {
+            const query = { 'list-type': '2', prefix };
+            if (token) query['continuation-token'] = token;
+            const response = await send('GET', null, { query });
+            const xml = await expectSuccess(response, 'LIST', prefix);
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                objects.push({
+                    key: decodeXml(xmlValue(contents, 'Key')).slice(prefix.length),
+                    size: Number(xmlValue(contents, 'Size')),
+                    lastModified: Date.parse(xmlValue(contents, 'LastModified'))
+                });
+            }
+            token = xmlValue(xml, 'IsTruncated') === 'true' ? decodeXml(xmlValue(xml, 'NextContinuationToken')) : null;
+        } while (token);
+        return objects;
+    }
+
+    return { put, get, remove, list };
+}
+
+// Read the whole response; rejects unless it is a 2xx. Resolves to the body.
+function expectSuccess(response, operation, key) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            if (response.statusCode >= 200 && response.statusCode < 300) return resolve(body);
+            const code = xmlValue(body, 'Code') || `HTTP ${response.statusCode}`;
+            reject(new Error(`S3 ${operation} ${key} failed: ${code}`));
+        });
+    });
+}
+
+// Headers of a request signed with AWS Signature Version 4. The payload is
+// not signed (UNSIGNED-PAYLOAD), so uploads can be streamed.
+function signRequest(method, url, query, headers, credentials, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const signed = Object.assign({}, headers, {
+        host: url.host,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': headers['x-amz-content-sha256'] || 'UNSIGNED-PAYLOAD'
+    });
+
+    const names = Object.keys(signed).map((name) => name.toLowerCase()).sort();
+    const lowerCased = {};
+    Object.keys(signed).forEach((name) => { lowerCased[name.toLowerCase()] = String(signed[name]).trim(); });
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery(query),
+        names.map((name) => `${name}:${lowerCased[name]}\n`).join(''),
+        signedHeaders,
+        lowerCased['x-amz-content-sha256']
+    ].join('\n');
+
+    const scope = `${date}/${credentials.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    let key = `AWS4${credentials.secretAccessKey}`;
+    [date, credentials.region, 's3', 'aws4_request'].forEach((part) => { key = hmac(key, part); });
+    const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+    signed.authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return signed;
+}
+
+function canonicalQuery(query) {
+    return Object.keys(query).sort()
+        .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+        .join('&');
+}
+
+function encodePath(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// encodeURIComponent leaves !'()* unescaped, SigV4 does not
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    return match ? match[1] : '';
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    createS3Storage,
+    signRequest
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { RemoteFetchError, parseUrl, postJson } = require('./remote');
+const log = require('./logger');
+
+// Webhook notifications of finished jobs. Every notification is a delivery:
+// a signed JSON payload POSTed to the job's callback URL (or the default URL)
+// and retried with exponential backoff until it is answered with a 2xx or
+// runs out of attempts. Deliveries are kept in an in-memory log that can be
+// queried by job id.
+//
+// Every request carries
+//   X-Webhook-Id         delivery id (the same for every attempt)
+//   X-Webhook-Event      job.completed | job.failed
+//   X-Webhook-Timestamp  unix time (s) of the attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+const MAX_CALLBACK_URL_LENGTH = 2048;
+
+const settings = {
+    // Webhooks are disabled until a secret is configured
+    secret: null,
+    defaultUrl: null,
+    maxAttempts: 5,
+    retryBaseMs: 2000,
+    timeoutMs: 10000,
+    // Addresses exempt from the private address block (see lib/remote.js)
+    allowedAddresses: [],
+    // Oldest finished deliveries are dropped beyond this many
+    maxLogEntries: 1000
+};
+
+// deliveryId -> delivery, oldest first
+const deliveries = new Map();
+
+function configure(config) {
+    Object.keys(settings).forEach((name) => {
+        if (config[name] !== undefined) settings[name] = config[name];
+    });
+}
+
+function isEnabled() {
+    return Boolean(settings.secret);
+}
+
+// Error message for a callback URL that cannot be used, or null
+function checkCallbackUrl(value) {
+    if (!isEnabled()) {
+        return 'Webhooks are not enabled on this server.';
+    }
+    if (value.length > MAX_CALLBACK_URL_LENGTH) {
+        return `Invalid callbackUrl. It may be at most ${MAX_CALLBACK_URL_LENGTH} characters long.`;
+    }
+    try {
+        parseUrl(value);
+    } catch (e) {
+        return `Invalid callbackUrl. ${e.message}.`;
+    }
+    return null;
+}
+
+// Send data about a finished job to callbackUrl, or to the default URL when
+// the job has none. Returns the delivery, or null if there is nowhere to send it.
+function notify(jobId, callbackUrl, event, data) {
+    const url = callbackUrl || settings.defaultUrl;
+    if (!url || !isEnabled()) return null;
+
+    const now = Date.now();
+    const delivery = {
+        id: crypto.randomUUID(),
+        jobId,
+        event,
+        url,
+        // The default URL is configured by the operator and may be internal;
+        // callback URLs come from clients and must be public
+        trusted: !callbackUrl,
+        body: JSON.stringify({ event, createdAt: new Date(now).toISOString(), data }),
+        state: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now
+    };
+    deliveries.set(delivery.id, delivery);
+    trimLog();
+    attempt(delivery);
+    return delivery;
+}
+
+async function attempt(delivery) {
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000);
+    const record = { at: startedAt, statusCode: null, error: null, durationMs: 0 };
+    // A refused address or an invalid URL will not change by retrying
+    let permanent = false;
+    try {
+        const { statusCode } = await postJson(delivery.url, delivery.body, {
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${sign(timestamp, delivery.body)}`
+        }, {
+            timeoutMs: settings.timeoutMs,
+            allowedAddresses: settings.allowedAddresses,
+            allowPrivate: delivery.trusted
+        });
+        record.statusCode = statusCode;
+        if (statusCode < 200 || statusCode >= 300) record.error = `HTTP ${statusCode}`;
+    } catch (e) {
+        record.error = e.message;
+        permanent = e instanceof RemoteFetchError && e.status === 400;
+    }
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+        delivery.state = 'delivered';
+        delivery.nextAttemptAt = null;
+        return;
+    }
+    if (permanent || delivery.attempts.length >= settings.maxAttempts) {
+        log.warn('Webhook delivery failed', { jobId: delivery.jobId, deliveryId: delivery.id, attempts: delivery.attempts.length, error: record.error });
+        delivery.state = 'failed';
+        delivery.nextAttemptAt = null;
+        return;
+    }
+    // 1x, 2x, 4x, ... the base delay
+    const delay = settings.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = Date.now() + delay;
+    setTimeout(() => attempt(delivery), delay).unref();
+}
+
+function sign(timestamp, body) {
+    return crypto.createHmac('sha256', settings.secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Drop the oldest finished deliveries once the log is full
+function trimLog() {
+    for (const [id, delivery] of deliveries) {
+        if (deliveries.size <= settings.maxLogEntries) break;
+        if (delivery.state !== 'pending') deliveries.delete(id);
+    }
+}
+
+// Deliveries of a job, oldest first, in the form exposed over HTTP
+function listDeliveries(jobId) {
+    return [...deliveries.values()]
+        .filter((delivery) => delivery.jobId === jobId)
+        .map(toPublicDelivery);
+}
+
+function toPublicDelivery(delivery) {
+    return {
+        id: delivery.id,
+        jobId: delivery.jobId,
+        event: delivery.event,
+        // The default URL is not shown to clients
+        url: delivery.trusted ? null : delivery.url,
+        state: delivery.state,
+        attempts: delivery.attempts.map((record) => ({
+            at: new Date(record.at).toISOString(),
+            statusCode: record.statusCode,
+            error: record.error,
+            durationMs: record.durationMs
+        })),
+        nextAttemptAt: delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).toISOString() : null,
+        createdAt: new Date(delivery.createdAt).toISOString()
+    };
+}
+
+module.exports = {
+    configure,
+    isEnabled,
+    checkCallbackUrl,
+    notify,
+    listDeliveries
+};
@@ -0,0 +1,77 @@
+// Helpers shared by the forked conversion workers
+const log = require('./logger');
+
+// Exit code of a worker that stopped itself for exceeding WORKER_MAX_MEMORY_MB
+const MEMORY_LIMIT_EXIT_CODE = 3;
+
+// How often the worker compares its memory use with the limit (ms)
+const MEMORY_CHECK_INTERVAL = 1000;
+
+// ffmpeg commands and conversions started by this worker
+const activeCommands = new Set();
+
+// Report progress to the parent process (if forked with an IPC channel)
+// phase: 'extracting' (producing frames) or 'encoding' (writing the output)
+function sendProgress(phase, value, message) {
+    if (process.send) process.send({ type: 'progress', phase, value, message });
+}
+
+// Report the time (ms) spent composing and encoding to the parent process.
+// Resolves once the message is sent, so the worker can exit afterwards.
+function sendTimings(timings) {
+    if (!process.send) return Promise.resolve();
+    return new Promise((resolve) => {
+        process.send({ type: 'timings', composition: timings.composition, encoding: timings.encoding }, () => resolve());
+    });
+}
+
+// Convert an ffmpeg timemark (HH:MM:SS.xx) to milliseconds
+function parseTimemark(timemark) {
+    if (!timemark) return 0;
+    const [h, m, sec] = String(timemark).split(':').map(Number);
+    return ((h * 60 + m) * 60 + sec) * 1000 || 0;
+}
+
+// Remember an ffmpeg command, or a conversion started with lib/convert.js,
+// so it can be killed along with the worker (killing a finished one is harmless)
+function trackCommand(command) {
+    activeCommands.add(command);
+    return command;
+}
+
+function exitWorker(code) {
+    activeCommands.forEach((command) => command.kill('SIGKILL'));
+    process.exit(code);
+}
+
+// Stop the worker and its ffmpeg child when the server terminates it
+// (timeout or cancellation), when the server goes away (IPC channel closed)
+// and when it uses more memory than WORKER_MAX_MEMORY_MB. The V8 heap limit
+// set by the server does not cover decoded frames, which live in Buffers.
+function superviseWorker() {
+    process.on('SIGTERM', () => {
+        log.warn('Worker terminated by the server');
+        exitWorker(1);
+    });
+    process.on('disconnect', () => exitWorker(1));
+
+    const limitBytes = parseInt(process.env.WORKER_MAX_MEMORY_MB || '0') * 1024 * 1024;
+    if (limitBytes > 0) {
+        setInterval(() => {
+            const rss = process.memoryUsage.rss();
+            if (rss > limitBytes) {
+                log.error('Worker memory use exceeds the limit', { rssMB: Math.round(rss / 1024 / 1024), limitMB: limitBytes / 1024 / 1024 });
+                exitWorker(MEMORY_LIMIT_EXIT_CODE);
+            }
+        }, MEMORY_CHECK_INTERVAL).unref();
+    }
+}
+
+module.exports = {
+    MEMORY_LIMIT_EXIT_CODE,
+    sendProgress,
+    sendTimings,
+    parseTimemark,
+    trackCommand,
+    superviseWorker
+};
@@ -0,0 +1,354 @@
+// Texts of the web interface in every language it supports. Elements take
+// their text from the key in data-i18n (or their placeholder, aria-label or
+// alt from data-i18n-placeholder, data-i18n-aria-label, data-i18n-alt);
+// script.js uses t() for the texts it builds itself. {name} in a text is
+// replaced by params.name.
+//
+// To add a language, add its texts (missing keys fall back to zh-TW) and its
+// name for the language toggle.
+
+const translations = {
+    'zh-TW': {
+        pageTitle: 'WebP to MP4 轉換器',
+        pageDescription: '將WebP動畫轉換為MP4影片格式的工具',
+        toggleTheme: '切換主題',
+        toggleLanguage: '切換語言',
+        title: 'WebP to MP4 轉換器',
+        subtitle: '將您的 WebP 動畫轉換為高品質 MP4 影片',
+        modeToVideo: 'WebP → 影片',
+        modeToWebP: '影片 → WebP',
+        uploadTextToVideo: '點擊或拖曳 WebP、GIF 或 APNG 檔案至此',
+        uploadSubtextToVideo: '支援動畫與靜態 WebP、GIF、PNG/APNG 圖片，可一次選擇多個檔案',
+        typeErrorToVideo: '請選擇 .webp、.gif、.png 或 .apng 檔案',
+        uploadTextToWebP: '點擊或拖曳 MP4、WebM 或 GIF 檔案至此',
+        uploadSubtextToWebP: '將短片或 GIF 轉換為動畫 WebP，一次一個檔案',
+        typeErrorToWebP: '請選擇 .mp4、.webm 或 .gif 檔案',
+        filesSelected: '已選擇 {count} 個檔案',
+        previewAlt: '動畫預覽',
+        previewLoading: '讀取動畫資訊中...',
+        previewFailed: '無法預覽：{message}',
+        previewFormat: '格式',
+        previewSize: '尺寸',
+        previewFrames: '影格數',
+        previewDuration: '總長度',
+        previewDurationValue: '{seconds} 秒',
+        previewLoops: '播放次數',
+        previewLoopsInfinite: '無限循環',
+        previewLoopsValue: '{count} 次',
+        previewAlpha: '透明通道',
+        yes: '有',
+        no: '無',
+
+        format: '輸出格式',
+        formatWebm: 'WebM (VP9，保留透明)',
+        formatMov: 'MOV (ProRes 4444，保留透明)',
+        formatFrames: 'PNG 影格 (ZIP)',
+        formatSpritesheet: 'Sprite sheet (ZIP)',
+        atlas: '圖集格式',
+        atlasCss: 'CSS 動畫',
+        packing: '排列方式',
+        packingGrid: '格狀',
+        packingPacked: '緊密排列（裁掉透明邊）',
+        columns: '每列影格數',
+        automatic: '自動',
+        sheetPadding: '影格間距 (px)',
+        maxSheetSize: '圖集最大邊長 (px)',
+        timing: '幀時序',
+        timingVfr: '精確（保留每幀延遲）',
+        timingCfr: '重新取樣為固定 FPS',
+        canvas: '輸出畫布',
+        canvasOriginal: '原始尺寸',
+        canvasVertical: '9:16 直式（1080×1920）',
+        canvasSquare: '1:1 方形（1080×1080）',
+        canvasLandscape: '16:9 橫式（1920×1080）',
+        canvasCustom: '自訂尺寸',
+        canvasWidth: '畫布寬度 (px)',
+        canvasHeight: '畫布高度 (px)',
+        fit: '填滿方式',
+        fitPad: '補邊（保留完整畫面）',
+        fitCrop: '置中裁切',
+        fitFill: '拉伸填滿',
+        padColor: '補邊顏色',
+        transparentPad: '透明補邊',
+        margin: '邊距 (px)',
+        trimAndSpeed: '剪輯與速度',
+        trimUnit: '剪輯單位',
+        trimUnitFrame: '影格（從 0 起算）',
+        trimUnitTime: '毫秒',
+        trimStart: '起點',
+        trimStartPlaceholder: '開頭',
+        trimEnd: '終點',
+        trimEndPlaceholder: '結尾',
+        frameStep: '每 N 幀取一幀',
+        speed: '播放速度',
+        reverse: '倒轉播放',
+        loop: '重複播放',
+        loopOnce: '播放一次',
+        loopSource: '依原檔播放次數',
+        loopCount: '指定次數',
+        loopCountLabel: '播放次數',
+        minDuration: '最短長度 (秒)',
+        unlimited: '不限制',
+        pingPong: '來回播放',
+        background: '透明背景',
+        backgroundDefault: '預設（MP4 為白色，其他保留透明）',
+        backgroundNone: '保留透明',
+        backgroundColor: '單一顏色',
+        backgroundCheckerboard: '棋盤格',
+        backgroundBlur: '模糊畫面',
+        backgroundImage: '上傳圖片',
+        backgroundColorLabel: '背景顏色',
+        checkerSize: '格子大小 (px)',
+        blurRadius: '模糊半徑 (px)',
+        backgroundImageLabel: '背景圖片',
+        quality: '品質預設',
+        defaultOption: '預設',
+        qualityWebSmall: '網頁小檔',
+        qualityHigh: '高畫質',
+        qualityLossless: '無損封存',
+        advanced: '進階設定',
+        codec: '編碼器',
+        crf: 'CRF（留空使用預設）',
+        crfPlaceholder: '例如 23',
+        preset: '編碼速度',
+        targetSize: '目標檔案大小 (KB)',
+        maxWidth: '最大寬度 (px)',
+        maxHeight: '最大高度 (px)',
+        originalSize: '原始尺寸',
+        webpQuality: '品質 (0–100)',
+        lossless: '無損壓縮',
+        loops: '播放次數（0 為無限）',
+
+        convert: '開始轉換',
+        converting: '轉換中...',
+        uploading: '上傳中...',
+        uploadingFiles: '上傳 {count} 個檔案中...',
+        conversionDone: '轉換完成！',
+        readyToDownload: '您的檔案已準備好下載',
+        downloadZip: '下載全部 (ZIP)',
+        convertMore: '轉換其他檔案',
+        phaseQueued: '排隊中...',
+        phaseComposing: '合成影格中',
+        phaseEncodingVideo: '編碼影片中',
+        phaseDecodingVideo: '解碼影片中',
+        phaseEncodingWebP: '編碼 WebP 中',
+        phaseDone: '轉換完成',
+        batchProgress: '已完成 {finished} / {total}（失敗 {failed}）',
+        download: '下載',
+        failedWith: '失敗：{message}',
+        noFileSelected: '請選擇要轉換的檔案',
+        singleFileOnly: '一次只能轉換一個檔案',
+        conversionFailed: '轉換失敗',
+        conversionError: '轉換過程中發生錯誤：{message}',
+        batchError: '批次轉換過程中發生錯誤：{message}',
+        connectionLost: '與伺服器的連線中斷',
+
+        featureFast: '快速轉換',
+        featureFastDescription: '使用 WebPMux 與 FFmpeg 引擎進行高效轉換',
+        featureSimple: '簡單易用',
+        featureSimpleDescription: '拖放上傳，一鍵完成轉換',
+        featureQuality: '高品質輸出',
+        featureQualityDescription: '保持原始畫質'
+    },
+    en: {
+        pageTitle: 'WebP to MP4 Converter',
+        pageDescription: 'A tool that converts animated WebP images to MP4 videos',
+        toggleTheme: 'Toggle theme',
+        toggleLanguage: 'Change language',
+        title: 'WebP to MP4 Converter',
+        subtitle: 'Turn your animated WebP images into high-quality MP4 videos',
+        modeToVideo: 'WebP → Video',
+        modeToWebP: 'Video → WebP',
+        uploadTextToVideo: 'Click or drop WebP, GIF or APNG files here',
+        uploadSubtextToVideo: 'Animated and still WebP, GIF and PNG/APNG images; several files can be chosen at once',
+        typeErrorToVideo: 'Please choose a .webp, .gif, .png or .apng file',
+        uploadTextToWebP: 'Click or drop an MP4, WebM or GIF file here',
+        uploadSubtextToWebP: 'Turns a short video or GIF into an animated WebP, one file at a time',
+        typeErrorToWebP: 'Please choose a .mp4, .webm or .gif file',
+        filesSelected: '{count} files selected',
+        previewAlt: 'Animation preview',
+        previewLoading: 'Reading the animation...',
+        previewFailed: 'No preview: {message}',
+        previewFormat: 'Format',
+        previewSize: 'Size',
+        previewFrames: 'Frames',
+        previewDuration: 'Duration',
+        previewDurationValue: '{seconds} s',
+        previewLoops: 'Plays',
+        previewLoopsInfinite: 'Loops forever',
+        previewLoopsValue: '{count}×',
+        previewAlpha: 'Transparency',
+        yes: 'Yes',
+        no: 'No',
+
+        format: 'Output format',
+        formatWebm: 'WebM (VP9, keeps transparency)',
+        formatMov: 'MOV (ProRes 4444, keeps transparency)',
+        formatFrames: 'PNG frames (ZIP)',
+        formatSpritesheet: 'Sprite sheet (ZIP)',
+        atlas: 'Atlas format',
+        atlasCss: 'CSS animation',
+        packing: 'Layout',
+        packingGrid: 'Grid',
+        packingPacked: 'Packed (trim transparent borders)',
+        columns: 'Frames per row',
+        automatic: 'Automatic',
+        sheetPadding: 'Frame padding (px)',
+        maxSheetSize: 'Largest sheet side (px)',
+        timing: 'Frame timing',
+        timingVfr: 'Exact (keep every frame delay)',
+        timingCfr: 'Resample to a fixed FPS',
+        canvas: 'Output canvas',
+        canvasOriginal: 'Original size',
+        canvasVertical: '9:16 portrait (1080×1920)',
+        canvasSquare: '1:1 square (1080×1080)',
+        canvasLandscape: '16:9 landscape (1920×1080)',
+        canvasCustom: 'Custom size',
+        canvasWidth: 'Canvas width (px)',
+        canvasHeight: 'Canvas height (px)',
+        fit: 'Fit',
+        fitPad: 'Pad (keep the whole picture)',
+        fitCrop: 'Center crop',
+        fitFill: 'Stretch to fill',
+        padColor: 'Padding color',
+        transparentPad: 'Transparent padding',
+        margin: 'Margin (px)',
+        trimAndSpeed: 'Trim and speed',
+        trimUnit: 'Trim by',
+        trimUnitFrame: 'Frame (from 0)',
+        trimUnitTime: 'Milliseconds',
+        trimStart: 'Start',
+        trimStartPlaceholder: 'Beginning',
+        trimEnd: 'End',
+        trimEndPlaceholder: 'End',
+        frameStep: 'Keep every Nth frame',
+        speed: 'Playback speed',
+        reverse: 'Play backwards',
+        loop: 'Repeat',
+        loopOnce: 'Play once',
+        loopSource: 'As often as the original',
+        loopCount: 'Number of times',
+        loopCountLabel: 'Plays',
+        minDuration: 'Minimum length (s)',
+        unlimited: 'No limit',
+        pingPong: 'Ping-pong',
+        background: 'Transparent areas',
+        backgroundDefault: 'Default (white for MP4, transparent otherwise)',
+        backgroundNone: 'Keep transparency',
+        backgroundColor: 'Solid color',
+        backgroundCheckerboard: 'Checkerboard',
+        backgroundBlur: 'Blurred picture',
+        backgroundImage: 'Uploaded image',
+        backgroundColorLabel: 'Background color',
+        checkerSize: 'Square size (px)',
+        blurRadius: 'Blur radius (px)',
+        backgroundImageLabel: 'Background image',
+        quality: 'Quality preset',
+        defaultOption: 'Default',
+        qualityWebSmall: 'Small for the web',
+        qualityHigh: 'High quality',
+        qualityLossless: 'Lossless archive',
+        advanced: 'Advanced settings',
+        codec: 'Codec',
+        crf: 'CRF (empty for the default)',
+        crfPlaceholder: 'e.g. 23',
+        preset: 'Encoding speed',
+        targetSize: 'Target file size (KB)',
+        maxWidth: 'Maximum width (px)',
+        maxHeight: 'Maximum height (px)',
+        originalSize: 'Original size',
+        webpQuality: 'Quality (0–100)',
+        lossless: 'Lossless compression',
+        loops: 'Plays (0 loops forever)',
+
+        convert: 'Convert',
+        converting: 'Converting...',
+        uploading: 'Uploading...',
+        uploadingFiles: 'Uploading {count} files...',
+        conversionDone: 'Conversion finished!',
+        readyToDownload: 'Your file is ready to download',
+        downloadZip: 'Download all (ZIP)',
+        convertMore: 'Convert other files',
+        phaseQueued: 'Waiting in the queue...',
+        phaseComposing: 'Composing frames',
+        phaseEncodingVideo: 'Encoding video',
+        phaseDecodingVideo: 'Decoding video',
+        phaseEncodingWebP: 'Encoding WebP',
+        phaseDone: 'Conversion finished',
+        batchProgress: '{finished} / {total} finished ({failed} failed)',
+        download: 'Download',
+        failedWith: 'Failed: {message}',
+        noFileSelected: 'Please choose a file to convert',
+        singleFileOnly: 'Only one file can be converted at a time',
+        conversionFailed: 'Conversion failed',
+        conversionError: 'Error during conversion: {message}',
+        batchError: 'Error during the batch conversion: {message}',
+        connectionLost: 'The connection to the server was lost',
+
+        featureFast: 'Fast conversion',
+        featureFastDescription: 'Efficient conversion with the WebPMux and FFmpeg engines',
+        featureSimple: 'Easy to use',
+        featureSimpleDescription: 'Drop a file and convert it in one click',
+        featureQuality: 'High-quality output',
+        featureQualityDescription: 'Keeps the original picture quality'
+    }
+};
+
+// Name of each language on the language toggle
+const languageNames = {
+    'zh-TW': '中',
+    en: 'EN'
+};
+
+const DEFAULT_LANGUAGE = 'zh-TW';
+
+// Saved choice, else the first browser language we have, else the default
+function detectLanguage() {
+    const saved = localStorage.getItem('language');
+    if (translations[saved]) return saved;
+    for (const tag of navigator.languages || [navigator.language]) {
+        const primary = String(tag).toLowerCase().split('-')[0];
+        const match = Object.keys(translations).find((language) => language.toLowerCase().split('-')[0] === primary);
+        if (match) return match;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+function t(key, params = {}) {
+    const text = translations[currentLanguage][key] ?? translations[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Fill in the texts of every element marked with a data-i18n attribute
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+    document.title = t('pageTitle');
+    document.querySelector('meta[name="description"]').content = t('pageDescription');
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach((element) => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    document.querySelectorAll('[data-i18n-alt]').forEach((element) => {
+        element.alt = t(element.dataset.i18nAlt);
+    });
+}
+
+// Switch to the language and remember it, like the theme
+function setLanguage(language) {
+    currentLanguage = language;
+    localStorage.setItem('language', language);
+    applyTranslations();
+}
+
+// Language after the current one, for the toggle
+function nextLanguage() {
+    const languages = Object.keys(translations);
+    return languages[(languages.indexOf(currentLanguage) + 1) % languages.length];
+}
@@ -10,6 +10,110 @@ const progressSection = document.getElementById('progressSection');
 const progressBar = document.getElementById('progressBar');
 const progressText = document.getElementById('progressText');
 const successSection = document.getElementById('successSection');
+const batchSection = document.getElementById('batchSection');
+const batchList = document.getElementById('batchList');
+const batchActions = document.getElementById('batchActions');
+const downloadZipButton = document.getElementById('downloadZipButton');
+const batchResetButton = document.getElementById('batchResetButton');
+const formatSelect = document.getElementById('formatSelect');
+const timingSelect = document.getElementById('timingSelect');
+const fpsRow = document.getElementById('fpsRow');
+const fpsInput = document.getElementById('fpsInput');
+const qualitySelect = document.getElementById('qualitySelect');
+const canvasSelect = document.getElementById('canvasSelect');
+const canvasRows = document.querySelectorAll('.canvas-row');
+const canvasWidthInput = document.getElementById('canvasWidthInput');
+const canvasHeightInput = document.getElementById('canvasHeightInput');
+const fitSelect = document.getElementById('fitSelect');
+const padColorInput = document.getElementById('padColorInput');
+const transparentPadRow = document.getElementById('transparentPadRow');
+const transparentPadCheckbox = document.getElementById('transparentPadCheckbox');
+const marginInput = document.getElementById('marginInput');
+const trimUnitSelect = document.getElementById('trimUnitSelect');
+const trimStartInput = document.getElementById('trimStartInput');
+const trimEndInput = document.getElementById('trimEndInput');
+const frameStepInput = document.getElementById('frameStepInput');
+const speedSelect = document.getElementById('speedSelect');
+const reverseCheckbox = document.getElementById('reverseCheckbox');
+const loopSelect = document.getElementById('loopSelect');
+const loopCountRow = document.getElementById('loopCountRow');
+const loopCountInput = document.getElementById('loopCountInput');
+const minDurationInput = document.getElementById('minDurationInput');
+const pingPongCheckbox = document.getElementById('pingPongCheckbox');
+const backgroundSelect = document.getElementById('backgroundSelect');
+const keepAlphaOption = document.getElementById('keepAlphaOption');
+const backgroundRows = document.querySelectorAll('.background-row');
+const backgroundColorInput = document.getElementById('backgroundColorInput');
+const checkerSizeInput = document.getElementById('checkerSizeInput');
+const blurRadiusInput = document.getElementById('blurRadiusInput');
+const backgroundImageInput = document.getElementById('backgroundImageInput');
+const sheetRows = document.querySelectorAll('.sheet-row');
+const atlasSelect = document.getElementById('atlasSelect');
+const packingSelect = document.getElementById('packingSelect');
+const packedOption = document.getElementById('packedOption');
+const columnsInput = document.getElementById('columnsInput');
+const paddingInput = document.getElementById('paddingInput');
+const maxSheetSizeInput = document.getElementById('maxSheetSizeInput');
+const codecRow = document.getElementById('codecRow');
+const presetRow = document.getElementById('presetRow');
+const tunableRows = document.querySelectorAll('.tunable-row');
+const encodingInputs = {
+    codec: document.getElementById('codecSelect'),
+    crf: document.getElementById('crfInput'),
+    preset: document.getElementById('presetSelect'),
+    targetSizeKB: document.getElementById('targetSizeInput'),
+    maxWidth: document.getElementById('maxWidthInput'),
+    maxHeight: document.getElementById('maxHeightInput')
+};
+
+const modeButtons = document.querySelectorAll('.mode-button');
+const optionsPanel = document.getElementById('optionsPanel');
+const webpOptionsPanel = document.getElementById('webpOptionsPanel');
+const uploadText = document.getElementById('uploadText');
+const uploadSubtext = document.getElementById('uploadSubtext');
+const webpInputs = {
+    fps: document.getElementById('webpFpsInput'),
+    quality: document.getElementById('webpQualityInput'),
+    loops: document.getElementById('loopsInput'),
+    maxWidth: document.getElementById('webpMaxWidthInput'),
+    maxHeight: document.getElementById('webpMaxHeightInput')
+};
+const losslessCheckbox = document.getElementById('losslessCheckbox');
+const previewPanel = document.getElementById('previewPanel');
+const previewImage = document.getElementById('previewImage');
+const previewInfo = document.getElementById('previewInfo');
+
+// Conversion directions: accepted files, upload endpoint and text keys
+const modes = {
+    toVideo: {
+        accept: '.webp,.gif,.png,.apng',
+        pattern: /\.(webp|gif|png|apng)$/i,
+        multiple: true,
+        endpoint: '/jobs',
+        field: 'webpFile',
+        uploadText: 'uploadTextToVideo',
+        uploadSubtext: 'uploadSubtextToVideo',
+        typeError: 'typeErrorToVideo'
+    },
+    toWebP: {
+        accept: '.mp4,.webm,.gif',
+        pattern: /\.(mp4|webm|gif)$/i,
+        multiple: false,
+        endpoint: '/jobs/webp',
+        field: 'videoFile',
+        uploadText: 'uploadTextToWebP',
+        uploadSubtext: 'uploadSubtextToWebP',
+        typeError: 'typeErrorToWebP'
+    }
+};
+let currentMode = 'toVideo';
+
+// Encoder settings each output format supports (others only allow size limits)
+const formatCapabilities = {
+    mp4: { codec: true, crf: true, preset: true, targetSizeKB: true, opaque: true },
+    webm: { crf: true, targetSizeKB: true },
+    spritesheet: { sheet: true }
+};
 
 // Drag and drop handlers
 fileInputWrapper.addEventListener('dragover', (e) => {
@@ -28,14 +132,14 @@ fileInputWrapper.addEventListener('drop', (e) => {
     const files = e.dataTransfer.files;
     if (files.length > 0) {
         fileInput.files = files;
-        displaySelectedFile(files[0]);
+        displaySelectedFiles(files);
     }
 });
 
 // File input change handler
 fileInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-        displaySelectedFile(e.target.files[0]);
+        displaySelectedFiles(e.target.files);
     }
 });
 
@@ -46,18 +150,130 @@ removeFileBtn.addEventListener('click', (e) => {
     hideSelectedFile();
 });
 
-// Display selected file info
-function displaySelectedFile(file) {
-    const fileName = file.name;
-    const fileSize = formatFileSize(file.size);
+// Timing mode handler: the FPS field only applies when resampling
+timingSelect.addEventListener('change', () => {
+    fpsRow.style.display = timingSelect.value === 'cfr' ? 'flex' : 'none';
+});
+
+// Loop handler: the play count field only applies to an explicit count
+loopSelect.addEventListener('change', () => {
+    loopCountRow.style.display = loopSelect.value === 'count' ? 'flex' : 'none';
+});
+
+// Show only the encoder settings the selected format supports
+function updateEncodingOptions() {
+    const capabilities = formatCapabilities[formatSelect.value] || {};
+    codecRow.style.display = capabilities.codec ? 'flex' : 'none';
+    presetRow.style.display = capabilities.preset ? 'flex' : 'none';
+    tunableRows.forEach((row) => {
+        row.style.display = capabilities.crf ? 'flex' : 'none';
+    });
+}
+
+formatSelect.addEventListener('change', updateEncodingOptions);
+updateEncodingOptions();
+
+// Show the settings of the chosen background; formats without an alpha
+// channel cannot keep transparency
+function updateBackgroundOptions() {
+    const capabilities = formatCapabilities[formatSelect.value] || {};
+    keepAlphaOption.disabled = !!capabilities.opaque;
+    if (keepAlphaOption.disabled && backgroundSelect.value === 'none') {
+        backgroundSelect.value = '';
+    }
+    backgroundRows.forEach((row) => {
+        row.style.display = row.dataset.backgrounds.split(' ').includes(backgroundSelect.value) ? 'flex' : 'none';
+    });
+}
 
-    fileNameDisplay.textContent = fileName;
-    fileSizeDisplay.textContent = fileSize;
+formatSelect.addEventListener('change', updateBackgroundOptions);
+backgroundSelect.addEventListener('change', updateBackgroundOptions);
+updateBackgroundOptions();
+
+// Canvas settings only apply with a canvas; the size fields only to a custom one
+function updateCanvasOptions() {
+    const capabilities = formatCapabilities[formatSelect.value] || {};
+    canvasRows.forEach((row) => {
+        const visible = row.dataset.canvas ? canvasSelect.value === row.dataset.canvas : canvasSelect.value !== '';
+        row.style.display = visible ? 'flex' : 'none';
+    });
+    if (capabilities.opaque) {
+        transparentPadRow.style.display = 'none';
+        transparentPadCheckbox.checked = false;
+    }
+    padColorInput.disabled = transparentPadCheckbox.checked;
+}
+
+formatSelect.addEventListener('change', updateCanvasOptions);
+canvasSelect.addEventListener('change', updateCanvasOptions);
+transparentPadCheckbox.addEventListener('change', updateCanvasOptions);
+updateCanvasOptions();
+
+// Sprite sheet settings only apply to sprite sheets; the CSS atlas needs the
+// grid, and only the grid has columns
+function updateSheetOptions() {
+    const capabilities = formatCapabilities[formatSelect.value] || {};
+    packedOption.disabled = atlasSelect.value === 'css';
+    if (packedOption.disabled && packingSelect.value === 'packed') {
+        packingSelect.value = 'grid';
+    }
+    sheetRows.forEach((row) => {
+        const visible = capabilities.sheet && (!row.dataset.packing || row.dataset.packing === packingSelect.value);
+        row.style.display = visible ? 'flex' : 'none';
+    });
+}
+
+formatSelect.addEventListener('change', updateSheetOptions);
+atlasSelect.addEventListener('change', updateSheetOptions);
+packingSelect.addEventListener('change', updateSheetOptions);
+updateSheetOptions();
+
+// Switch between WebP → video and video → WebP
+function setMode(mode) {
+    const settings = modes[mode];
+    currentMode = mode;
+    modeButtons.forEach((button) => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    optionsPanel.style.display = mode === 'toVideo' ? 'flex' : 'none';
+    webpOptionsPanel.style.display = mode === 'toWebP' ? 'flex' : 'none';
+    fileInput.accept = settings.accept;
+    fileInput.multiple = settings.multiple;
+    // The keys let a language change re-translate the texts
+    uploadText.dataset.i18n = settings.uploadText;
+    uploadText.textContent = t(settings.uploadText);
+    uploadSubtext.dataset.i18n = settings.uploadSubtext;
+    uploadSubtext.textContent = t(settings.uploadSubtext);
+    fileInput.value = '';
+    hideSelectedFile();
+}
+
+modeButtons.forEach((button) => {
+    button.addEventListener('click', () => setMode(button.dataset.mode));
+});
+
+// Display selected file info (name and size, or count and total size for many files)
+function displaySelectedFiles(files) {
+    if (files.length === 1) {
+        fileNameDisplay.textContent = files[0].name;
+        fileSizeDisplay.textContent = formatFileSize(files[0].size);
+    } else {
+        const totalSize = Array.from(files).reduce((sum, file) => sum + file.size, 0);
+        fileNameDisplay.textContent = t('filesSelected', { count: files.length });
+        fileSizeDisplay.textContent = formatFileSize(totalSize);
+    }
 
     document.querySelector('.file-input-overlay').style.display = 'none';
     fileSelectedDiv.style.display = 'flex';
     // Disable pointer events on file input when file is selected
     fileInput.style.pointerEvents = 'none';
+
+    // Preview a single animation before it is converted
+    if (files.length === 1 && currentMode === 'toVideo' && modes.toVideo.pattern.test(files[0].name)) {
+        showPreview(files[0]);
+    } else {
+        hidePreview();
+    }
 }
 
 // Hide selected file info
@@ -66,6 +282,93 @@ function hideSelectedFile() {
     fileSelectedDiv.style.display = 'none';
     // Re-enable pointer events on file input
     fileInput.style.pointerEvents = 'auto';
+    hidePreview();
+}
+
+// Object URL of the previewed file and a counter that lets stale
+// inspection responses be ignored when another file was chosen meanwhile
+let previewUrl = null;
+let previewRequest = 0;
+// Metadata on show, listed again when the language changes
+let previewedInfo = null;
+
+// Show the server's poster frame and metadata, then swap the poster for the
+// file itself so the browser plays the animation
+async function showPreview(file) {
+    hidePreview();
+    const request = ++previewRequest;
+    previewPanel.style.display = 'flex';
+    previewImage.style.display = 'none';
+    setPreviewMessage(t('previewLoading'));
+
+    const formData = new FormData();
+    formData.append('webpFile', file);
+    try {
+        const response = await fetch('/inspect', {
+            method: 'POST',
+            headers: { 'Accept-Language': currentLanguage },
+            body: formData
+        });
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+        const info = await response.json();
+        if (request !== previewRequest) return;
+
+        previewImage.src = info.poster.dataUrl;
+        previewImage.style.display = 'block';
+        renderPreviewInfo(info);
+
+        const url = URL.createObjectURL(file);
+        previewUrl = url;
+        const animated = new Image();
+        animated.onload = () => {
+            if (previewUrl === url) previewImage.src = url;
+        };
+        animated.src = url;
+    } catch (error) {
+        if (request !== previewRequest) return;
+        setPreviewMessage(t('previewFailed', { message: error.message }));
+    }
+}
+
+function hidePreview() {
+    previewRequest++;
+    previewPanel.style.display = 'none';
+    previewImage.removeAttribute('src');
+    previewInfo.replaceChildren();
+    previewedInfo = null;
+    if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+    }
+}
+
+function setPreviewMessage(message) {
+    const item = document.createElement('dd');
+    item.className = 'preview-message';
+    item.textContent = message;
+    previewInfo.replaceChildren(item);
+}
+
+// List the inspected metadata as term/value pairs
+function renderPreviewInfo(info) {
+    previewedInfo = info;
+    const entries = [
+        [t('previewFormat'), info.format === 'png' ? (info.frameCount > 1 ? 'APNG' : 'PNG') : info.format.toUpperCase()],
+        [t('previewSize'), `${info.width} × ${info.height} px`],
+        [t('previewFrames'), String(info.frameCount)],
+        [t('previewDuration'), t('previewDurationValue', { seconds: (info.duration / 1000).toFixed(2) })],
+        [t('previewLoops'), info.loops === 0 ? t('previewLoopsInfinite') : t('previewLoopsValue', { count: info.loops })],
+        [t('previewAlpha'), info.hasAlpha ? t('yes') : t('no')]
+    ];
+    previewInfo.replaceChildren(...entries.flatMap(([term, value]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        return [dt, dd];
+    }));
 }
 
 // Format file size
@@ -81,82 +384,74 @@ function formatFileSize(bytes) {
 uploadForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
+    const settings = modes[currentMode];
+
     if (!fileInput.files || fileInput.files.length === 0) {
-        alert('請選擇一個 WebP 檔案');
+        alert(t('noFileSelected'));
+        return;
+    }
+
+    // Many files are converted as one batch with per-file results
+    if (fileInput.files.length > 1) {
+        if (!settings.multiple) {
+            alert(t('singleFileOnly'));
+            return;
+        }
+        submitBatch(Array.from(fileInput.files));
         return;
     }
 
     const file = fileInput.files[0];
 
     // Validate file type
-    if (!file.name.toLowerCase().endsWith('.webp')) {
-        alert('請選擇 .webp 檔案');
+    if (!settings.pattern.test(file.name)) {
+        alert(t(settings.typeError));
         return;
     }
 
-    // Prepare form data
-    const formData = new FormData();
-    formData.append('webpFile', file);
+    const formData = currentMode === 'toWebP' ? createWebPFormData() : createOptionsFormData();
+    formData.append(settings.field, file);
+    const extension = currentMode === 'toWebP' ? '.webp' : formatSelect.selectedOptions[0].dataset.extension;
 
     // Show progress
     uploadForm.style.display = 'none';
     progressSection.style.display = 'block';
     convertButton.disabled = true;
-
-    // Simulate progress (since fetch doesn't provide upload progress easily)
-    let progress = 0;
-    const progressInterval = setInterval(() => {
-        progress += 1;
-        if (progress <= 90) {
-            progressBar.style.width = progress + '%';
-            if (progress === 90) {
-                progressBar.classList.add('pulsing');
-                progressText.textContent = '處理中，請稍候...';
-            }
-        }
-    }, 100);
+    progressBar.style.width = '100%';
+    progressBar.classList.add('pulsing');
+    progressText.textContent = t('uploading');
 
     try {
-        const response = await fetch('/convert', {
+        const response = await fetch(settings.endpoint, {
             method: 'POST',
+            headers: { 'Accept-Language': currentLanguage },
             body: formData
         });
 
-        clearInterval(progressInterval);
-
         if (!response.ok) {
-            // Try to parse JSON error response
-            let errorMessage = '轉換失敗';
-            try {
-                const errorData = await response.json();
-                if (errorData?.error) {
-                    errorMessage = errorData.error;
-                    if (errorData.details) {
-                        errorMessage += ': ' + errorData.details;
-                    }
-                }
-            } catch (e) {
-                // If JSON parsing fails, use status text
-                errorMessage += ' (' + response.status + ')';
-            }
-            throw new Error(errorMessage);
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const job = await response.json();
+        progressBar.classList.remove('pulsing');
+        progressBar.style.width = '0%';
+
+        // Follow the job's real progress until it finishes
+        const finalState = await watchJob(job);
+        if (finalState.state === 'failed') {
+            throw new Error(finalState.error || t('conversionFailed'));
         }
 
         // Complete progress
         progressBar.style.width = '100%';
 
-        // Get the blob from response
-        const blob = await response.blob();
-
-        // Create download link
-        const url = window.URL.createObjectURL(blob);
+        // Download the result
         const a = document.createElement('a');
         a.style.display = 'none';
-        a.href = url;
-        a.download = file.name.replace('.webp', '') + '.mp4';
+        a.href = finalState.resultUrl;
+        a.download = file.name.replace(/\.[^.]+$/, '') + extension;
         document.body.appendChild(a);
         a.click();
-        window.URL.revokeObjectURL(url);
         document.body.removeChild(a);
 
         // Show success
@@ -171,24 +466,295 @@ uploadForm.addEventListener('submit', async (e) => {
         }, 500);
 
     } catch (error) {
-        clearInterval(progressInterval);
         console.error('Error:', error);
-        alert('轉換過程中發生錯誤：' + error.message);
+        alert(t('conversionError', { message: error.message }));
         resetForm();
     }
 });
 
+// Build form data holding the selected conversion options
+// (options come first so the server sees them before the files)
+function createOptionsFormData() {
+    const formData = new FormData();
+    formData.append('format', formatSelect.value);
+    formData.append('timing', timingSelect.value);
+    if (timingSelect.value === 'cfr') {
+        formData.append('fps', fpsInput.value);
+    }
+    // Trim points are frame indices or milliseconds, depending on the unit
+    const trimFields = trimUnitSelect.value === 'time' ? ['startTime', 'endTime'] : ['startFrame', 'endFrame'];
+    if (trimStartInput.value) {
+        formData.append(trimFields[0], trimStartInput.value);
+    }
+    if (trimEndInput.value) {
+        formData.append(trimFields[1], trimEndInput.value);
+    }
+    if (frameStepInput.value && frameStepInput.value !== '1') {
+        formData.append('frameStep', frameStepInput.value);
+    }
+    if (speedSelect.value !== '1') {
+        formData.append('speed', speedSelect.value);
+    }
+    if (reverseCheckbox.checked) {
+        formData.append('reverse', 'true');
+    }
+    if (loopSelect.value) {
+        formData.append('loop', loopSelect.value === 'count' ? loopCountInput.value : loopSelect.value);
+    }
+    if (minDurationInput.value) {
+        formData.append('minDuration', minDurationInput.value);
+    }
+    if (pingPongCheckbox.checked) {
+        formData.append('pingPong', 'true');
+    }
+    const background = backgroundSelect.value;
+    if (background) {
+        formData.append('background', background);
+        if (['color', 'checkerboard', 'blur'].includes(background)) {
+            formData.append('backgroundColor', backgroundColorInput.value);
+        }
+        if (background === 'checkerboard') {
+            formData.append('checkerSize', checkerSizeInput.value);
+        }
+        if (background === 'blur') {
+            formData.append('blurRadius', blurRadiusInput.value);
+        }
+        if (background === 'image' && backgroundImageInput.files[0]) {
+            formData.append('backgroundImage', backgroundImageInput.files[0]);
+        }
+    }
+    if (qualitySelect.value) {
+        formData.append('quality', qualitySelect.value);
+    }
+    if (canvasSelect.value) {
+        formData.append('canvas', canvasSelect.value);
+        if (canvasSelect.value === 'custom') {
+            formData.append('canvasWidth', canvasWidthInput.value);
+            formData.append('canvasHeight', canvasHeightInput.value);
+        }
+        formData.append('fit', fitSelect.value);
+        formData.append('padColor', transparentPadCheckbox.checked ? 'transparent' : padColorInput.value);
+        if (marginInput.value && marginInput.value !== '0') {
+            formData.append('margin', marginInput.value);
+        }
+    }
+    // Only send the overrides that are filled in and apply to the chosen format;
+    // a canvas replaces the size limits
+    const capabilities = formatCapabilities[formatSelect.value] || {};
+    if (capabilities.sheet) {
+        formData.append('atlas', atlasSelect.value);
+        formData.append('packing', packingSelect.value);
+        if (packingSelect.value === 'grid' && columnsInput.value) {
+            formData.append('columns', columnsInput.value);
+        }
+        if (paddingInput.value) {
+            formData.append('padding', paddingInput.value);
+        }
+        if (maxSheetSizeInput.value) {
+            formData.append('maxSheetSize', maxSheetSizeInput.value);
+        }
+    }
+    Object.entries(encodingInputs).forEach(([name, input]) => {
+        const isSizeLimit = name === 'maxWidth' || name === 'maxHeight';
+        if (input.value && (isSizeLimit ? !canvasSelect.value : capabilities[name])) {
+            formData.append(name, input.value);
+        }
+    });
+    return formData;
+}
+
+// Build form data holding the animated WebP options of the reverse conversion
+function createWebPFormData() {
+    const formData = new FormData();
+    Object.entries(webpInputs).forEach(([name, input]) => {
+        if (input.value) {
+            formData.append(name, input.value);
+        }
+    });
+    formData.append('lossless', losslessCheckbox.checked ? 'true' : 'false');
+    return formData;
+}
+
+// Progress text key for each job state
+const phaseLabels = {
+    queued: 'phaseQueued',
+    extracting: 'phaseComposing',
+    encoding: 'phaseEncodingVideo',
+    done: 'phaseDone'
+};
+
+// Same for the reverse conversion, where frames are decoded first and then encoded as WebP
+const webpPhaseLabels = {
+    queued: 'phaseQueued',
+    extracting: 'phaseDecodingVideo',
+    encoding: 'phaseEncodingWebP',
+    done: 'phaseDone'
+};
+
+// Subscribe to a job's progress events; resolves with the final job state
+function watchJob(job) {
+    return watchEvents(job.eventsUrl, (state) => {
+        progressBar.style.width = state.progress + '%';
+        const labels = currentMode === 'toWebP' ? webpPhaseLabels : phaseLabels;
+        const label = t(labels[state.state] || labels.queued);
+        progressText.textContent = state.state === 'queued' ? label : `${label}... ${state.progress}%`;
+    }, (state) => state.state === 'done' || state.state === 'failed');
+}
+
+// Follow a Server-Sent Events stream until isDone(state); resolves with the last state.
+// EventSource cannot send Accept-Language, so failures are asked for in the
+// UI language with ?lang=.
+function watchEvents(url, onState, isDone) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`${url}?lang=${encodeURIComponent(currentLanguage)}`);
+
+        source.onmessage = (event) => {
+            const state = JSON.parse(event.data);
+            onState(state);
+
+            if (isDone(state)) {
+                source.close();
+                resolve(state);
+            }
+        };
+
+        source.onerror = () => {
+            source.close();
+            reject(new Error(t('connectionLost')));
+        };
+    });
+}
+
+// Convert many files as one batch, listing each file's state as it changes
+async function submitBatch(files) {
+    const formData = createOptionsFormData();
+    files.forEach((file) => formData.append('webpFiles', file));
+
+    // Show progress
+    uploadForm.style.display = 'none';
+    progressSection.style.display = 'block';
+    convertButton.disabled = true;
+    progressBar.style.width = '100%';
+    progressBar.classList.add('pulsing');
+    progressText.textContent = t('uploadingFiles', { count: files.length });
+
+    try {
+        const response = await fetch('/batches', {
+            method: 'POST',
+            headers: { 'Accept-Language': currentLanguage },
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const batch = await response.json();
+        progressBar.classList.remove('pulsing');
+        batchSection.style.display = 'block';
+        renderBatch(batch);
+
+        const finalState = await watchEvents(batch.eventsUrl, renderBatch, (state) => state.state === 'done');
+
+        progressSection.style.display = 'none';
+        batchActions.style.display = 'flex';
+        if (finalState.zipUrl) {
+            downloadZipButton.href = finalState.zipUrl;
+            downloadZipButton.style.display = 'flex';
+        } else {
+            downloadZipButton.style.display = 'none';
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        alert(t('batchError', { message: error.message }));
+        resetForm();
+    }
+}
+
+// Show overall batch progress and one row per file
+function renderBatch(batch) {
+    progressBar.style.width = batch.progress + '%';
+    progressText.textContent = t('batchProgress', {
+        finished: batch.succeeded + batch.failed,
+        total: batch.total,
+        failed: batch.failed
+    });
+
+    const extension = formatSelect.selectedOptions[0].dataset.extension;
+    batchList.replaceChildren(...batch.files.map((file) => {
+        const item = document.createElement('li');
+        item.className = `batch-item ${file.state}`;
+
+        const name = document.createElement('span');
+        name.className = 'batch-item-name';
+        name.textContent = file.name;
+        item.appendChild(name);
+
+        if (file.state === 'done') {
+            const link = document.createElement('a');
+            link.className = 'batch-item-status';
+            // The signed link outlives the job
+            link.href = file.downloadUrl || file.resultUrl;
+            link.download = file.name.replace(/\.[^.]+$/, '') + extension;
+            link.textContent = t('download');
+            item.appendChild(link);
+        } else {
+            const status = document.createElement('span');
+            status.className = 'batch-item-status';
+            if (file.state === 'failed') {
+                status.textContent = t('failedWith', { message: file.error || t('conversionFailed') });
+            } else {
+                const label = t(phaseLabels[file.state] || phaseLabels.queued);
+                status.textContent = file.state === 'queued' ? label : `${label}... ${file.progress}%`;
+            }
+            item.appendChild(status);
+        }
+        return item;
+    }));
+}
+
+batchResetButton.addEventListener('click', resetForm);
+
+// Extract the error message from a failed response
+async function readErrorMessage(response) {
+    // Try to parse JSON error response
+    let errorMessage = t('conversionFailed');
+    try {
+        const errorData = await response.json();
+        if (errorData?.error) {
+            errorMessage = errorData.error;
+            if (errorData.details) {
+                errorMessage += ': ' + errorData.details;
+            }
+        }
+    } catch (e) {
+        // If JSON parsing fails, use status text
+        errorMessage += ' (' + response.status + ')';
+    }
+    return errorMessage;
+}
+
 // Reset form
 function resetForm() {
     uploadForm.reset();
     uploadForm.style.display = 'flex';
     progressSection.style.display = 'none';
     successSection.style.display = 'none';
+    batchSection.style.display = 'none';
+    batchActions.style.display = 'none';
+    batchList.replaceChildren();
     convertButton.disabled = false;
     hideSelectedFile();
+    fpsRow.style.display = 'none';
+    loopCountRow.style.display = 'none';
+    updateEncodingOptions();
+    updateBackgroundOptions();
+    updateCanvasOptions();
+    updateSheetOptions();
+    setMode(currentMode);
     progressBar.style.width = '0%';
     progressBar.classList.remove('pulsing');
-    progressText.textContent = '轉換中...';
+    progressText.textContent = t('converting');
 }
 
 // Theme Toggle Logic
@@ -208,3 +774,20 @@ themeToggle.addEventListener('click', () => {
     html.setAttribute('data-theme', newTheme);
     localStorage.setItem('theme', newTheme);
 });
+
+// Language Toggle Logic
+const languageToggle = document.getElementById('languageToggle');
+
+// The toggle names the language it switches to
+function updateLanguageToggle() {
+    languageToggle.textContent = languageNames[nextLanguage()];
+}
+
+languageToggle.addEventListener('click', () => {
+    setLanguage(nextLanguage());
+    updateLanguageToggle();
+    if (previewedInfo) renderPreviewInfo(previewedInfo);
+});
+
+applyTranslations();
+updateLanguageToggle();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Compare the two frame transports of conversion-worker.js on synthetic animations:
+//   files - every composed frame is written as a PNG and encoded afterwards
+//   pipe  - raw RGBA frames are streamed into a concurrently running ffmpeg
+//
+// Usage: node scripts/benchmark.js [--format mp4] [--runs 1] [--keep]
+// --keep leaves the generated animations and outputs in the work directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const WebP = require('node-webpmux');
+
+const WORKER = path.join(__dirname, '..', 'conversion-worker.js');
+const TRANSPORTS = ['files', 'pipe'];
+
+// Synthetic animations: canvas size, frame count and the delay pattern (ms)
+// repeated over the frames
+const SCENARIOS = [
+    { name: 'small-long', width: 320, height: 240, frames: 300, delays: [40] },
+    { name: 'medium-vfr', width: 640, height: 360, frames: 150, delays: [40, 60, 100, 500] },
+    { name: 'large-short', width: 1280, height: 720, frames: 60, delays: [100] }
+];
+
+function parseArgs(argv) {
+    const args = { format: 'mp4', runs: 1, keep: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--format') args.format = argv[++i];
+        else if (argv[i] === '--runs') args.runs = parseInt(argv[++i], 10);
+        else if (argv[i] === '--keep') args.keep = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (!Number.isInteger(args.runs) || args.runs < 1) {
+        throw new Error('--runs must be a positive integer');
+    }
+    return args;
+}
+
+// Animated WebP with a moving gradient, so every frame differs and encoders
+// cannot skip work
+async function createAnimation(scenario, filePath) {
+    const { width, height } = scenario;
+    const frames = [];
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < scenario.frames; i++) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 4;
+                pixels[p + 0] = (x + i * 4) & 255;
+                pixels[p + 1] = (y + i * 2) & 255;
+                pixels[p + 2] = (x + y + i * 8) & 255;
+                pixels[p + 3] = 255;
+            }
+        }
+        const img = await WebP.Image.getEmptyImage();
+        await img.setImageData(pixels, { width, height, quality: 80 });
+        const delay = scenario.delays[i % scenario.delays.length];
+        frames.push(await WebP.Image.generateFrame({ img, delay, blend: false, dispose: false }));
+    }
+    await WebP.Image.save(filePath, { width, height, frames, loops: 0 });
+}
+
+// Total size of a directory's files (0 if it does not exist)
+function directorySize(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    return fs.readdirSync(dir).reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+}
+
+// Run the worker once; the temp directory is measured before it is removed,
+// which is its peak size since the worker never deletes frames
+function runWorker(inputPath, workDir, transport, format) {
+    const tempDir = path.join(workDir, `temp-${transport}`);
+    const outputPath = path.join(workDir, `output-${transport}.${format}`);
+    const options = JSON.stringify({ format, transport });
+
+    return new Promise((resolve, reject) => {
+        const start = process.hrtime.bigint();
+        const worker = fork(WORKER, [inputPath, tempDir, outputPath, options], { silent: true });
+        let stderr = '';
+        worker.stderr.on('data', (data) => { stderr += data; });
+        worker.stdout.resume();
+        worker.on('error', reject);
+        worker.on('exit', (code) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            if (code !== 0) {
+                return reject(new Error(`${transport} worker failed with code ${code}:\n${stderr}`));
+            }
+            const tempBytes = directorySize(tempDir);
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            resolve({ seconds, tempBytes, outputBytes: fs.statSync(outputPath).size });
+        });
+    });
+}
+
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${units[i]}`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    await WebP.Image.initLib();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webp-benchmark-'));
+    console.log(`Work directory: ${workDir}`);
+    console.log(`Output format: ${args.format}, runs per transport: ${args.runs}\n`);
+
+    const rows = [];
+    try {
+        for (const scenario of SCENARIOS) {
+            const inputPath = path.join(workDir, `${scenario.name}.webp`);
+            process.stdout.write(`Generating ${scenario.name} (${scenario.width}x${scenario.height}, ${scenario.frames} frames)... `);
+            await createAnimation(scenario, inputPath);
+            console.log('done');
+
+            const results = {};
+            for (const transport of TRANSPORTS) {
+                const runs = [];
+                for (let run = 0; run < args.runs; run++) {
+                    runs.push(await runWorker(inputPath, workDir, transport, args.format));
+                }
+                // Report the fastest run, which is the least disturbed by other load
+                results[transport] = runs.reduce((best, r) => (r.seconds < best.seconds ? r : best));
+            }
+            rows.push({ scenario, results });
+        }
+    } finally {
+        if (!args.keep) fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log('scenario        transport   time      peak temp disk   output');
+    for (const { scenario, results } of rows) {
+        for (const transport of TRANSPORTS) {
+            const r = results[transport];
+            console.log([
+                scenario.name.padEnd(15),
+                transport.padEnd(11),
+                `${r.seconds.toFixed(2)}s`.padEnd(9),
+                formatBytes(r.tempBytes).padEnd(16),
+                formatBytes(r.outputBytes)
+            ].join(' '));
+        }
+        const speedup = results.files.seconds / results.pipe.seconds;
+        console.log(`${''.padEnd(15)} pipe is ${speedup.toFixed(2)}x as fast as files\n`);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
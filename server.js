@@ -1,10 +1,35 @@
-require('dotenv').config();
+// Quiet, so that every line of the log is JSON
+require('dotenv').config({ quiet: true });
 
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { execFile } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
 const rateLimit = require('express-rate-limit');
+const archiver = require('archiver');
+const jobs = require('./lib/jobs');
+const jobStore = require('./lib/jobstore');
+const batches = require('./lib/batches');
+const scheduler = require('./lib/scheduler');
+const cache = require('./lib/cache');
+const resultStorage = require('./lib/storage');
+const downloads = require('./lib/downloads');
+const webhooks = require('./lib/webhooks');
+const apiKeys = require('./lib/apikeys');
+const { MEMORY_LIMIT_EXIT_CODE } = require('./lib/worker-utils');
+const { OUTPUT_FORMATS, getOutputType, findOutputTypeByExtension } = require('./lib/formats');
+const { parseConversionOptions, parseWebPOptions, isBlank } = require('./lib/options');
+const { detectFileFormat, detectVideoFileFormat } = require('./lib/decoders');
+const { RemoteFetchError, downloadToFile } = require('./lib/remote');
+const preflight = require('./lib/preflight');
+const i18n = require('./lib/i18n');
+const { LocalizedError } = i18n;
+const log = require('./lib/logger');
+const metrics = require('./lib/metrics');
 
 const app = express();
 
@@ -19,11 +44,99 @@ try {
 }
 // Configuration from environment variables
 const PORT = process.env.PORT || 3000;
+// Language of messages when the request asks for none we have (see lib/i18n)
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'zh-TW';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE_MB || '50') * 1024 * 1024;
 const CONVERT_RATE_LIMIT_WINDOW = parseInt(process.env.CONVERT_RATE_LIMIT_WINDOW_MIN || '15') * 60 * 1000;
 const CONVERT_RATE_LIMIT_MAX = parseInt(process.env.CONVERT_RATE_LIMIT_MAX || '10');
 const GENERAL_RATE_LIMIT_WINDOW = parseInt(process.env.GENERAL_RATE_LIMIT_WINDOW_MIN || '15') * 60 * 1000;
 const GENERAL_RATE_LIMIT_MAX = parseInt(process.env.GENERAL_RATE_LIMIT_MAX || '100');
+const JOB_RETENTION = parseInt(process.env.JOB_RETENTION_MIN || '30') * 60 * 1000;
+// Durable job records (see lib/jobstore.js); empty disables the store
+const JOB_STORE_FILE = process.env.JOB_STORE_FILE !== undefined ? process.env.JOB_STORE_FILE : 'jobs.jsonl';
+const JOB_HISTORY_RETENTION = parseInt(process.env.JOB_HISTORY_RETENTION_DAYS || '7') * 24 * 60 * 60 * 1000;
+// Times a job interrupted by a restart is queued again before it is failed
+const JOB_MAX_RESTARTS = parseInt(process.env.JOB_MAX_RESTARTS || '2');
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES || '200');
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '2');
+const WEBP_MAX_DURATION = parseInt(process.env.WEBP_MAX_DURATION_SEC || '30');
+const MAX_CONCURRENT_WORKERS = parseInt(process.env.MAX_CONCURRENT_WORKERS || '2');
+const MAX_QUEUE_DEPTH = parseInt(process.env.MAX_QUEUE_DEPTH || '20');
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT_SEC || '300') * 1000;
+const WORKER_MAX_MEMORY_MB = parseInt(process.env.WORKER_MAX_MEMORY_MB || '1024');
+// Decoded-size limits of inputs, checked from their headers before conversion (0 = unlimited)
+const MAX_CANVAS_PIXELS = parseInt(process.env.MAX_CANVAS_PIXELS || '16777216');
+const MAX_FRAME_COUNT = parseInt(process.env.MAX_FRAME_COUNT || '2000');
+const MAX_TOTAL_PIXELS = parseInt(process.env.MAX_TOTAL_PIXELS || '1000000000');
+const MAX_ANIMATION_DURATION = parseInt(process.env.MAX_ANIMATION_DURATION_SEC || '600') * 1000;
+const URL_FETCH_TIMEOUT = parseInt(process.env.URL_FETCH_TIMEOUT_SEC || '30') * 1000;
+const URL_FETCH_MAX_REDIRECTS = parseInt(process.env.URL_FETCH_MAX_REDIRECTS || '5');
+// Addresses exempt from the private address block, e.g. a local test server
+const URL_FETCH_ALLOWED_ADDRESSES = (process.env.URL_FETCH_ALLOWED_ADDRESSES || '').split(',').map((address) => address.trim()).filter(Boolean);
+const API_KEYS_FILE = process.env.API_KEYS_FILE || 'api-keys.json';
+const CACHE_DIR = process.env.CACHE_DIR || 'cache';
+const CACHE_MAX_SIZE = parseInt(process.env.CACHE_MAX_SIZE_MB || '500') * 1024 * 1024;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_DIR = process.env.STORAGE_DIR || 'results';
+const RESULT_RETENTION = parseInt(process.env.RESULT_RETENTION_MIN || '60') * 60 * 1000;
+const DOWNLOAD_LINK_TTL = parseInt(process.env.DOWNLOAD_LINK_TTL_MIN || '60') * 60 * 1000;
+// Unset or empty: a random secret, valid until the server restarts
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || undefined;
+const SWEEP_INTERVAL = parseInt(process.env.SWEEP_INTERVAL_MIN || '5') * 60 * 1000;
+// Prefix of the download links sent in webhooks, e.g. https://convert.example.com
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const WEBHOOK_RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE_SEC || '2') * 1000;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_SEC || '10') * 1000;
+const WEBHOOK_ALLOWED_ADDRESSES = (process.env.WEBHOOK_ALLOWED_ADDRESSES || '').split(',').map((address) => address.trim()).filter(Boolean);
+// Working files are removed by their job; ones that could not be are removed
+// by the sweeper once they are this old
+const STALE_WORK_FILE_AGE = 24 * 60 * 60 * 1000;
+// Time a worker gets to stop its ffmpeg child after SIGTERM before it is killed
+const WORKER_KILL_GRACE = 5000;
+// Suggested wait (seconds) for clients turned away because the queue is full
+const QUEUE_RETRY_AFTER = 30;
+
+i18n.configure({ defaultLanguage: DEFAULT_LANGUAGE });
+scheduler.configure({ maxWorkers: MAX_CONCURRENT_WORKERS, maxQueueDepth: MAX_QUEUE_DEPTH });
+metrics.createGauge('queue_depth', 'Jobs waiting for a free worker.', () => scheduler.stats().queued);
+metrics.createGauge('active_workers', 'Conversion workers running.', () => scheduler.stats().running);
+cache.configure({ dir: CACHE_DIR, maxBytes: CACHE_MAX_SIZE });
+jobStore.configure({ file: JOB_STORE_FILE || null, historyRetentionMs: JOB_HISTORY_RETENTION });
+apiKeys.configure({ file: API_KEYS_FILE });
+preflight.configure({
+    maxCanvasPixels: MAX_CANVAS_PIXELS,
+    maxFrames: MAX_FRAME_COUNT,
+    maxTotalPixels: MAX_TOTAL_PIXELS,
+    maxDurationMs: MAX_ANIMATION_DURATION
+});
+resultStorage.configure({
+    driver: STORAGE_DRIVER,
+    dir: STORAGE_DIR,
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX
+});
+downloads.configure({ secret: DOWNLOAD_LINK_SECRET, ttlMs: DOWNLOAD_LINK_TTL });
+webhooks.configure({
+    secret: WEBHOOK_SECRET,
+    defaultUrl: WEBHOOK_URL,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryBaseMs: WEBHOOK_RETRY_BASE,
+    timeoutMs: WEBHOOK_TIMEOUT,
+    allowedAddresses: WEBHOOK_ALLOWED_ADDRESSES
+});
+if (WEBHOOK_URL && !WEBHOOK_SECRET) {
+    log.warn('WEBHOOK_URL is set but WEBHOOK_SECRET is not: webhooks are disabled');
+}
+if (!DOWNLOAD_LINK_SECRET) {
+    log.warn('DOWNLOAD_LINK_SECRET is not set: download links stop working when the server restarts and only work on this instance');
+}
 
 // Set ffmpeg path
 
@@ -38,20 +151,28 @@ const storage = multer.diskStorage({
         cb(null, uploadDir);
     },
     filename: function (req, file, cb) {
-        cb(null, Date.now() + path.extname(file.originalname));
+        // Random suffix keeps files of the same batch from sharing a name
+        cb(null, uniqueStamp() + path.extname(file.originalname));
     }
 });
 
-// File filter to accept only WebP files
+// File filter to accept only WebP, GIF and PNG/APNG files.
+// The content itself is checked again after upload (see checkInputFormat).
+// APNG has no MIME type every browser knows, so it may arrive as a generic binary.
+const allowedTypes = {
+    '.webp': ['image/webp'],
+    '.gif': ['image/gif'],
+    '.png': ['image/png', 'image/apng'],
+    '.apng': ['image/apng', 'image/png', 'application/octet-stream']
+};
 const fileFilter = (req, file, cb) => {
-    const allowedMimes = ['image/webp'];
-    const allowedExts = ['.webp'];
     const ext = path.extname(file.originalname).toLowerCase();
+    const allowedMimes = allowedTypes[ext] || [];
 
-    if (allowedMimes.includes(file.mimetype) && allowedExts.includes(ext)) {
+    if (allowedMimes.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('只接受 WebP 格式的檔案！Only WebP files are allowed!'), false);
+        cb(new LocalizedError('UNSUPPORTED_IMAGE_TYPE'), false);
     }
 };
 
@@ -63,175 +184,1574 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Inputs of the reverse conversion (video or GIF to animated WebP)
+const videoTypes = {
+    '.mp4': ['video/mp4'],
+    '.webm': ['video/webm'],
+    '.gif': ['image/gif']
+};
+const videoUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_FILE_SIZE
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        if ((videoTypes[ext] || []).includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new LocalizedError('UNSUPPORTED_VIDEO_TYPE'), false);
+        }
+    }
+});
+
+// Batch uploads skip unsupported files instead of failing the whole request,
+// so they can be reported per file
+const batchUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: BATCH_MAX_FILES + 1
+    },
+    fileFilter: (req, file, cb) => {
+        // The shared background image is not one of the batch's files
+        if (file.fieldname === 'backgroundImage') return fileFilter(req, file, cb);
+        fileFilter(req, file, (err, accepted) => {
+            if (err) {
+                req.rejectedFiles = req.rejectedFiles || [];
+                req.rejectedFiles.push({ originalName: file.originalname, error: req.t(err.code, err.params), code: err.code, params: err.params });
+                return cb(null, false);
+            }
+            cb(null, accepted);
+        });
+    }
+});
+
+// Accept the input in `field` together with an optional background image
+// (see lib/background.js); the input is then available as req.file and
+// the image as req.backgroundFile
+function uploadWithBackground(field) {
+    return [
+        upload.fields([{ name: field, maxCount: 1 }, { name: 'backgroundImage', maxCount: 1 }]),
+        (req, res, next) => {
+            const files = req.files || {};
+            req.file = files[field] ? files[field][0] : undefined;
+            req.backgroundFile = files.backgroundImage ? files.backgroundImage[0] : undefined;
+            next();
+        }
+    ];
+}
+
+// Inputs given as a `url` form field instead of an upload are downloaded into
+// the uploads directory and then go through the same checks as uploads
+async function fetchRemoteInput(req, res, next) {
+    const url = req.body ? req.body.url : undefined;
+    if (isBlank(url)) return next();
+
+    const reject = (status, code, params) => {
+        if (req.file) cleanup(path.resolve(req.file.path), null, null);
+        if (req.backgroundFile) cleanup(path.resolve(req.backgroundFile.path), null, null);
+        sendError(res, status, code, params);
+    };
+    if (req.file) {
+        return reject(400, 'FILE_AND_URL');
+    }
+    if (typeof url !== 'string') {
+        return reject(400, 'INVALID_URL');
+    }
+
+    let fileName = 'remote';
+    try {
+        fileName = path.basename(new URL(url).pathname) || fileName;
+    } catch (e) {
+        // Reported by downloadToFile
+    }
+    const extension = path.extname(fileName).toLowerCase();
+    const filePath = path.join('uploads', uniqueStamp() + (allowedTypes[extension] ? extension : ''));
+    try {
+        fs.mkdirSync('uploads', { recursive: true });
+        const result = await downloadToFile(url, filePath, {
+            maxBytes: MAX_FILE_SIZE,
+            timeoutMs: URL_FETCH_TIMEOUT,
+            maxRedirects: URL_FETCH_MAX_REDIRECTS,
+            allowedAddresses: URL_FETCH_ALLOWED_ADDRESSES
+        });
+        req.log.info('Downloaded remote input', { url: result.url, size: result.size });
+    } catch (error) {
+        if (!(error instanceof RemoteFetchError)) req.log.error('Error downloading remote file', { error });
+        const status = error instanceof RemoteFetchError ? error.status : 502;
+        return reject(status, 'REMOTE_FETCH_FAILED', { detail: sanitizeErrorMessage(error.message) });
+    }
+    req.file = { path: filePath, originalname: fileName };
+    next();
+}
+
+// Conversion input: an upload (plus optional background image) or a url
+const receiveInput = [express.urlencoded({ extended: false }), ...uploadWithBackground('webpFile'), fetchRemoteInput];
+
+// API key from the X-API-Key header or an "Authorization: Bearer" header
+function apiKeyFromRequest(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Requests with an API key are limited by the key's quotas (lib/apikeys.js)
+// instead of the IP limits below, which keep applying to anonymous use.
+// An unknown or revoked key is refused rather than treated as anonymous.
+function authenticate(req, res, next) {
+    const token = apiKeyFromRequest(req);
+    if (!token) return next();
+
+    let key;
+    try {
+        key = apiKeys.findKey(token);
+    } catch (e) {
+        req.log.error('Error reading the API key file', { error: e });
+        return sendError(res, 500, 'API_KEY_CHECK_FAILED');
+    }
+    if (!key) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, 'INVALID_API_KEY');
+    }
+
+    const window = apiKeys.countRequest(key);
+    const resetSeconds = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    if (window.limit) {
+        res.set({ 'RateLimit-Limit': String(window.limit), 'RateLimit-Remaining': String(window.remaining), 'RateLimit-Reset': String(resetSeconds) });
+    }
+    if (!window.allowed) {
+        metrics.rateLimitRejections.inc({ limit: 'requests' });
+        res.set('Retry-After', String(resetSeconds));
+        return sendError(res, 429, 'API_KEY_RATE_LIMITED', {}, { limit: 'requests' });
+    }
+    req.apiKey = key;
+    next();
+}
+
+// Error code of each API key quota
+const QUOTA_ERROR_CODES = {
+    concurrentJobs: 'QUOTA_CONCURRENT_JOBS',
+    bytesPerDay: 'QUOTA_BYTES_PER_DAY'
+};
+
+// Job quotas of the request's API key, reserved before the upload is
+// received so that parallel requests cannot all pass. The request size
+// stands in for the input size until claimKeyQuota replaces it with the
+// real one; the request's jobs then take the reservation over and what is
+// left is given back once the response is sent.
+function checkKeyQuota(req, res, next) {
+    if (!req.apiKey) return next();
+    const { exceeded, reservation } = apiKeys.reserveJobQuota(req.apiKey, { bytes: Number(req.get('Content-Length')) || 0 });
+    if (exceeded) return sendQuotaError(res, exceeded);
+    req.keyQuota = reservation;
+    res.on('close', () => apiKeys.releaseReservation(reservation));
+    next();
+}
+
+// Check the key's quotas again once the inputs are received: `sizes` are
+// the byte sizes of the files that become jobs. Sends the error response
+// and returns false when they do not fit.
+function claimKeyQuota(req, res, sizes) {
+    if (!req.keyQuota) return true;
+    const bytes = sizes.reduce((sum, size) => sum + size, 0);
+    const exceeded = apiKeys.updateReservation(req.apiKey, req.keyQuota, { jobs: sizes.length, bytes });
+    if (!exceeded) return true;
+    sendQuotaError(res, exceeded);
+    return false;
+}
+
+function sendQuotaError(res, exceeded) {
+    metrics.rateLimitRejections.inc({ limit: exceeded.limit });
+    res.set('Retry-After', String(exceeded.retryAfter));
+    sendError(res, 429, QUOTA_ERROR_CODES[exceeded.limit], {}, { limit: exceeded.limit });
+}
+
+// Response of the IP rate limits, counted in the metrics by limit name
+function rateLimitHandler(limit) {
+    return (req, res, next, options) => {
+        metrics.rateLimitRejections.inc({ limit });
+        sendError(res, options.statusCode, 'RATE_LIMITED');
+    };
+}
+
 // Rate limiting for conversion endpoint
 const convertLimiter = rateLimit({
     windowMs: CONVERT_RATE_LIMIT_WINDOW,
     max: CONVERT_RATE_LIMIT_MAX,
-    message: '請求次數過多，請稍後再試。Too many requests, please try again later.',
+    handler: rateLimitHandler('convert'),
     standardHeaders: true,
     legacyHeaders: false,
+    skip: (req) => Boolean(req.apiKey)
 });
 
 // General rate limiting for all requests
 const generalLimiter = rateLimit({
     windowMs: GENERAL_RATE_LIMIT_WINDOW,
     max: GENERAL_RATE_LIMIT_MAX,
-    message: '請求次數過多，請稍後再試。Too many requests, please try again later.',
+    handler: rateLimitHandler('general'),
     standardHeaders: true,
     legacyHeaders: false,
+    skip: (req) => Boolean(req.apiKey)
+});
+
+// Every request gets an id, taken from a well-formed X-Request-Id header or
+// generated. It is sent back, added to the request's log entries as
+// requestId and passed on to the jobs the request creates.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+// Polled by monitoring; their requests are only logged at debug level
+const PROBE_PATHS = ['/health', '/ready', '/metrics'];
+
+app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    // 'close' also comes when the client hangs up before 'finish'
+    const startedAt = Date.now();
+    res.on('close', () => {
+        const level = PROBE_PATHS.includes(req.path) ? 'debug' : 'info';
+        req.log[level]('Request handled', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
+    });
+    next();
 });
 
-// Apply general rate limiting to all requests
+// Messages of the request are in the language it asks for with ?lang= or
+// Accept-Language, if available (see lib/i18n)
+app.use((req, res, next) => {
+    req.language = i18n.negotiate(req.query.lang, req.get('Accept-Language'));
+    req.t = (code, params) => i18n.translate(req.language, code, params);
+    res.set('Content-Language', req.language);
+    res.vary('Accept-Language');
+    next();
+});
+
+// JSON error in the request's language, with its stable code:
+// { error, code } plus the fields in extra
+function sendError(res, status, code, params, extra) {
+    return res.status(status).json(Object.assign({ error: res.req.t(code, params), code }, extra));
+}
+
+// Changes that fail a job. The reason is kept as a message code, so that
+// job views can show it in the language of each request; error holds the
+// English text for logs, the job store and webhooks.
+function jobFailure(code, params = {}) {
+    return { state: 'failed', error: i18n.translate('en', code, params), errorCode: code, errorParams: params };
+}
+
+// A public job state (see lib/jobs.js) with the failure in the request's language
+function localizeJob(req, state) {
+    if (!state.errorCode) return state;
+    return Object.assign({}, state, { error: req.t(state.errorCode, state.errorParams || {}) });
+}
+
+// A public batch state (see lib/batches.js) with the failures in the request's language
+function localizeBatch(req, state) {
+    return Object.assign({}, state, { files: state.files.map((file) => localizeJob(req, file)) });
+}
+
+// Health check endpoint (liveness: the process answers)
+app.get('/health', (req, res) => {
+    res.status(200).send('OK');
+});
+
+// Readiness: the ffmpeg binary runs and the working directories are
+// writable. Responds 503 with the failed checks otherwise.
+app.get('/ready', async (req, res) => {
+    const checks = {
+        ffmpeg: await checkFfmpeg(),
+        uploads: checkWritableDir('uploads'),
+        outputs: checkWritableDir(outputDir)
+    };
+    const ready = Object.values(checks).every((check) => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+// Prometheus metrics (see lib/metrics.js). Like the probes above, this is
+// not rate limited; restrict access to it at the proxy if needed.
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+function checkFfmpeg() {
+    if (!ffmpegPath) {
+        return Promise.resolve({ ok: false, error: 'No ffmpeg binary for this platform' });
+    }
+    return new Promise((resolve) => {
+        execFile(ffmpegPath, ['-version'], { timeout: 5000 }, (error, stdout) => {
+            if (error) return resolve({ ok: false, error: error.code || error.message });
+            resolve({ ok: true, version: stdout.split('\n')[0] });
+        });
+    });
+}
+
+// Create the directory if needed and write and remove a file in it
+function checkWritableDir(dir) {
+    const probe = path.join(dir, `.ready-${process.pid}`);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(probe, '');
+        fs.unlinkSync(probe);
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, error: e.code || e.message };
+    }
+}
+
+// Apply authentication and general rate limiting to all other requests
+app.use(authenticate);
 app.use(generalLimiter);
 
+// Reserve queue places for the jobs of a conversion request before its
+// upload is received, or turn it away when every worker is busy and the
+// queue is full. The places not taken by a job (see takeQueuePlaces) are
+// given back once the response is sent.
+function reserveQueuePlaces(count) {
+    return (req, res, next) => {
+        if (!scheduler.reserve(count)) {
+            metrics.queueRejections.inc();
+            res.set('Retry-After', String(QUEUE_RETRY_AFTER));
+            return sendError(res, 503, 'QUEUE_FULL');
+        }
+        req.queuePlaces = count;
+        res.on('close', () => {
+            scheduler.release(req.queuePlaces);
+            req.queuePlaces = 0;
+        });
+        next();
+    };
+}
+
+const rejectWhenQueueFull = reserveQueuePlaces(1);
+
+// Hand up to `count` of the request's reserved queue places to its jobs.
+// Returns the number taken.
+function takeQueuePlaces(req, count = 1) {
+    const taken = Math.min(count, req.queuePlaces || 0);
+    req.queuePlaces -= taken;
+    return taken;
+}
+
 // Serve static files
 app.use(express.static('public'));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).send('OK');
+// Limits and current usage of the API key the request is made with
+app.get('/api-key', (req, res) => {
+    if (!req.apiKey) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, 'API_KEY_REQUIRED');
+    }
+    const { id, name, limits, createdAt } = req.apiKey;
+    res.json({ id, name, limits, createdAt, usage: apiKeys.usageSummary(req.apiKey) });
 });
 
-// Ensure outputs directory exists
+// Ensure outputs directory exists (working files; finished results are
+// moved into the result storage)
 const outputDir = 'outputs';
 if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir);
 }
 
-// Conversion endpoint with rate limiting
-app.post('/convert', convertLimiter, upload.single('webpFile'), async (req, res) => {
+// Validate the uploaded file and its options, then register a conversion job.
+// Sends the error response itself and returns null when the request is rejected.
+// direction: 'toVideo' (WebP/GIF/APNG to video) or 'toWebP' (video/GIF to animated WebP)
+// sync: the request waits for the result (POST /convert); such a job is not
+// resumed after a restart, since nobody is left to receive it
+function createJobFromUpload(req, res, direction = 'toVideo', { sync = false } = {}) {
+    const toWebP = direction === 'toWebP';
+    const job = registerUpload(req, res, toWebP, sync);
+    // A background image that did not make it into a job is not needed
+    if (!job && req.backgroundFile) {
+        cleanup(path.resolve(req.backgroundFile.path), null, null);
+    }
+    return job;
+}
+
+function registerUpload(req, res, toWebP, sync) {
+    const inputPathAbs = verifyUpload(req, res, toWebP ? checkVideoInputFormat : checkInputFormat);
+    if (!inputPathAbs) return null;
+
+    // Validate conversion options before they reach the worker
+    const { options, error: optionsError } = toWebP ? parseWebPOptions(req.body, WEBP_MAX_DURATION) : parseConversionOptions(req.body);
+    const { callbackUrl, error: callbackError } = parseCallbackUrl(req.body);
+    if (optionsError || callbackError) {
+        cleanup(inputPathAbs, null, null);
+        sendError(res, 400, 'INVALID_OPTION', { detail: optionsError || callbackError });
+        return null;
+    }
+    if (!toWebP && !attachBackgroundImage(req, res, options)) {
+        cleanup(inputPathAbs, null, null);
+        return null;
+    }
+    if (!claimKeyQuota(req, res, [fs.statSync(inputPathAbs).size])) {
+        cleanup(inputPathAbs, null, null);
+        return null;
+    }
+
+    // Use only the verified, absolute path hereafter
+    return createConversionJob(inputPathAbs, options, toWebP ? 'webp-worker.js' : 'conversion-worker.js', {
+        callbackUrl,
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        clientIp: req.apiKey ? null : req.ip,
+        keyQuota: req.keyQuota,
+        requestId: req.id,
+        sync
+    });
+}
+
+// Optional callbackUrl field: where to send the webhook once the job finishes
+// (see lib/webhooks.js). Not a conversion option, so it does not affect the cache.
+function parseCallbackUrl(body) {
+    const value = body ? body.callbackUrl : undefined;
+    if (isBlank(value)) return { callbackUrl: null };
+    if (typeof value !== 'string') {
+        return { error: 'Invalid callbackUrl. It may only be sent once.' };
+    }
+    const error = webhooks.checkCallbackUrl(value);
+    return error ? { error } : { callbackUrl: value };
+}
+
+// Check that the single uploaded file is inside the uploads directory and has
+// supported content (checkFormat returns { status, code, params } otherwise).
+// Returns its verified absolute path, or sends the error response and returns null.
+function verifyUpload(req, res, checkFormat) {
     if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded.' });
+        sendError(res, 400, 'NO_FILE_UPLOADED');
+        return null;
+    }
+
+    const { inputPathAbs, status, code, params } = checkUploadedFile(req.file, checkFormat);
+    if (code) {
+        sendError(res, status, code, params);
+        return null;
     }
+    return inputPathAbs;
+}
 
-    const inputPath = req.file.path;
-    // SECURITY: Verify inputPath is under uploads directory
+// Path and content checks of one uploaded file, removing it if its content
+// is not supported. Returns { inputPathAbs } or { status, code, params }.
+function checkUploadedFile(file, checkFormat) {
+    // SECURITY: Verify the file is under uploads directory
     // Use canonical root path for safety checks (already defined above)
     let inputPathAbs;
     try {
-        inputPathAbs = fs.realpathSync(path.resolve(inputPath));
+        inputPathAbs = fs.realpathSync(path.resolve(file.path));
     } catch (e) {
         // If the file isn't found or is invalid, reject
-        return res.status(400).json({ error: 'Uploaded file not found/safe.' });
+        return { status: 400, code: 'UPLOAD_NOT_FOUND' };
     }
     // Use improved path safety check
     if (!isPathSafe(inputPathAbs, uploadRoot)) {
         // Reject if file not strictly contained in uploads root
-        return res.status(403).json({ error: 'Invalid file path.' });
+        return { status: 403, code: 'INVALID_FILE_PATH' };
     }
-    // Use only the verified, absolute path hereafter
-    const outputFilename = `converted-${Date.now()}.mp4`;
-    const outputPath = path.join(outputDir, outputFilename);
-    const tempDir = path.join('uploads', `temp-${Date.now()}`);
+    const rejection = checkFormat(inputPathAbs);
+    if (rejection) {
+        cleanup(inputPathAbs, null, null);
+        return rejection;
+    }
+    return { inputPathAbs };
+}
 
-    const { fork } = require('child_process');
+// The 'image' background needs the backgroundImage upload and the upload
+// needs that background. Stores the verified image path in the options;
+// sends the error response and returns false when the two do not match.
+function attachBackgroundImage(req, res, options) {
+    const wantsImage = options.background && options.background.type === 'image';
+    if (!req.backgroundFile) {
+        if (!wantsImage) return true;
+        sendError(res, 400, 'BACKGROUND_IMAGE_REQUIRED');
+        return false;
+    }
+    if (!wantsImage) {
+        sendError(res, 400, 'BACKGROUND_IMAGE_UNEXPECTED');
+        return false;
+    }
+
+    const { inputPathAbs, status, code, params } = checkUploadedFile(req.backgroundFile, checkInputFormat);
+    if (code) {
+        // Rejected content has already been removed
+        if (status !== 403) req.backgroundFile = null;
+        sendError(res, status, 'BACKGROUND_IMAGE_REJECTED', { detail: req.t(code, params) }, { reason: code });
+        return false;
+    }
+    options.background.imagePath = inputPathAbs;
+    return true;
+}
+
+// Check the uploaded file's leading bytes, since the name and MIME type
+// are chosen by the client, then its headers against the decoded-size limits
+// (see lib/preflight.js). Returns { status, code, params } for rejected content.
+function checkInputFormat(inputPathAbs) {
+    try {
+        if (!detectFileFormat(inputPathAbs)) {
+            return { status: 400, code: 'NOT_AN_IMAGE' };
+        }
+        preflight.checkFile(inputPathAbs);
+        return null;
+    } catch (e) {
+        if (e instanceof preflight.InputRejectedError) {
+            return { status: e.status, code: e.status === 413 ? 'INPUT_TOO_LARGE' : 'INPUT_MALFORMED', params: { detail: e.message } };
+        }
+        log.error('Error reading uploaded file', { error: e });
+        return { status: 400, code: 'UNREADABLE_UPLOAD' };
+    }
+}
 
+// Same check for the inputs of the reverse conversion
+function checkVideoInputFormat(inputPathAbs) {
     try {
-        // Create temp directory for frames
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir);
+        if (detectVideoFileFormat(inputPathAbs)) return null;
+    } catch (e) {
+        log.error('Error reading uploaded file', { error: e });
+    }
+    return { status: 400, code: 'NOT_A_VIDEO' };
+}
+
+// Register a job for an already verified input file
+// worker: script forked to run the conversion
+// callbackUrl: webhook URL notified when the job finishes (null for the default)
+// apiKeyId: key the job counts against (null for anonymous jobs)
+// keyQuota: quota reservation of the request the job takes its share of
+// requestId: id of the request that created the job, for its log entries
+// sync: a request holds the connection open for the result
+function createConversionJob(inputPathAbs, options, worker = 'conversion-worker.js', { callbackUrl = null, apiKeyId = null, clientIp = null, keyQuota = null, requestId = null, sync = false } = {}) {
+    const stamp = uniqueStamp();
+    const outputFilename = `converted-${stamp}${getOutputType(options.format).extension}`;
+    const inputSize = fs.statSync(inputPathAbs).size;
+    const job = jobs.createJob({
+        inputPath: inputPathAbs,
+        tempDir: path.join('uploads', `temp-${stamp}`),
+        outputPath: path.join(outputDir, outputFilename),
+        outputFilename,
+        worker,
+        options,
+        callbackUrl,
+        apiKeyId,
+        clientIp,
+        requestId,
+        inputSize,
+        sync
+    });
+    if (apiKeyId) apiKeys.addJob(apiKeyId, job.id, inputSize, keyQuota);
+    metrics.inputBytes.inc({ worker: workerLabel(job) }, inputSize);
+    jobLog(job).info('Job created', { worker: job.worker, format: options.format, inputSize });
+    return job;
+}
+
+// Logger whose entries carry the job's id and the id of its request
+function jobLog(job) {
+    return log.child({ jobId: job.id, requestId: job.requestId || undefined });
+}
+
+// Metrics label of the job's worker: 'conversion' or 'webp'
+function workerLabel(job) {
+    return path.basename(job.worker, '-worker.js');
+}
+
+// Serve the job from the result cache, or queue it; it then runs in a
+// forked worker once one of the MAX_CONCURRENT_WORKERS slots is free.
+// reserved: the job takes a queue place its request reserved
+function startConversion(job, { reserved = false } = {}) {
+    recordInputHash(job).then(() => lookupCachedResult(job)).then((hit) => hit || rejectOversizedVideo(job)).then((finished) => {
+        const current = jobs.getJob(job.id);
+        // Cancelled while the input was hashed
+        if (finished || !current || jobs.isFinished(current)) {
+            if (reserved) scheduler.release();
+            return;
         }
+        scheduler.enqueue(job.id, (done) => runWorker(job, done), { reserved });
+    });
+}
 
-        console.log('Spawning worker for conversion...');
-        const worker = fork(path.join(__dirname, 'conversion-worker.js'), [inputPathAbs, tempDir, outputPath]);
+// Videos of the reverse conversion are checked against the decoded-size
+// limits with ffprobe; their frame count depends on the job's options.
+// Resolves to true if the job was failed.
+async function rejectOversizedVideo(job) {
+    if (job.worker !== 'webp-worker.js') return false;
+    try {
+        await preflight.checkVideoFile(job.inputPath, job.options);
+        return false;
+    } catch (e) {
+        jobLog(job).warn('Input rejected by the pre-flight check', { error: e.message });
+        const code = e instanceof preflight.InputRejectedError && e.status === 413 ? 'INPUT_TOO_LARGE' : 'INPUT_MALFORMED';
+        finishJob(job, jobFailure(code, { detail: e.message }));
+        return true;
+    }
+}
+
+// Keep the SHA-256 of the input in the job record; the cache key reuses it
+async function recordInputHash(job) {
+    try {
+        const inputHash = await cache.hashFile(job.inputPath);
+        const current = jobs.getJob(job.id);
+        if (current && !jobs.isFinished(current)) jobs.updateJob(job.id, { inputHash });
+    } catch (e) {
+        jobLog(job).error('Could not hash the input', { error: e });
+    }
+}
+
+// Resolves to true if the job was finished with a cached result. On a miss
+// the job remembers its cache key, so that its output can be stored.
+async function lookupCachedResult(job) {
+    if (!cache.isEnabled()) return false;
+    try {
+        const key = await cache.computeKey(job.inputPath, job.worker, job.options, jobs.getJob(job.id).inputHash);
+        const current = jobs.getJob(job.id);
+        if (!current || jobs.isFinished(current)) return false;
+        if (cache.lookup(key, job.outputPath)) {
+            jobLog(job).info('Served from the result cache');
+            const changes = await storeResult(job, { state: 'done', progress: 100, message: 'Served from cache', cacheStatus: 'HIT' });
+            finishJob(job, changes, changes.state === 'done' ? 'cache_hit' : 'failed');
+            return true;
+        }
+        jobs.updateJob(job.id, { cacheKey: key, cacheStatus: 'MISS' });
+    } catch (e) {
+        // The conversion does not depend on the cache
+        jobLog(job).error('Result cache lookup failed', { error: e });
+    }
+    return false;
+}
+
+// Stop a queued or running job and mark it failed with the message code
+function cancelConversion(job, code) {
+    const failure = jobFailure(code);
+    // Jobs whose cache lookup is still running are not queued yet
+    if (scheduler.cancel(job.id, failure) !== 'running') {
+        finishJob(job, failure, 'cancelled');
+    }
+}
+
+// Put a finished output into the result storage, where it is kept for
+// RESULT_RETENTION. Resolves to the final changes of the job: the given
+// ones, or a failure if the result could not be stored.
+async function storeResult(job, changes) {
+    try {
+        await resultStorage.put(job.outputFilename, job.outputPath, { contentType: getOutputType(job.options.format).mimeType });
+    } catch (e) {
+        jobLog(job).error('Could not store the result', { error: e });
+        return jobFailure('RESULT_STORE_FAILED');
+    }
+    return Object.assign({
+        storageKey: job.outputFilename,
+        resultSize: fs.statSync(job.outputPath).size,
+        resultExpiresAt: Date.now() + RESULT_RETENTION
+    }, changes);
+}
+
+// Record the final state of a job and remove its input, temp and output
+// files (a successful job's result is in the result storage by then).
+// outcome: label of the job in the metrics, see lib/metrics.js
+function finishJob(job, changes, outcome = changes.state === 'done' ? 'success' : 'failed') {
+    const current = jobs.getJob(job.id);
+    if (!current || jobs.isFinished(current)) return;
+    jobs.updateJob(job.id, Object.assign({ finishedAt: Date.now() }, changes));
+    recordFinishedJob(current, outcome);
+    if (job.apiKeyId) apiKeys.releaseJob(job.apiKeyId, job.id);
+    notifyWebhook(job);
+    const output = fs.existsSync(job.outputPath) ? job.outputPath : null;
+    cleanup(job.inputPath, job.tempDir, output);
+    if (job.options.background && job.options.background.imagePath) {
+        cleanup(job.options.background.imagePath, null, null);
+    }
+}
+
+function recordFinishedJob(job, outcome) {
+    const worker = workerLabel(job);
+    const durationMs = job.updatedAt - job.createdAt;
+    metrics.conversions.inc({ worker, outcome });
+    metrics.jobDuration.observe({ worker, outcome }, durationMs / 1000);
+    if (job.state === 'done') {
+        metrics.outputBytes.inc({ worker }, job.resultSize || 0);
+        jobLog(job).info('Job finished', { outcome, durationMs, outputSize: job.resultSize });
+    } else {
+        jobLog(job).warn('Job failed', { outcome, durationMs, error: job.error });
+    }
+}
+
+// Send the webhook of a finished job: its id, status, timing, error reason
+// and, for a successful job, the output and a signed download link
+function notifyWebhook(job) {
+    const current = jobs.getJob(job.id);
+    const done = current.state === 'done';
+    const output = done ? {
+        filename: current.outputFilename,
+        format: current.options.format,
+        mimeType: getOutputType(current.options.format).mimeType,
+        size: current.resultSize,
+        downloadUrl: PUBLIC_BASE_URL + downloads.createLink(current.storageKey, current.resultExpiresAt),
+        expiresAt: new Date(current.resultExpiresAt).toISOString(),
+        cache: current.cacheStatus || null
+    } : null;
+    webhooks.notify(current.id, current.callbackUrl, done ? 'job.completed' : 'job.failed', {
+        jobId: current.id,
+        status: current.state,
+        createdAt: new Date(current.createdAt).toISOString(),
+        finishedAt: new Date(current.updatedAt).toISOString(),
+        durationMs: current.updatedAt - current.createdAt,
+        error: current.error,
+        errorCode: current.errorCode || null,
+        output
+    });
+}
+
+// Fork a worker for the job and mirror its progress into the job registry.
+// The worker is stopped after JOB_TIMEOUT or when the job is cancelled;
+// done() hands its slot back to the scheduler. Returns the abort function.
+function runWorker(job, done) {
+    const { inputPath, tempDir, outputPath } = job;
+    const { fork } = require('child_process');
+    const jlog = jobLog(job);
+
+    let worker = null;
+    // Failure of a stopped worker (see jobFailure)
+    let stopReason = null;
+    let stopOutcome = null;
+    let killTimer = null;
+    const timeoutTimer = setTimeout(() => {
+        stop(jobFailure('JOB_TIMEOUT', { seconds: JOB_TIMEOUT / 1000 }), 'timeout');
+    }, JOB_TIMEOUT);
+
+    const finish = (changes, outcome) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        finishJob(job, changes, outcome);
+        done();
+    };
+
+    // SIGTERM lets the worker kill its ffmpeg child; SIGKILL follows if it hangs
+    const stop = (reason, outcome = 'cancelled') => {
+        if (!worker || stopReason) return;
+        jlog.warn('Stopping worker', { reason: reason.error });
+        stopReason = reason;
+        stopOutcome = outcome;
+        worker.kill('SIGTERM');
+        killTimer = setTimeout(() => worker.kill('SIGKILL'), WORKER_KILL_GRACE);
+    };
+
+    try {
+        // The worker creates tempDir itself if it needs one
+        jlog.info('Spawning worker', { worker: job.worker });
+        worker = fork(path.join(__dirname, job.worker), [inputPath, tempDir, outputPath, JSON.stringify(job.options)], {
+            execArgv: workerExecArgv(),
+            // The worker's log entries carry the job's ids (see lib/logger.js)
+            env: log.workerEnv(jlog.child({ worker: job.worker }), Object.assign({}, process.env, { WORKER_MAX_MEMORY_MB: String(WORKER_MAX_MEMORY_MB) }))
+        });
+        jobs.updateJob(job.id, { message: 'Starting worker', startedAt: Date.now() });
 
         worker.on('message', (msg) => {
-            if (msg.type === 'progress') {
-                console.log(`[Worker] ${msg.message} (${msg.value}%)`);
+            if (msg.type === 'progress' && !stopReason) {
+                jlog.info('Worker progress', { phase: msg.phase, value: msg.value, message: msg.message });
+                jobs.updateJob(job.id, {
+                    state: msg.phase,
+                    progress: jobs.overallProgress(msg.phase, msg.value),
+                    message: msg.message
+                });
+            } else if (msg.type === 'timings') {
+                const worker = workerLabel(job);
+                metrics.phaseDuration.observe({ worker, phase: 'composition' }, msg.composition / 1000);
+                metrics.phaseDuration.observe({ worker, phase: 'encoding' }, msg.encoding / 1000);
+                jobs.updateJob(job.id, { timings: { composition: msg.composition, encoding: msg.encoding } });
             }
         });
 
-        worker.on('exit', (code) => {
-            if (code === 0) {
-                console.log('Worker finished successfully.');
-                console.log(`\n🎬 轉換完成!`);
-                console.log(`📁 暫存檔保留位置: ${tempDir}`);
-                console.log(`📁 輸入檔保留位置: ${inputPathAbs}`);
-                console.log(`📹 輸出檔位置: ${outputPath}\n`);
-                res.download(outputPath, outputFilename, (err) => {
-                    if (err) console.error('Error sending file:', err);
-                    cleanup(inputPathAbs, tempDir, outputPath);
-                });
+        worker.on('exit', (code, signal) => {
+            if (code === 0 && !stopReason) {
+                jlog.info('Worker finished', { tempDir, inputPath, outputPath });
+                storeCachedResult(job);
+                clearTimeout(timeoutTimer);
+                jobs.updateJob(job.id, { message: 'Storing result' });
+                storeResult(job, { state: 'done', progress: 100, message: 'Conversion finished' }).then(finish);
+            } else if (stopReason) {
+                finish(stopReason, stopOutcome);
+            } else if (code === MEMORY_LIMIT_EXIT_CODE) {
+                jlog.error('Worker exceeded the memory limit', { limitMB: WORKER_MAX_MEMORY_MB });
+                finish(jobFailure('JOB_MEMORY_LIMIT', { limitMB: WORKER_MAX_MEMORY_MB }), 'memory_limit');
             } else {
-                console.error('Worker failed with code:', code);
-                console.log(`📁 錯誤時暫存檔保留位置: ${tempDir}`);
-                res.status(500).send('Error during conversion (Worker failed)');
-                cleanup(inputPathAbs, tempDir, outputPath);
+                jlog.error('Worker failed', { code, signal, tempDir });
+                finish(jobFailure('WORKER_FAILED'));
             }
         });
 
         worker.on('error', (err) => {
-            console.error('Failed to start worker:', err);
-            res.status(500).send('Failed to start conversion worker');
-            cleanup(inputPathAbs, tempDir, outputPath);
+            jlog.error('Failed to start worker', { error: err });
+            finish(jobFailure('WORKER_START_FAILED'));
         });
 
     } catch (error) {
-        console.error('Error initiating conversion:', error);
-        console.log(`📁 錯誤時暫存檔保留位置: ${tempDir}`);
-        res.status(500).send('Error initiating conversion: ' + error.message);
-        cleanup(inputPathAbs, tempDir, outputPath);
+        jlog.error('Error initiating conversion', { error, tempDir });
+        finish(jobFailure('WORKER_START_FAILED'));
+    }
+
+    return stop;
+}
+
+// Node options of a forked worker: the server's, with the V8 heap capped at
+// WORKER_MAX_MEMORY_MB
+function workerExecArgv() {
+    const execArgv = [...process.execArgv];
+    if (WORKER_MAX_MEMORY_MB > 0) {
+        execArgv.push(`--max-old-space-size=${WORKER_MAX_MEMORY_MB}`);
+    }
+    return execArgv;
+}
+
+// Keep a copy of a finished conversion for identical requests
+function storeCachedResult(job) {
+    const { cacheKey } = jobs.getJob(job.id) || {};
+    if (!cacheKey) return;
+    try {
+        cache.store(cacheKey, job.outputPath);
+    } catch (e) {
+        jobLog(job).error('Could not add the result to the cache', { error: e });
+    }
+}
+
+// Forget a finished job after the retention period. Its result stays in the
+// result storage until the sweeper removes it.
+function scheduleJobExpiry(job) {
+    const unsubscribe = jobs.onJobUpdate(job.id, (state) => {
+        if (!jobs.isFinished(state)) return;
+        unsubscribe();
+        setTimeout(() => jobs.removeJob(job.id), JOB_RETENTION).unref();
+    });
+}
+
+// Pick up the jobs of the previous run from the job store. Finished jobs
+// stay known for the rest of JOB_RETENTION, except /convert jobs, which
+// leave the registry as soon as their response is sent. Interrupted ones
+// are queued again, or failed once they were interrupted more than
+// JOB_MAX_RESTARTS times or their input is gone. Interrupted /convert jobs
+// are always failed: their connection went down with the previous process.
+function restoreJobs() {
+    const now = Date.now();
+    // Oldest first, so that resumed jobs keep their order in the queue
+    jobStore.list().reverse().forEach((record) => {
+        if (!jobs.isFinished(record)) {
+            resumeJob(jobs.restoreJob(record));
+            return;
+        }
+        if (record.sync) return;
+        const remaining = record.updatedAt + JOB_RETENTION - now;
+        if (remaining > 0) {
+            jobs.restoreJob(record);
+            setTimeout(() => jobs.removeJob(record.id), remaining).unref();
+        }
+    });
+}
+
+function resumeJob(job) {
+    const jlog = jobLog(job);
+    const restarts = (job.restarts || 0) + 1;
+    const backgroundImage = job.options.background && job.options.background.imagePath;
+    const inputExists = fs.existsSync(job.inputPath) && (!backgroundImage || fs.existsSync(backgroundImage));
+    scheduleJobExpiry(job);
+    if (job.sync || !inputExists || restarts > JOB_MAX_RESTARTS) {
+        jlog.warn('Failing job interrupted by a restart', { restarts: restarts - 1, inputExists, sync: Boolean(job.sync) });
+        finishJob(job, jobFailure('JOB_INTERRUPTED'), 'interrupted');
+        return;
+    }
+
+    jlog.info('Resuming job interrupted by a restart', { restarts });
+    // Leftovers of the interrupted attempt
+    if (fs.existsSync(job.tempDir) && isPathSafe(job.tempDir, 'uploads')) fs.rmSync(job.tempDir, { recursive: true, force: true });
+    if (fs.existsSync(job.outputPath) && isPathSafe(job.outputPath, 'outputs')) fs.rmSync(job.outputPath, { force: true });
+    jobs.updateJob(job.id, { state: 'queued', progress: 0, message: 'Waiting for worker (resumed after a restart)', restarts });
+    if (job.apiKeyId) apiKeys.addJob(job.apiKeyId, job.id, 0);
+    startConversion(job);
+}
+
+// Conversion endpoint with rate limiting
+// Holds the request open until the conversion finishes and responds with the MP4.
+// The result stays downloadable through the X-Download-Url link.
+app.post('/convert', convertLimiter, checkKeyQuota, rejectWhenQueueFull, receiveInput, (req, res) => {
+    const job = createJobFromUpload(req, res, 'toVideo', { sync: true });
+    if (!job) return;
+
+    const unsubscribe = jobs.onJobUpdate(job.id, (state) => {
+        if (state.state === 'done') {
+            unsubscribe();
+            sendResult(res, job, (err) => {
+                if (err) req.log.error('Error sending file', { jobId: job.id, error: err });
+                jobs.removeJob(job.id);
+            });
+        } else if (state.state === 'failed') {
+            unsubscribe();
+            sendError(res, 500, 'CONVERSION_FAILED', { detail: localizeJob(req, state).error }, { reason: state.errorCode });
+            jobs.removeJob(job.id);
+        }
+    });
+
+    // Nobody is waiting for the result once the client disconnects
+    res.on('close', () => {
+        const current = jobs.getJob(job.id);
+        if (!res.writableFinished && current && !jobs.isFinished(current)) {
+            jobLog(job).info('Client closed the connection, cancelling the job');
+            cancelConversion(job, 'JOB_CANCELLED');
+        }
+    });
+
+    startConversion(job, { reserved: takeQueuePlaces(req) > 0 });
+});
+
+// Describe an uploaded animation (size, frames, delays, loops, alpha) and
+// render a poster thumbnail of one composited frame, without converting it.
+// Decoding runs in a worker that takes a scheduler slot like a conversion.
+// frame: index of the poster frame (default 0)
+app.post('/inspect', convertLimiter, checkKeyQuota, rejectWhenQueueFull, upload.single('webpFile'), (req, res) => {
+    const inputPathAbs = verifyUpload(req, res, checkInputFormat);
+    if (!inputPathAbs) return;
+
+    // A repeated field arrives as an array and is rejected as well
+    const frameField = req.body ? req.body.frame : undefined;
+    const frameIndex = isBlank(frameField) ? 0 : typeof frameField === 'string' ? Number(frameField) : NaN;
+    if (!Number.isInteger(frameIndex) || frameIndex < 0) {
+        cleanup(inputPathAbs, null, null);
+        return sendError(res, 400, 'INVALID_FRAME');
+    }
+    const inputSize = fs.statSync(inputPathAbs).size;
+    if (!claimKeyQuota(req, res, [inputSize])) {
+        cleanup(inputPathAbs, null, null);
+        return;
+    }
+
+    // The inspection counts as a job of the API key while it runs
+    const id = `inspect-${req.id}-${crypto.randomBytes(4).toString('hex')}`;
+    if (req.apiKey) apiKeys.addJob(req.apiKey.id, id, inputSize, req.keyQuota);
+    let finished = false;
+    const finish = () => {
+        finished = true;
+        if (req.apiKey) apiKeys.releaseJob(req.apiKey.id, id);
+        cleanup(inputPathAbs, null, null);
+    };
+
+    scheduler.enqueue(id, (done) => runInspectWorker(inputPathAbs, frameIndex, req.log, (error, message) => {
+        done();
+        finish();
+        if (error) {
+            req.log.error('Error inspecting file', { error });
+            return sendError(res, 500, 'INSPECT_FAILED');
+        }
+        if (message.type === 'rejected') {
+            return sendError(res, 400, message.code, message.params);
+        }
+        const { info, poster } = message;
+        res.json(Object.assign(info, {
+            poster: {
+                frame: poster.frame,
+                width: poster.width,
+                height: poster.height,
+                dataUrl: 'data:image/png;base64,' + poster.png
+            }
+        }));
+    }), { reserved: takeQueuePlaces(req) > 0 });
+
+    // Nobody is waiting for the result once the client disconnects
+    res.on('close', () => {
+        if (finished) return;
+        if (scheduler.cancel(id, 'Cancelled because the client closed the connection') === 'queued') finish();
+    });
+});
+
+// Run inspect-worker.js on an upload, with the time and memory limits of the
+// conversion workers. Calls callback(error, message) with the worker's
+// message ({ type: 'result', info, poster } or { type: 'rejected', code,
+// params }). Returns the abort function for the scheduler.
+function runInspectWorker(inputPathAbs, frameIndex, rlog, callback) {
+    const { fork } = require('child_process');
+    let worker = null;
+    let message = null;
+    let stopReason = null;
+    let killTimer = null;
+    let settled = false;
+    const timeoutTimer = setTimeout(() => stop(`Inspection timed out after ${JOB_TIMEOUT / 1000} seconds`), JOB_TIMEOUT);
+    const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        callback(error, message);
+    };
+    const stop = (reason) => {
+        if (!worker || stopReason) return;
+        rlog.warn('Stopping worker', { reason });
+        stopReason = reason;
+        worker.kill('SIGTERM');
+        killTimer = setTimeout(() => worker.kill('SIGKILL'), WORKER_KILL_GRACE);
+    };
+
+    try {
+        worker = fork(path.join(__dirname, 'inspect-worker.js'), [inputPathAbs, String(frameIndex)], {
+            execArgv: workerExecArgv(),
+            env: log.workerEnv(rlog.child({ worker: 'inspect-worker.js' }), Object.assign({}, process.env, { WORKER_MAX_MEMORY_MB: String(WORKER_MAX_MEMORY_MB) }))
+        });
+    } catch (error) {
+        settle(error);
+        return stop;
+    }
+    worker.on('message', (msg) => {
+        if (msg.type === 'result' || msg.type === 'rejected') message = msg;
+    });
+    worker.on('exit', (code, signal) => {
+        if (code === 0 && message && !stopReason) return settle(null);
+        if (code === MEMORY_LIMIT_EXIT_CODE) return settle(new Error(`Inspection exceeded the memory limit of ${WORKER_MAX_MEMORY_MB}MB`));
+        settle(new Error(stopReason || `Inspect worker failed (code ${code}, signal ${signal})`));
+    });
+    worker.on('error', (err) => settle(err));
+
+    return stop;
+}
+
+// Asynchronous job endpoint: responds immediately with the job id
+app.post('/jobs', convertLimiter, checkKeyQuota, rejectWhenQueueFull, receiveInput, (req, res) => {
+    const job = createJobFromUpload(req, res);
+    if (!job) return;
+
+    scheduleJobExpiry(job);
+    startConversion(job, { reserved: takeQueuePlaces(req) > 0 });
+
+    res.status(202).json(Object.assign(jobs.toPublicJob(job), {
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    }));
+});
+
+// Reverse conversion: a short video or GIF to an animated WebP.
+// Responds like POST /jobs; progress and result use the same job endpoints.
+app.post('/jobs/webp', convertLimiter, checkKeyQuota, rejectWhenQueueFull, videoUpload.single('videoFile'), (req, res) => {
+    const job = createJobFromUpload(req, res, 'toWebP');
+    if (!job) return;
+
+    scheduleJobExpiry(job);
+    startConversion(job, { reserved: takeQueuePlaces(req) > 0 });
+
+    res.status(202).json(Object.assign(jobs.toPublicJob(job), {
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    }));
+});
+
+// History of the client's jobs from the job store, newest first: the jobs
+// of its API key, or without one the jobs sent without a key from its IP
+// address (the one the IP rate limits go by). Records are kept for
+// JOB_HISTORY_RETENTION_DAYS, also across restarts.
+// Query: page (from 1), limit (1-100, default 20), state (comma-separated),
+// format, since and until (dates, compared with the creation time)
+app.get('/jobs', (req, res) => {
+    if (!jobStore.isEnabled()) {
+        return sendError(res, 404, 'JOB_HISTORY_DISABLED');
+    }
+    const { query, code, params } = parseHistoryQuery(req.query);
+    if (code) {
+        return sendError(res, 400, code, params);
+    }
+
+    const isOwn = req.apiKey
+        ? (record) => record.apiKeyId === req.apiKey.id
+        : (record) => !record.apiKeyId && record.clientIp === req.ip;
+    const matching = jobStore.list().filter((record) => isOwn(record) &&
+        (!query.states || query.states.includes(record.state)) &&
+        (!query.format || record.options.format === query.format) &&
+        (query.since === null || record.createdAt >= query.since) &&
+        (query.until === null || record.createdAt < query.until));
+    const start = (query.page - 1) * query.limit;
+    res.json({
+        jobs: matching.slice(start, start + query.limit).map((record) => localizeJob(req, toHistoryEntry(record))),
+        page: query.page,
+        limit: query.limit,
+        total: matching.length
+    });
+});
+
+const JOB_STATES = ['queued', 'extracting', 'encoding', 'done', 'failed'];
+const HISTORY_MAX_LIMIT = 100;
+
+// Returns { query }, or the error { code, params }
+function parseHistoryQuery(params) {
+    const single = (name) => (typeof params[name] === 'string' && params[name] !== '' ? params[name] : undefined);
+    if (Object.keys(params).some((name) => Array.isArray(params[name]))) {
+        return { code: 'INVALID_QUERY' };
+    }
+
+    const page = single('page') === undefined ? 1 : Number(single('page'));
+    if (!Number.isInteger(page) || page < 1) {
+        return { code: 'INVALID_PAGE' };
+    }
+    const limit = single('limit') === undefined ? 20 : Number(single('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+        return { code: 'INVALID_LIMIT', params: { max: HISTORY_MAX_LIMIT } };
+    }
+    const states = single('state') === undefined ? null : single('state').split(',').map((state) => state.trim());
+    if (states && !states.every((state) => JOB_STATES.includes(state))) {
+        return { code: 'INVALID_STATE', params: { states: JOB_STATES.join(', ') } };
+    }
+    const format = single('format') || null;
+    // Own keys only, so names like "constructor" are not taken for formats
+    if (format && format !== 'webp' && !Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+        return { code: 'INVALID_FORMAT' };
+    }
+    const dates = {};
+    for (const name of ['since', 'until']) {
+        dates[name] = single(name) === undefined ? null : Date.parse(single(name));
+        if (Number.isNaN(dates[name])) {
+            return { code: 'INVALID_DATE', params: { name } };
+        }
+    }
+    return { query: { page, limit, states, format, since: dates.since, until: dates.until } };
+}
+
+// A job record as listed by GET /jobs. Jobs still in the registry show
+// their live progress; the options leave out server paths.
+function toHistoryEntry(record) {
+    const job = jobs.getJob(record.id) || record;
+    const options = Object.assign({}, job.options);
+    if (options.background) {
+        options.background = Object.assign({}, options.background);
+        delete options.background.imagePath;
+    }
+    const time = (value) => (value ? new Date(value).toISOString() : null);
+    return Object.assign(jobs.toPublicJob(job), {
+        // Only available while the job itself is kept (JOB_RETENTION)
+        resultUrl: job.state === 'done' && jobs.getJob(job.id) ? `/jobs/${job.id}/result` : null,
+        options,
+        inputHash: job.inputHash || null,
+        inputSize: job.inputSize,
+        cache: job.cacheStatus || null,
+        restarts: job.restarts || 0,
+        startedAt: time(job.startedAt),
+        finishedAt: time(job.finishedAt),
+        timings: job.timings || null
+    });
+}
+
+// Job status (state and percentage)
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return sendError(res, 404, 'JOB_NOT_FOUND');
     }
+    res.json(localizeJob(req, jobs.toPublicJob(job)));
 });
 
+// Server-Sent Events stream of job progress; closes once the job is finished
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return sendError(res, 404, 'JOB_NOT_FOUND');
+    }
+
+    streamEvents(req, res, localizeJob(req, jobs.toPublicJob(job)), (listener) => jobs.onJobUpdate(job.id, (state) => listener(localizeJob(req, state))), jobs.isFinished);
+});
+
+// Download the finished result
+app.get('/jobs/:id/result', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return sendError(res, 404, 'JOB_NOT_FOUND');
+    }
+    if (job.state !== 'done') {
+        return sendError(res, 409, 'JOB_NOT_FINISHED', { state: job.state });
+    }
+    sendResult(res, job, (err) => {
+        if (err) req.log.error('Error sending file', { jobId: job.id, error: err });
+    });
+});
+
+// Webhook deliveries of a job with every attempt; kept after the job expired
+app.get('/jobs/:id/webhooks', (req, res) => {
+    const deliveries = webhooks.listDeliveries(req.params.id);
+    if (deliveries.length === 0 && !jobs.getJob(req.params.id)) {
+        return sendError(res, 404, 'JOB_NOT_FOUND');
+    }
+    res.json({ deliveries });
+});
+
+// Download a stored result through a signed link (see lib/downloads.js).
+// Needs no job, so it also works after the job expired or on another
+// instance that shares the storage and DOWNLOAD_LINK_SECRET.
+app.get('/downloads/:key', (req, res) => {
+    const { key } = req.params;
+    const refused = resultStorage.isValidKey(key)
+        ? downloads.verifyLink(key, req.query.expires, req.query.signature)
+        : 'INVALID_DOWNLOAD_LINK';
+    if (refused) {
+        return sendError(res, 403, refused);
+    }
+    const type = findOutputTypeByExtension(path.extname(key));
+    sendStoredResult(res, key, key, { 'Content-Type': type ? type.mimeType : 'application/octet-stream' }, (err) => {
+        if (err) req.log.error('Error sending file', { error: err });
+    });
+});
+
+// Batch endpoint: converts many files with a bounded number of workers.
+// Responds immediately; per-file results are available as links or as one ZIP.
+app.post('/batches', convertLimiter, checkKeyQuota, reserveQueuePlaces(BATCH_CONCURRENCY), batchUpload.fields([{ name: 'webpFiles', maxCount: BATCH_MAX_FILES }, { name: 'backgroundImage', maxCount: 1 }]), (req, res) => {
+    const files = (req.files && req.files.webpFiles) || [];
+    req.backgroundFile = req.files && req.files.backgroundImage ? req.files.backgroundImage[0] : undefined;
+    const rejected = req.rejectedFiles || [];
+    const discardUploads = () => {
+        files.forEach((file) => cleanup(path.resolve(file.path), null, null));
+        if (req.backgroundFile) cleanup(path.resolve(req.backgroundFile.path), null, null);
+    };
+    if (files.length === 0 && rejected.length === 0) {
+        discardUploads();
+        return sendError(res, 400, 'NO_FILE_UPLOADED');
+    }
+    // Every file becomes a job of the API key. A batch with more files than
+    // the key may ever have at once would be refused on every retry.
+    const maxKeyJobs = req.apiKey ? req.apiKey.limits.concurrentJobs : 0;
+    if (maxKeyJobs && files.length > maxKeyJobs) {
+        discardUploads();
+        return sendError(res, 413, 'BATCH_EXCEEDS_KEY_JOBS', { files: files.length, limit: maxKeyJobs }, { limit: 'concurrentJobs' });
+    }
+    if (!claimKeyQuota(req, res, files.map((file) => file.size))) {
+        discardUploads();
+        return;
+    }
+
+    // Validate conversion options once for the whole batch
+    const { options, error: optionsError } = parseConversionOptions(req.body);
+    const { callbackUrl, error: callbackError } = parseCallbackUrl(req.body);
+    if (optionsError || callbackError) {
+        discardUploads();
+        return sendError(res, 400, 'INVALID_OPTION', { detail: optionsError || callbackError });
+    }
+    if (!attachBackgroundImage(req, res, options)) {
+        files.forEach((file) => cleanup(path.resolve(file.path), null, null));
+        return;
+    }
+    const backgroundImage = options.background && options.background.imagePath;
+
+    // SECURITY: Verify every uploaded file is under the uploads directory
+    const accepted = [];
+    files.forEach((file) => {
+        const { inputPathAbs, code, params } = checkUploadedFile(file, checkInputFormat);
+        if (code) {
+            rejected.push({ originalName: file.originalname, error: req.t(code, params), code, params });
+            return;
+        }
+        accepted.push({ file, inputPathAbs, jobOptions: options });
+    });
+
+    // Prepare every file before any job is created, so that a failure leaves
+    // nothing queued. Every job removes its background image when it
+    // finishes, so each gets its own hard link to the uploaded one.
+    if (backgroundImage) {
+        const links = [];
+        try {
+            accepted.forEach((entry, index) => {
+                const imagePath = `${backgroundImage}-${index}`;
+                fs.linkSync(backgroundImage, imagePath);
+                links.push(imagePath);
+                entry.jobOptions = Object.assign({}, options, { background: Object.assign({}, options.background, { imagePath }) });
+            });
+        } catch (e) {
+            req.log.error('Error preparing the batch background image', { error: e });
+            links.forEach((link) => cleanup(link, null, null));
+            accepted.forEach((entry) => cleanup(entry.inputPathAbs, null, null));
+            cleanup(backgroundImage, null, null);
+            return sendError(res, 500, 'BATCH_PREPARE_FAILED');
+        }
+        cleanup(backgroundImage, null, null);
+    }
+
+    const entries = [];
+    const batchJobs = accepted.map(({ file, inputPathAbs, jobOptions }) => {
+        const job = createConversionJob(inputPathAbs, jobOptions, 'conversion-worker.js', {
+            callbackUrl,
+            apiKeyId: req.apiKey ? req.apiKey.id : null,
+            clientIp: req.apiKey ? null : req.ip,
+            keyQuota: req.keyQuota,
+            requestId: req.id
+        });
+        scheduleJobExpiry(job);
+        entries.push({ jobId: job.id, originalName: file.originalname });
+        return job;
+    });
+
+    const batch = batches.createBatch(entries, rejected);
+    scheduleBatchExpiry(batch);
+    runBatch(batchJobs, takeQueuePlaces(req, batchJobs.length));
+
+    res.status(202).json(Object.assign(batches.toPublicBatch(batch), {
+        statusUrl: `/batches/${batch.id}`,
+        eventsUrl: `/batches/${batch.id}/events`
+    }));
+});
+
+// Batch status with per-file state and download links
+app.get('/batches/:id', (req, res) => {
+    const batch = batches.getBatch(req.params.id);
+    if (!batch) {
+        return sendError(res, 404, 'BATCH_NOT_FOUND');
+    }
+    res.json(localizeBatch(req, batches.toPublicBatch(batch)));
+});
+
+// Server-Sent Events stream of batch progress; closes once every file is finished
+app.get('/batches/:id/events', (req, res) => {
+    const batch = batches.getBatch(req.params.id);
+    if (!batch) {
+        return sendError(res, 404, 'BATCH_NOT_FOUND');
+    }
+    streamEvents(req, res, localizeBatch(req, batches.toPublicBatch(batch)), (listener) => batches.onBatchUpdate(batch.id, (state) => listener(localizeBatch(req, state))), (state) => state.state === 'done');
+});
+
+// Stream a ZIP archive of every successful output of a finished batch
+app.get('/batches/:id/zip', (req, res) => {
+    const batch = batches.getBatch(req.params.id);
+    if (!batch) {
+        return sendError(res, 404, 'BATCH_NOT_FOUND');
+    }
+    if (!batches.isBatchFinished(batch)) {
+        return sendError(res, 409, 'BATCH_NOT_FINISHED');
+    }
+    const completed = batches.completedEntries(batch);
+    if (completed.length === 0) {
+        return sendError(res, 404, 'BATCH_EMPTY');
+    }
+
+    res.attachment(`converted-${batch.id}.zip`);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    // The loop below waits for the archive to take each entry. No 'entry'
+    // event follows once the archive failed or the client went away, so
+    // that stops the wait (and the loop) instead.
+    let stopped = null;
+    let stopWaiting = () => {};
+    const stop = (err) => {
+        if (stopped) return;
+        stopped = err;
+        stopWaiting(err);
+        archive.abort();
+        res.destroy(err);
+    };
+    archive.on('warning', (err) => req.log.warn('ZIP warning', { error: err }));
+    archive.on('error', (err) => {
+        req.log.error('Error creating ZIP', { batchId: batch.id, error: err });
+        stop(err);
+    });
+    res.on('close', () => {
+        if (!res.writableFinished) stop(new Error('The client closed the connection'));
+    });
+    archive.pipe(res);
+
+    // Stored results are opened one at a time, as the archive reaches them
+    const usedNames = new Set();
+    (async () => {
+        for (const { entry, job } of completed) {
+            const name = uniqueArchiveName(entry.originalName, getOutputType(job.options.format).extension, usedNames);
+            const object = await resultStorage.get(job.storageKey);
+            if (stopped) {
+                if (object) object.stream.destroy();
+                return;
+            }
+            if (!object) {
+                req.log.warn('Result has expired, leaving it out of the ZIP', { jobId: job.id });
+                continue;
+            }
+            // The archive does not handle errors of its sources
+            object.stream.on('error', (err) => {
+                req.log.error('Error reading a result for the ZIP', { jobId: job.id, error: err });
+                stop(err);
+            });
+            archive.append(object.stream, { name });
+            await new Promise((resolve, reject) => {
+                stopWaiting = (err) => {
+                    object.stream.destroy();
+                    reject(err);
+                };
+                archive.once('entry', resolve);
+            });
+            stopWaiting = () => {};
+        }
+        archive.finalize();
+    })().catch((err) => {
+        if (err === stopped) return;
+        req.log.error('Error creating ZIP', { batchId: batch.id, error: err });
+        stop(err);
+    });
+});
+
+// Convert the jobs of a batch with at most BATCH_CONCURRENCY workers at a time.
+// Jobs are handed to the shared scheduler one by one, so a large batch takes
+// at most BATCH_CONCURRENCY places in the queue instead of filling it.
+function runBatch(batchJobs, reservedPlaces = 0) {
+    const pending = [...batchJobs];
+    let reservations = reservedPlaces;
+    const startNext = () => {
+        const job = pending.shift();
+        if (!job) return;
+        const unsubscribe = jobs.onJobUpdate(job.id, (state) => {
+            if (!jobs.isFinished(state)) return;
+            unsubscribe();
+            startNext();
+        });
+        // The first jobs take the places reserved by the request; the later
+        // ones follow into the places of finished jobs of the batch
+        startConversion(job, { reserved: reservations > 0 });
+        reservations--;
+    };
+    for (let i = 0; i < BATCH_CONCURRENCY; i++) {
+        startNext();
+    }
+}
+
+// Forget a finished batch after the retention period (its jobs expire on their own)
+function scheduleBatchExpiry(batch) {
+    const expire = () => setTimeout(() => batches.removeBatch(batch.id), JOB_RETENTION).unref();
+    if (batches.isBatchFinished(batch)) {
+        return expire();
+    }
+    const unsubscribe = batches.onBatchUpdate(batch.id, (state) => {
+        if (state.state !== 'done') return;
+        unsubscribe();
+        expire();
+    });
+}
+
+// Stream state snapshots as Server-Sent Events until isDone(state) is true
+function streamEvents(req, res, initialState, subscribe, isDone) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (state) => {
+        res.write(`data: ${JSON.stringify(state)}\n\n`);
+        if (isDone(state)) {
+            unsubscribe();
+            res.end();
+        }
+    };
+    const unsubscribe = subscribe(send);
+    req.on('close', unsubscribe);
+    send(initialState);
+}
+
+// Send a job's result as an attachment with the Content-Type of its format
+// X-Cache tells whether the result came from the result cache (HIT) or was
+// converted (MISS); it is left out when the cache is disabled.
+// X-Download-Url is a signed link to download the result again.
+function sendResult(res, job, callback) {
+    const { mimeType } = getOutputType(job.options.format);
+    const { cacheStatus, storageKey, resultExpiresAt } = jobs.getJob(job.id) || job;
+    const headers = { 'Content-Type': mimeType, 'X-Download-Url': downloads.createLink(storageKey, resultExpiresAt) };
+    if (cacheStatus) headers['X-Cache'] = cacheStatus;
+    sendStoredResult(res, storageKey, job.outputFilename, headers, callback);
+}
+
+// Stream a result from the result storage as an attachment named filename.
+// Responds 410 once the result has been removed from storage.
+async function sendStoredResult(res, key, filename, headers, callback) {
+    let object;
+    try {
+        object = await resultStorage.get(key);
+    } catch (e) {
+        res.req.log.error('Error reading result from storage', { key, error: e });
+        sendError(res, 502, 'STORAGE_READ_FAILED');
+        return callback(e);
+    }
+    if (!object) {
+        sendError(res, 410, 'RESULT_EXPIRED');
+        return callback();
+    }
+    res.attachment(filename);
+    res.set(headers);
+    if (Number.isFinite(object.size)) res.set('Content-Length', String(object.size));
+    pipeline(object.stream, res, callback);
+}
+
 // Error handling middleware for multer and other errors
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
-            const maxSizeMB = MAX_FILE_SIZE / (1024 * 1024);
             // SECURITY: Use JSON response to prevent XSS
-            return res.status(400).json({ error: `檔案太大！最大允許 ${maxSizeMB}MB。File too large! Maximum size is ${maxSizeMB}MB.` });
+            return sendError(res, 400, 'FILE_TOO_LARGE', { maxSizeMB: MAX_FILE_SIZE / (1024 * 1024) });
         }
         // SECURITY: Sanitize error message to prevent XSS
-        return res.status(400).json({ error: '檔案上傳錯誤', details: sanitizeErrorMessage(err.message) });
+        return sendError(res, 400, 'UPLOAD_ERROR', {}, { details: sanitizeErrorMessage(err.message) });
+    } else if (err instanceof LocalizedError) {
+        return sendError(res, err.status, err.code, err.params);
     } else if (err) {
         // SECURITY: Sanitize error message to prevent XSS
-        return res.status(400).json({ error: sanitizeErrorMessage(err.message) });
+        return sendError(res, 400, 'BAD_REQUEST', { detail: sanitizeErrorMessage(err.message) });
     }
     next();
 });
 
-// Cleanup old temp folders on startup
+// Remove expired results from the result storage and leftover working files.
+// Working files older than the server belong to no job (they are left over
+// from a crash or a failed cleanup), unless a job restored after the
+// restart still uses them; later ones that could not be removed are caught once they
+// are STALE_WORK_FILE_AGE old. Old job records are dropped from the store.
 const uploadDir = 'uploads';
-if (fs.existsSync(uploadDir)) {
-    fs.readdirSync(uploadDir).forEach(file => {
-        if (file.startsWith('temp-')) {
-            const tempPath = path.join(uploadDir, file);
-            // SECURITY: Validate path before deletion
-            if (!isPathSafe(tempPath, uploadDir)) {
-                console.warn('Security: Rejected cleanup of temp folder outside uploads directory:', tempPath);
-                return;
-            }
-            try {
-                fs.rmSync(tempPath, { recursive: true, force: true });
-                console.log('Cleaned up stale temp folder:', tempPath);
-            } catch (e) {
-                console.error('Failed to clean up stale temp folder:', tempPath, e);
-            }
-        }
+const startedAt = Date.now();
+async function sweepStaleFiles() {
+    try {
+        const removed = await resultStorage.sweep(RESULT_RETENTION);
+        if (removed > 0) log.info('Removed expired results from storage', { removed });
+    } catch (e) {
+        log.error('Failed to remove expired results', { error: e });
+    }
+    const cutoff = Math.max(startedAt, Date.now() - STALE_WORK_FILE_AGE);
+    const inUse = jobWorkFiles();
+    sweepWorkDir(uploadDir, cutoff, inUse);
+    sweepWorkDir(outputDir, cutoff, inUse);
+    try {
+        jobStore.compact();
+    } catch (e) {
+        log.error('Failed to compact the job store', { error: e });
+    }
+}
+
+// Absolute paths of the working files of the jobs in the registry, which
+// remove them themselves
+function jobWorkFiles() {
+    const files = new Set();
+    jobs.listJobs().forEach((job) => {
+        const backgroundImage = job.options.background && job.options.background.imagePath;
+        [job.inputPath, job.tempDir, job.outputPath, backgroundImage].filter(Boolean)
+            .forEach((file) => files.add(path.resolve(file)));
     });
+    return files;
 }
 
-// Cleanup old output files on startup
-if (fs.existsSync(outputDir)) {
-    fs.readdirSync(outputDir).forEach(file => {
-        const filePath = path.join(outputDir, file);
+function sweepWorkDir(dir, cutoff, inUse) {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach(file => {
+        const filePath = path.join(dir, file);
         // SECURITY: Validate path before deletion
-        if (!isPathSafe(filePath, outputDir)) {
-            console.warn('Security: Rejected cleanup of output file outside outputs directory:', filePath);
+        if (!isPathSafe(filePath, dir)) {
+            log.warn(`Security: Rejected cleanup of file outside ${dir} directory`, { path: filePath });
             return;
         }
+        if (inUse.has(path.resolve(filePath))) return;
         try {
-            fs.unlinkSync(filePath);
-            console.log('Cleaned up stale output file:', filePath);
+            if (fs.statSync(filePath).mtimeMs >= cutoff) return;
+            fs.rmSync(filePath, { recursive: true, force: true });
+            log.info('Cleaned up stale file', { path: filePath });
         } catch (e) {
-            console.error('Failed to clean up stale output file:', filePath, e);
+            log.error('Failed to clean up stale file', { path: filePath, error: e });
         }
     });
 }
 
+restoreJobs();
+sweepStaleFiles();
+setInterval(sweepStaleFiles, SWEEP_INTERVAL).unref();
+
 app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
+    log.info(`Server running at http://localhost:${PORT}`, { port: Number(PORT) });
 });
 
 // Security helper: Sanitize error messages to prevent XSS
@@ -248,6 +1768,23 @@ function sanitizeErrorMessage(message) {
         .replace(/\//g, '&#x2F;');
 }
 
+// Timestamp plus random suffix for collision-free upload, temp and output names
+function uniqueStamp() {
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Safe, unique file name for an archive entry derived from the uploaded name
+function uniqueArchiveName(originalName, extension, usedNames) {
+    const base = path.basename(originalName, path.extname(originalName))
+        .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_') || 'converted';
+    let name = base + extension;
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+        name = `${base} (${i})${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
 // Security helper: Validate path is within allowed directory
 function isPathSafe(filePath, allowedDir) {
     if (!filePath) return false;
@@ -261,7 +1798,7 @@ function isPathSafe(filePath, allowedDir) {
         return resolved === allowedPath ||
             (resolved.startsWith(allowedPath + path.sep));
     } catch (e) {
-        console.error('Path validation error:', e);
+        log.warn('Path validation error', { error: e });
         return false;
     }
 }
@@ -278,38 +1815,39 @@ function cleanupWithRetry(inputPath, tempDir, outputPath, retries) {
         // SECURITY: Validate and clean up input file
         if (inputPath) {
             if (!isPathSafe(inputPath, uploadRoot)) {
-                console.warn('Security: Rejected cleanup of input file outside uploads directory:', inputPath);
+                log.warn('Security: Rejected cleanup of input file outside uploads directory', { path: inputPath });
             } else if (fs.existsSync(inputPath)) {
                 try {
                     fs.unlinkSync(inputPath);
-                    console.log('Cleaned up input file:', inputPath);
+                    log.debug('Cleaned up input file', { path: inputPath });
                 } catch (e) {
                     if (e.code === 'EBUSY' && retries > 0) {
-                        console.log(`File busy, retrying... (${retries} attempts left)`);
+                        log.debug('File busy, retrying', { path: inputPath, retries });
                         setTimeout(() => cleanupWithRetry(inputPath, tempDir, outputPath, retries - 1), 500);
                         return;
                     } else {
-                        console.warn('Could not delete input file (will be cleaned on next startup):', inputPath);
+                        log.warn('Could not delete input file (will be removed by the sweeper)', { path: inputPath });
                     }
                 }
             }
         }
 
         // SECURITY: Validate and clean up temp directory
-        if (tempDir) {
+        // (frames are usually streamed to ffmpeg, in which case it was never created)
+        if (tempDir && fs.existsSync(tempDir)) {
             if (!isPathSafe(tempDir, 'uploads')) {
-                console.warn('Security: Rejected cleanup of temp directory outside uploads directory:', tempDir);
+                log.warn('Security: Rejected cleanup of temp directory outside uploads directory', { path: tempDir });
             } else if (fs.existsSync(tempDir)) {
                 try {
                     fs.rmSync(tempDir, { recursive: true, force: true });
-                    console.log('Cleaned up temp directory:', tempDir);
+                    log.debug('Cleaned up temp directory', { path: tempDir });
                 } catch (e) {
                     if (e.code === 'EBUSY' && retries > 0) {
-                        console.log(`Directory busy, retrying... (${retries} attempts left)`);
+                        log.debug('Directory busy, retrying', { path: tempDir, retries });
                         setTimeout(() => cleanupWithRetry(inputPath, tempDir, outputPath, retries - 1), 500);
                         return;
                     } else {
-                        console.warn('Could not delete temp directory (will be cleaned on next startup):', tempDir);
+                        log.warn('Could not delete temp directory (will be removed by the sweeper)', { path: tempDir });
                     }
                 }
             }
@@ -318,23 +1856,23 @@ function cleanupWithRetry(inputPath, tempDir, outputPath, retries) {
         // SECURITY: Validate and clean up output file
         if (outputPath) {
             if (!isPathSafe(outputPath, 'outputs')) {
-                console.warn('Security: Rejected cleanup of output file outside outputs directory:', outputPath);
+                log.warn('Security: Rejected cleanup of output file outside outputs directory', { path: outputPath });
             } else if (fs.existsSync(outputPath)) {
                 try {
                     fs.unlinkSync(outputPath);
-                    console.log('Cleaned up output file:', outputPath);
+                    log.debug('Cleaned up output file', { path: outputPath });
                 } catch (e) {
                     if (e.code === 'EBUSY' && retries > 0) {
-                        console.log(`Output file busy, retrying... (${retries} attempts left)`);
+                        log.debug('Output file busy, retrying', { path: outputPath, retries });
                         setTimeout(() => cleanupWithRetry(inputPath, tempDir, outputPath, retries - 1), 500);
                         return;
                     } else {
-                        console.warn('Could not delete output file (will be cleaned on next startup):', outputPath);
+                        log.warn('Could not delete output file (will be removed by the sweeper)', { path: outputPath });
                     }
                 }
             }
         }
     } catch (e) {
-        console.error('Error during cleanup:', e.message);
+        log.error('Error during cleanup', { error: e.message });
     }
 }
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const cache = require('../lib/cache');
+const storage = require('../lib/storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+const cacheDir = path.join(tempDir, 'cache');
+let fileCounter = 0;
+
+test.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Key of a result, in the form computeKey gives them
+const keyOf = (name) => crypto.createHash('sha256').update(name).digest('hex');
+
+// A finished output of the size, as a conversion would leave it
+function writeOutput(size, extension = '.mp4') {
+    const outputPath = path.join(tempDir, `output-${fileCounter++}${extension}`);
+    fs.writeFileSync(outputPath, Buffer.alloc(size));
+    return outputPath;
+}
+
+const outputPath = () => path.join(tempDir, `hit-${fileCounter++}.mp4`);
+
+// Keys of the cached results, by their file names in the cache directory
+function cachedKeys() {
+    return fs.readdirSync(cacheDir).filter((file) => file.endsWith('.mp4')).map((file) => file.slice(0, 64)).sort();
+}
+
+// Make Date.now() return the clock, so that every use has its own time
+function useClock(t) {
+    let clock = 1000000;
+    t.mock.method(Date, 'now', () => clock);
+    return () => { clock += 1000; };
+}
+
+test('evicts the least recently used results first', (t) => {
+    const tick = useClock(t);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    cache.configure({ dir: cacheDir, maxBytes: 30 });
+
+    ['a', 'b', 'c'].forEach((name) => {
+        cache.store(keyOf(name), writeOutput(10));
+        tick();
+    });
+    // Using a makes b the least recently used
+    assert.equal(cache.lookup(keyOf('a'), outputPath()), true);
+    tick();
+    cache.store(keyOf('d'), writeOutput(10));
+    assert.deepEqual(cachedKeys(), ['a', 'c', 'd'].map(keyOf).sort());
+    assert.equal(cache.lookup(keyOf('b'), outputPath()), false);
+    assert.deepEqual(cache.stats(), { entries: 3, bytes: 30, maxBytes: 30 });
+
+    // A result larger than the whole cache is not kept, nor does it evict anything
+    cache.store(keyOf('e'), writeOutput(31));
+    assert.deepEqual(cachedKeys(), ['a', 'c', 'd'].map(keyOf).sort());
+});
+
+test('keeps the recency order across restarts', (t) => {
+    const tick = useClock(t);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    cache.configure({ dir: cacheDir, maxBytes: 30 });
+    ['a', 'b', 'c'].forEach((name) => {
+        cache.store(keyOf(name), writeOutput(10));
+        tick();
+    });
+    cache.lookup(keyOf('a'), outputPath());
+    tick();
+    cache.lookup(keyOf('b'), outputPath());
+    tick();
+
+    // Touching the files does not change the order, the index does
+    const old = new Date(0);
+    fs.readdirSync(cacheDir).forEach((file) => fs.utimesSync(path.join(cacheDir, file), old, old));
+    cache.configure({ dir: cacheDir, maxBytes: 30 });
+    cache.store(keyOf('d'), writeOutput(10));
+    assert.deepEqual(cachedKeys(), ['a', 'b', 'd'].map(keyOf).sort());
+
+    // A smaller budget evicts right away, oldest first
+    cache.configure({ dir: cacheDir, maxBytes: 20 });
+    assert.deepEqual(cachedKeys(), ['b', 'd'].map(keyOf).sort());
+});
+
+test('a result served from the cache is kept for the whole retention period', async () => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    cache.configure({ dir: cacheDir, maxBytes: 1024 });
+    storage.configure({ driver: 'local', dir: path.join(tempDir, 'results') });
+
+    // Cached by a conversion two hours ago
+    cache.store(keyOf('old'), writeOutput(10));
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(cacheDir, `${keyOf('old')}.mp4`), twoHoursAgo, twoHoursAgo);
+
+    const hitPath = outputPath();
+    assert.equal(cache.lookup(keyOf('old'), hitPath), true);
+    await storage.put('hit.mp4', hitPath, { contentType: 'video/mp4' });
+
+    assert.equal(await storage.sweep(60 * 60 * 1000), 0);
+    const stored = await storage.get('hit.mp4');
+    assert.notEqual(stored, null);
+    assert.equal(stored.size, 10);
+    await new Promise((resolve, reject) => stored.stream.on('error', reject).on('close', resolve).resume());
+    // The cached result itself is still there for the next hit
+    assert.equal(cache.lookup(keyOf('old'), outputPath()), true);
+});
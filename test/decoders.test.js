@@ -0,0 +1,302 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { GifWriter } = require('omggif');
+const WebP = require('node-webpmux');
+const { PNG } = require('pngjs');
+const { detectFormat, detectVideoFormat, frameDelays } = require('../lib/decoders');
+const gif = require('../lib/decoders/gif');
+const png = require('../lib/decoders/png');
+const webp = require('../lib/decoders/webp');
+const { compositeFrames } = require('../lib/compositor');
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const HALF_BLUE = [0, 0, 255, 128];
+const CLEAR = [0, 0, 0, 0];
+// HALF_BLUE drawn over RED
+const BLUE_OVER_RED = [127, 0, 128, 255];
+
+// Every composed canvas of an animation, copied
+async function composeAll(animation) {
+    const canvases = [];
+    await compositeFrames(animation, (canvas) => {
+        canvases.push(Buffer.from(canvas));
+    });
+    return canvases;
+}
+
+function pixel(canvas, width, x, y) {
+    const p = (y * width + x) * 4;
+    return [...canvas.subarray(p, p + 4)];
+}
+
+// RGBA buffer of width x height pixels of one colour
+function solid(width, height, color) {
+    return Buffer.from(Array.from({ length: width * height }, () => color).flat());
+}
+
+// Frame rectangles without the decoder's extra fields, to compare with probe()
+function rectangles(frames) {
+    return frames.map(({ x, y, width, height, delay }) => ({ x, y, width, height, delay }));
+}
+
+test('detectFormat recognises inputs by their leading bytes', () => {
+    assert.equal(detectFormat(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8X', 'latin1')), 'webp');
+    assert.equal(detectFormat(Buffer.from('GIF89a')), 'gif');
+    assert.equal(detectFormat(Buffer.from('GIF87a')), 'gif');
+    assert.equal(detectFormat(Buffer.concat([png.PNG_SIGNATURE, Buffer.from('IHDR')])), 'png');
+
+    assert.equal(detectFormat(Buffer.from('RIFF\x10\x00\x00\x00WAVEfmt ', 'latin1')), null);
+    assert.equal(detectFormat(Buffer.from('GIF88a')), null);
+    assert.equal(detectFormat(png.PNG_SIGNATURE.subarray(0, 7)), null);
+    assert.equal(detectFormat(Buffer.from('RIFF')), null);
+    assert.equal(detectFormat(Buffer.alloc(0)), null);
+});
+
+test('detectVideoFormat recognises MP4, WebM and GIF', () => {
+    assert.equal(detectVideoFormat(Buffer.from('\x00\x00\x00\x18ftypisom', 'latin1')), 'mp4');
+    assert.equal(detectVideoFormat(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42])), 'webm');
+    assert.equal(detectVideoFormat(Buffer.from('GIF89a')), 'gif');
+    assert.equal(detectVideoFormat(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8X', 'latin1')), null);
+    assert.equal(detectVideoFormat(Buffer.from('ftyp')), null);
+});
+
+// GIF with a global palette: 0 black, 1 red, 2 green, 3 blue
+function buildGif(frames, { loop } = {}) {
+    const buffer = Buffer.alloc(4096);
+    const writer = new GifWriter(buffer, 4, 4, { palette: [0x000000, 0xff0000, 0x00ff00, 0x0000ff], loop });
+    frames.forEach(({ x, y, width, height, pixels, delay, disposal, transparent }) => {
+        writer.addFrame(x, y, width, height, pixels, { delay, disposal, transparent });
+    });
+    return buffer.subarray(0, writer.end());
+}
+
+test('GIF frames keep their disposal, delays and transparency', async () => {
+    const buffer = buildGif([
+        { x: 0, y: 0, width: 4, height: 4, pixels: new Array(16).fill(1), delay: 10, disposal: 1 },
+        // Index 0 is transparent in this frame
+        { x: 1, y: 1, width: 2, height: 2, pixels: [2, 0, 0, 2], delay: 1, disposal: 2, transparent: 0 },
+        { x: 1, y: 1, width: 2, height: 2, pixels: [3, 3, 3, 3], delay: 5, disposal: 3 },
+        { x: 0, y: 0, width: 1, height: 1, pixels: [2], delay: 5, disposal: 0 }
+    ], { loop: 2 });
+    const animation = gif.decode(buffer);
+
+    assert.equal(animation.width, 4);
+    assert.equal(animation.height, 4);
+    assert.equal(animation.hasAlpha, true);
+    // Two repeats after the first play
+    assert.equal(animation.loops, 3);
+    assert.deepEqual(animation.frames.map((frame) => frame.dispose), ['none', 'background', 'previous', 'none']);
+    assert.ok(animation.frames.every((frame) => frame.blend));
+    // 1cs plays at the default delay
+    assert.deepEqual(frameDelays(animation), [100, 100, 50, 50]);
+    assert.deepEqual(rectangles(gif.probe(buffer).frames), rectangles(animation.frames));
+
+    const rect = await animation.getFrameData(1);
+    assert.deepEqual([...rect], [...GREEN, ...CLEAR, ...CLEAR, ...GREEN]);
+
+    const [first, second, third, fourth] = await composeAll(animation);
+    assert.deepEqual(pixel(first, 4, 1, 1), RED);
+    // Transparent pixels let the previous frame show through
+    assert.deepEqual(pixel(second, 4, 1, 1), GREEN);
+    assert.deepEqual(pixel(second, 4, 2, 1), RED);
+    assert.deepEqual(pixel(third, 4, 2, 1), BLUE);
+    // Frame 1 was disposed to the (transparent) background and frame 2 to
+    // the canvas before it
+    assert.deepEqual(pixel(fourth, 4, 0, 0), GREEN);
+    assert.deepEqual(pixel(fourth, 4, 1, 1), CLEAR);
+    assert.deepEqual(pixel(fourth, 4, 2, 2), CLEAR);
+    assert.deepEqual(pixel(fourth, 4, 3, 3), RED);
+});
+
+test('GIF loop count follows the NETSCAPE extension', () => {
+    const frame = { x: 0, y: 0, width: 4, height: 4, pixels: new Array(16).fill(1), delay: 10 };
+    assert.equal(gif.decode(buildGif([frame])).loops, 1);
+    assert.equal(gif.decode(buildGif([frame], { loop: 0 })).loops, 0);
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Compressed RGBA scanlines, each with filter type 0
+function imageData(width, height, rgba) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        rows.push(Buffer.from([0]), rgba.subarray(y * width * 4, (y + 1) * width * 4));
+    }
+    return zlib.deflateSync(Buffer.concat(rows));
+}
+
+// APNG of 8-bit RGBA frames. The first frame is stored in IDAT, unless a
+// default image is given: that one goes in IDAT before the first fcTL and
+// every frame in fdAT chunks.
+function buildApng(width, height, frames, { plays = 0, defaultImage = null } = {}) {
+    let sequence = 0;
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 6;
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(frames.length, 0);
+    actl.writeUInt32BE(plays, 4);
+    const chunks = [pngChunk('IHDR', ihdr), pngChunk('acTL', actl)];
+    if (defaultImage) chunks.push(pngChunk('IDAT', imageData(width, height, defaultImage)));
+
+    frames.forEach((frame, index) => {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(sequence++, 0);
+        fctl.writeUInt32BE(frame.width, 4);
+        fctl.writeUInt32BE(frame.height, 8);
+        fctl.writeUInt32BE(frame.x, 12);
+        fctl.writeUInt32BE(frame.y, 16);
+        fctl.writeUInt16BE(frame.delayNum, 20);
+        fctl.writeUInt16BE(frame.delayDen, 22);
+        fctl[24] = frame.dispose;
+        fctl[25] = frame.blend;
+        chunks.push(pngChunk('fcTL', fctl));
+
+        const data = imageData(frame.width, frame.height, frame.rgba);
+        if (index === 0 && !defaultImage) {
+            chunks.push(pngChunk('IDAT', data));
+        } else {
+            const header = Buffer.alloc(4);
+            header.writeUInt32BE(sequence++);
+            chunks.push(pngChunk('fdAT', Buffer.concat([header, data])));
+        }
+    });
+    chunks.push(pngChunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat([png.PNG_SIGNATURE, ...chunks]);
+}
+
+test('APNG frames follow their blend and dispose ops', async () => {
+    const buffer = buildApng(2, 2, [
+        { x: 0, y: 0, width: 2, height: 2, delayNum: 1, delayDen: 10, dispose: 0, blend: 0, rgba: solid(2, 2, RED) },
+        // APNG_BLEND_OP_OVER, APNG_DISPOSE_OP_BACKGROUND; a denominator of 0 means 1/100s
+        { x: 1, y: 0, width: 1, height: 1, delayNum: 5, delayDen: 0, dispose: 1, blend: 1, rgba: solid(1, 1, HALF_BLUE) },
+        // APNG_BLEND_OP_SOURCE, APNG_DISPOSE_OP_PREVIOUS
+        { x: 0, y: 0, width: 2, height: 1, delayNum: 1, delayDen: 20, dispose: 2, blend: 0, rgba: solid(2, 1, [0, 255, 0, 0]) },
+        { x: 0, y: 1, width: 1, height: 1, delayNum: 1, delayDen: 20, dispose: 0, blend: 0, rgba: solid(1, 1, GREEN) }
+    ], { plays: 2 });
+    const animation = png.decode(buffer);
+
+    assert.equal(animation.loops, 2);
+    assert.equal(animation.hasAlpha, true);
+    assert.deepEqual(animation.frames.map((frame) => frame.dispose), ['none', 'background', 'previous', 'none']);
+    assert.deepEqual(animation.frames.map((frame) => frame.blend), [false, true, false, false]);
+    assert.deepEqual(animation.frames.map((frame) => frame.delay), [100, 50, 50, 50]);
+    assert.deepEqual(rectangles(png.probe(buffer).frames), rectangles(animation.frames));
+
+    const [first, second, third, fourth] = await composeAll(animation);
+    assert.deepEqual(pixel(first, 2, 1, 0), RED);
+    assert.deepEqual(pixel(second, 2, 1, 0), BLUE_OVER_RED);
+    assert.deepEqual(pixel(second, 2, 0, 0), RED);
+    // The source op replaces the pixels, alpha included
+    assert.deepEqual(pixel(third, 2, 0, 0), [0, 255, 0, 0]);
+    assert.deepEqual(pixel(third, 2, 1, 0), [0, 255, 0, 0]);
+    // Frame 1 was cleared and frame 2 restored what was under it
+    assert.deepEqual(pixel(fourth, 2, 0, 0), RED);
+    assert.deepEqual(pixel(fourth, 2, 1, 0), CLEAR);
+    assert.deepEqual(pixel(fourth, 2, 0, 1), GREEN);
+    assert.deepEqual(pixel(fourth, 2, 1, 1), RED);
+});
+
+test('APNG default image in IDAT is not part of the animation', async () => {
+    const buffer = buildApng(2, 2, [
+        { x: 0, y: 0, width: 2, height: 2, delayNum: 1, delayDen: 10, dispose: 2, blend: 0, rgba: solid(2, 2, BLUE) },
+        { x: 1, y: 1, width: 1, height: 1, delayNum: 1, delayDen: 10, dispose: 0, blend: 1, rgba: solid(1, 1, GREEN) }
+    ], { defaultImage: solid(2, 2, RED) });
+    const animation = png.decode(buffer);
+
+    assert.equal(animation.frames.length, 2);
+    assert.equal(png.probe(buffer).frames.length, 2);
+    // 'previous' on the first frame is handled as 'background'
+    assert.equal(animation.frames[0].dispose, 'background');
+    assert.deepEqual([...await animation.getFrameData(0)], [...solid(2, 2, BLUE)]);
+
+    const [first, second] = await composeAll(animation);
+    assert.deepEqual(pixel(first, 2, 0, 0), BLUE);
+    assert.deepEqual(pixel(second, 2, 0, 0), CLEAR);
+    assert.deepEqual(pixel(second, 2, 1, 1), GREEN);
+});
+
+test('a PNG without acTL is a single frame', async () => {
+    const image = new PNG({ width: 2, height: 1 });
+    image.data = Buffer.from([...RED, ...HALF_BLUE]);
+    const animation = png.decode(PNG.sync.write(image));
+
+    assert.equal(animation.frames.length, 1);
+    assert.deepEqual(animation.frames[0], { x: 0, y: 0, width: 2, height: 1, delay: 0, blend: false, dispose: 'none' });
+    assert.deepEqual([...await animation.getFrameData(0)], [...RED, ...HALF_BLUE]);
+});
+
+// Animated WebP of losslessly encoded frames. x and y are in pixels and
+// must be even, as the file stores them halved.
+async function buildWebP(width, height, frames, loops = 0) {
+    await WebP.Image.initLib();
+    const encoded = [];
+    for (const frame of frames) {
+        const img = await WebP.Image.getEmptyImage();
+        await img.setImageData(frame.rgba, { width: frame.width, height: frame.height, lossless: 9, exact: true });
+        encoded.push(await WebP.Image.generateFrame({ img, x: frame.x / 2, y: frame.y / 2, delay: frame.delay, blend: frame.blend, dispose: frame.dispose }));
+    }
+    return WebP.Image.save(null, { width, height, frames: encoded, loops });
+}
+
+test('WebP frames follow their blend and dispose flags', async () => {
+    const buffer = await buildWebP(4, 4, [
+        { x: 0, y: 0, width: 4, height: 4, rgba: solid(4, 4, RED), delay: 100, blend: false, dispose: false },
+        { x: 2, y: 2, width: 2, height: 2, rgba: solid(2, 2, HALF_BLUE), delay: 80, blend: true, dispose: false },
+        { x: 2, y: 2, width: 2, height: 1, rgba: Buffer.from([...GREEN, ...CLEAR]), delay: 60, blend: false, dispose: true },
+        { x: 0, y: 0, width: 1, height: 1, rgba: solid(1, 1, GREEN), delay: 40, blend: true, dispose: false }
+    ], 5);
+    const animation = await webp.decode(buffer);
+
+    assert.equal(animation.loops, 5);
+    assert.equal(animation.hasAlpha, true);
+    assert.deepEqual(animation.frames.map(({ x, y }) => [x, y]), [[0, 0], [2, 2], [2, 2], [0, 0]]);
+    assert.deepEqual(animation.frames.map((frame) => frame.blend), [false, true, false, true]);
+    assert.deepEqual(animation.frames.map((frame) => frame.dispose), ['none', 'none', 'background', 'none']);
+    assert.deepEqual(frameDelays(animation), [100, 80, 60, 40]);
+    assert.deepEqual(rectangles(webp.probe(buffer).frames), rectangles(animation.frames));
+
+    const [, second, third, fourth] = await composeAll(animation);
+    assert.deepEqual(pixel(second, 4, 2, 2), BLUE_OVER_RED);
+    assert.deepEqual(pixel(second, 4, 1, 1), RED);
+    // Without blending, the transparent pixel replaces the one below
+    assert.deepEqual(pixel(third, 4, 2, 2), GREEN);
+    assert.deepEqual(pixel(third, 4, 3, 2), CLEAR);
+    assert.deepEqual(pixel(third, 4, 3, 3), BLUE_OVER_RED);
+    // Frame 2 was disposed to the transparent background
+    assert.deepEqual(pixel(fourth, 4, 2, 2), CLEAR);
+    assert.deepEqual(pixel(fourth, 4, 3, 3), BLUE_OVER_RED);
+    assert.deepEqual(pixel(fourth, 4, 0, 0), GREEN);
+});
+
+test('WebP probe refuses truncated files', async () => {
+    const buffer = await buildWebP(2, 2, [
+        { x: 0, y: 0, width: 2, height: 2, rgba: solid(2, 2, RED), delay: 100, blend: false, dispose: false }
+    ]);
+    assert.equal(webp.probe(buffer).frames.length, 1);
+    assert.throws(() => webp.probe(buffer.subarray(0, buffer.length - 4)), /File is truncated/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const downloads = require('../lib/downloads');
+
+downloads.configure({ secret: 'test-secret', ttlMs: 60 * 1000 });
+
+// Split a link into the parts the /downloads route passes to verifyLink
+function parseLink(link) {
+    const url = new URL(link, 'http://localhost');
+    return {
+        key: decodeURIComponent(url.pathname.replace(/^\/downloads\//, '')),
+        expires: url.searchParams.get('expires'),
+        signature: url.searchParams.get('signature')
+    };
+}
+
+test('createLink signs the key and its expiry time', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const link = parseLink(downloads.createLink('job-1.mp4'));
+    assert.equal(link.key, 'job-1.mp4');
+    assert.ok(Number(link.expires) >= before + 59 && Number(link.expires) <= before + 61);
+    assert.match(link.signature, /^[0-9a-f]{64}$/);
+    assert.equal(downloads.verifyLink(link.key, link.expires, link.signature), null);
+});
+
+test('links never outlive notAfter', () => {
+    const notAfter = Date.now() + 10 * 1000;
+    const link = parseLink(downloads.createLink('job-1.mp4', notAfter));
+    assert.equal(Number(link.expires), Math.floor(notAfter / 1000));
+});
+
+test('verifyLink refuses links that were changed', () => {
+    const link = parseLink(downloads.createLink('job-1.mp4'));
+    const otherSignature = link.signature.replace(/^./, (c) => (c === '0' ? '1' : '0'));
+    assert.equal(downloads.verifyLink('job-2.mp4', link.expires, link.signature), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, String(Number(link.expires) + 3600), link.signature), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, link.expires, otherSignature), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, link.expires, link.signature.slice(1)), 'INVALID_DOWNLOAD_LINK');
+});
+
+test('verifyLink refuses malformed parameters', () => {
+    const link = parseLink(downloads.createLink('job-1.mp4'));
+    assert.equal(downloads.verifyLink(link.key, undefined, link.signature), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, `${link.expires}.0`, link.signature), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, link.expires, undefined), 'INVALID_DOWNLOAD_LINK');
+    assert.equal(downloads.verifyLink(link.key, link.expires, [link.signature]), 'INVALID_DOWNLOAD_LINK');
+});
+
+test('verifyLink refuses expired links', () => {
+    const link = parseLink(downloads.createLink('job-1.mp4', Date.now() - 2000));
+    assert.equal(downloads.verifyLink(link.key, link.expires, link.signature), 'DOWNLOAD_LINK_EXPIRED');
+});
+
+test('links are only valid with the secret they were signed with', () => {
+    const link = parseLink(downloads.createLink('job-1.mp4'));
+    downloads.configure({ secret: 'another-secret' });
+    try {
+        assert.equal(downloads.verifyLink(link.key, link.expires, link.signature), 'INVALID_DOWNLOAD_LINK');
+    } finally {
+        downloads.configure({ secret: 'test-secret' });
+    }
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_SEQUENCE_FRAMES, selectClip, buildSequence, isForwardOnly } = require('../lib/playback');
+
+test('selectClip keeps the whole animation without options', () => {
+    assert.deepEqual(selectClip([10, 20, 30]), { frames: [0, 1, 2], delays: [10, 20, 30] });
+});
+
+test('selectClip trims to a range of frames', () => {
+    const delays = [10, 20, 30, 40, 50];
+    assert.deepEqual(selectClip(delays, { startFrame: 1, endFrame: 3 }), { frames: [1, 2, 3], delays: [20, 30, 40] });
+    assert.deepEqual(selectClip(delays, { startFrame: 3, endFrame: 99 }), { frames: [3, 4], delays: [40, 50] });
+    assert.deepEqual(selectClip(delays, { endFrame: 0 }), { frames: [0], delays: [10] });
+    assert.throws(() => selectClip(delays, { startFrame: 5 }), /^Error: startFrame 5 is beyond the last frame \(4\)$/);
+});
+
+test('selectClip trims to a time window and cuts the frames at its edges', () => {
+    // Frames at 0-100, 100-200, 200-300
+    const delays = [100, 100, 100];
+    assert.deepEqual(selectClip(delays, { startTime: 50, endTime: 220 }), { frames: [0, 1, 2], delays: [50, 100, 20] });
+    assert.deepEqual(selectClip(delays, { startTime: 100, endTime: 200 }), { frames: [1], delays: [100] });
+    assert.deepEqual(selectClip(delays, { startTime: 250, endTime: 1000 }), { frames: [2], delays: [50] });
+    assert.throws(() => selectClip(delays, { startTime: 300 }), /beyond the end of the animation \(300ms\)/);
+    assert.throws(() => selectClip(delays, { startTime: 100, endTime: 100 }), /contains no frames/);
+});
+
+test('selectClip shows every step-th frame for the time of the frames it stands for', () => {
+    assert.deepEqual(selectClip([10, 20, 30, 40, 50], { step: 2 }), { frames: [0, 2, 4], delays: [30, 70, 50] });
+    assert.deepEqual(selectClip([10, 20, 30, 40, 50], { startFrame: 1, step: 3 }), { frames: [1, 4], delays: [90, 50] });
+});
+
+test('selectClip plays the selection backwards', () => {
+    assert.deepEqual(selectClip([10, 20, 30, 40], { reverse: true }), { frames: [3, 2, 1, 0], delays: [40, 30, 20, 10] });
+    // Trimming and stepping pick the frames before they are reversed
+    assert.deepEqual(selectClip([10, 20, 30, 40, 50], { startFrame: 1, step: 2, reverse: true }), { frames: [3, 1], delays: [90, 50] });
+});
+
+test('selectClip scales the delays by the speed without adding up rounding errors', () => {
+    assert.deepEqual(selectClip([100, 200], { speed: 2 }), { frames: [0, 1], delays: [50, 100] });
+    assert.deepEqual(selectClip([100, 100], { speed: 0.5 }), { frames: [0, 1], delays: [200, 200] });
+    // 10ms frames at 3x last 3.33ms each: the start times are rounded instead
+    const fast = selectClip([10, 10, 10], { speed: 3 });
+    assert.deepEqual(fast.delays, [3, 4, 3]);
+    // Frames shorter than 1ms are dropped
+    assert.deepEqual(selectClip([40, 1, 40], { speed: 4 }), { frames: [0, 2], delays: [10, 10] });
+});
+
+// A clip of the whole animation, as selectClip returns it without options
+const wholeClip = (delays) => ({ frames: delays.map((delay, i) => i), delays });
+
+test('buildSequence plays the clip once by default', () => {
+    assert.deepEqual(buildSequence(wholeClip([10, 20, 30]), 0), { frames: [0, 1, 2], delays: [10, 20, 30], plays: 1 });
+});
+
+test('buildSequence repeats the clip with its own delays', () => {
+    const clip = { frames: [2, 3], delays: [40, 60] };
+    assert.deepEqual(buildSequence(clip, 0, { plays: 3 }), {
+        frames: [2, 3, 2, 3, 2, 3],
+        delays: [40, 60, 40, 60, 40, 60],
+        plays: 3
+    });
+});
+
+test('buildSequence takes the play count of the source, once for endless loops', () => {
+    assert.equal(buildSequence(wholeClip([10, 10]), 4, { plays: 'source' }).plays, 4);
+    assert.equal(buildSequence(wholeClip([10, 10]), 0, { plays: 'source' }).plays, 1);
+});
+
+test('ping-pong runs backward without repeating the end frames', () => {
+    const sequence = buildSequence(wholeClip([10, 20, 30, 40]), 0, { pingPong: true, plays: 2 });
+    assert.deepEqual(sequence.frames, [0, 1, 2, 3, 2, 1, 0, 1, 2, 3, 2, 1]);
+    assert.deepEqual(sequence.delays, [10, 20, 30, 40, 30, 20, 10, 20, 30, 40, 30, 20]);
+    assert.equal(sequence.plays, 2);
+
+    // Two frames simply alternate, one frame stays still
+    assert.deepEqual(buildSequence(wholeClip([10, 20]), 0, { pingPong: true }).frames, [0, 1]);
+    assert.deepEqual(buildSequence(wholeClip([10]), 0, { pingPong: true, plays: 2 }).frames, [0, 0]);
+});
+
+test('minDuration repeats whole plays until the output is long enough', () => {
+    // Plays of 300ms: 1000ms needs 4 of them
+    assert.equal(buildSequence(wholeClip([100, 200]), 0, { minDuration: 1000 }).plays, 4);
+    assert.equal(buildSequence(wholeClip([100, 200]), 0, { minDuration: 900 }).plays, 3);
+    // A longer play count is kept
+    assert.equal(buildSequence(wholeClip([100, 200]), 0, { minDuration: 300, plays: 5 }).plays, 5);
+    // A ping-pong play lasts 100 + 200 + 300 + 200 = 800ms
+    const sequence = buildSequence(wholeClip([100, 200, 300]), 0, { minDuration: 1000, pingPong: true });
+    assert.equal(sequence.plays, 2);
+    assert.equal(sequence.delays.reduce((sum, delay) => sum + delay, 0), 1600);
+});
+
+test('buildSequence refuses sequences over MAX_SEQUENCE_FRAMES', () => {
+    const clip = wholeClip([10, 10]);
+    assert.equal(buildSequence(clip, 0, { plays: MAX_SEQUENCE_FRAMES / 2 }).frames.length, MAX_SEQUENCE_FRAMES);
+    assert.throws(() => buildSequence(clip, 0, { plays: MAX_SEQUENCE_FRAMES / 2 + 1 }), /would exceed 100000 frames/);
+    assert.throws(() => buildSequence(clip, 0, { minDuration: (MAX_SEQUENCE_FRAMES + 2) * 10 }), /would exceed/);
+});
+
+test('a reversed clip is repeated and ping-ponged like any other', () => {
+    const clip = selectClip([10, 20, 30], { reverse: true });
+    assert.deepEqual(buildSequence(clip, 0, { pingPong: true }).frames, [2, 1, 0, 1]);
+});
+
+test('isForwardOnly is true only for single forward plays', () => {
+    assert.equal(isForwardOnly(buildSequence({ frames: [1, 3, 4], delays: [10, 10, 10] }, 0)), true);
+    assert.equal(isForwardOnly(buildSequence(wholeClip([10, 10]), 0, { plays: 2 })), false);
+    assert.equal(isForwardOnly(buildSequence(wholeClip([10, 10, 10]), 0, { pingPong: true })), false);
+    assert.equal(isForwardOnly(buildSequence(selectClip([10, 10, 10], { reverse: true }), 0)), false);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GifWriter } = require('omggif');
+const ffmpegPath = require('ffmpeg-static');
+const preflight = require('../lib/preflight');
+const png = require('../lib/decoders/png');
+
+const { InputRejectedError } = preflight;
+const DEFAULTS = { maxCanvasPixels: 4096 * 4096, maxFrames: 2000, maxTotalPixels: 1000 * 1000 * 1000, maxDurationMs: 10 * 60 * 1000 };
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-test-'));
+let fileCounter = 0;
+
+test.afterEach(() => {
+    preflight.configure(DEFAULTS);
+});
+
+test.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function writeTempFile(extension, content) {
+    const filePath = path.join(tempDir, `input-${fileCounter++}${extension}`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+// Check for assert.throws and assert.rejects: an InputRejectedError with the
+// status and a matching message
+function isRejection(status, message) {
+    return (error) => {
+        assert.ok(error instanceof InputRejectedError);
+        assert.equal(error.status, status);
+        assert.match(error.message, message);
+        return true;
+    };
+}
+
+// GIF of frameCount 1x1 frames on a width x height canvas
+function buildGif(width, height, frameCount, delay = 10) {
+    const buffer = Buffer.alloc(1024 + frameCount * 64);
+    const writer = new GifWriter(buffer, width, height, { palette: [0x000000, 0xff0000] });
+    for (let i = 0; i < frameCount; i++) {
+        writer.addFrame(0, 0, 1, 1, [1], { delay });
+    }
+    return buffer.subarray(0, writer.end());
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    // probe does not check the CRC
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+// APNG headers only: IHDR, acTL and one fcTL per frame, with no image data
+// at all. Each frame covers the canvas and shows for delayMs.
+function buildApngHeaders(width, height, frameCount, delayMs) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 6;
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(frameCount, 0);
+    const frames = Array.from({ length: frameCount }, (_, index) => {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(index * 2, 0);
+        fctl.writeUInt32BE(width, 4);
+        fctl.writeUInt32BE(height, 8);
+        fctl.writeUInt16BE(delayMs, 20);
+        fctl.writeUInt16BE(1000, 22);
+        return pngChunk('fcTL', fctl);
+    });
+    return Buffer.concat([png.PNG_SIGNATURE, pngChunk('IHDR', ihdr), pngChunk('acTL', actl), ...frames, pngChunk('IEND', Buffer.alloc(0))]);
+}
+
+test('checkFile returns the header information of an acceptable input', () => {
+    const info = preflight.checkFile(writeTempFile('.gif', buildGif(4, 4, 3)));
+    assert.equal(info.format, 'gif');
+    assert.equal(info.width, 4);
+    assert.equal(info.height, 4);
+    assert.equal(info.frames.length, 3);
+});
+
+test('checkFile refuses a huge canvas from its header alone', () => {
+    // A file of under 200 bytes declaring 100000x100000 pixels
+    const filePath = writeTempFile('.png', buildApngHeaders(100000, 100000, 1, 100));
+    assert.ok(fs.statSync(filePath).size < 200);
+    assert.throws(() => preflight.checkFile(filePath), isRejection(413, /^The canvas is 100000x100000 \(10000000000 pixels\); at most 16777216 pixels are allowed\.$/));
+
+    preflight.configure({ maxCanvasPixels: 100 * 100 });
+    assert.throws(() => preflight.checkFile(writeTempFile('.gif', buildGif(200, 100, 1))), isRejection(413, /^The canvas is 200x100 \(20000 pixels\); at most 10000 pixels/));
+    preflight.checkFile(writeTempFile('.gif', buildGif(100, 100, 1)));
+});
+
+test('checkFile refuses too many frames', () => {
+    preflight.configure({ maxFrames: 5 });
+    assert.throws(() => preflight.checkFile(writeTempFile('.gif', buildGif(4, 4, 6))), isRejection(413, /^The animation has 6 frames; at most 5 are allowed\.$/));
+    assert.throws(() => preflight.checkFile(writeTempFile('.png', buildApngHeaders(4, 4, 6, 100))), isRejection(413, /6 frames/));
+    preflight.checkFile(writeTempFile('.gif', buildGif(4, 4, 5)));
+});
+
+test('checkFile refuses animations that decode to too many pixels', () => {
+    preflight.configure({ maxTotalPixels: 1000 });
+    assert.throws(() => preflight.checkFile(writeTempFile('.gif', buildGif(10, 10, 11))),
+        isRejection(413, /^The animation decodes to 1100 pixels \(11 frames of 10x10\); at most 1000 are allowed\.$/));
+    preflight.checkFile(writeTempFile('.gif', buildGif(10, 10, 10)));
+});
+
+test('checkFile refuses animations that play for too long', () => {
+    preflight.configure({ maxDurationMs: 1000 });
+    // GIF delays are in hundredths of a second
+    assert.throws(() => preflight.checkFile(writeTempFile('.gif', buildGif(4, 4, 3, 40))), isRejection(413, /^The animation plays for 1\.2s; at most 1s are allowed\.$/));
+    assert.throws(() => preflight.checkFile(writeTempFile('.png', buildApngHeaders(4, 4, 2, 600))), isRejection(413, /plays for 1\.2s/));
+    preflight.checkFile(writeTempFile('.gif', buildGif(4, 4, 2, 50)));
+});
+
+test('checkFile refuses malformed inputs with 400', () => {
+    assert.throws(() => preflight.checkFile(writeTempFile('.txt', 'not an image')), isRejection(400, /^Malformed image\. Unsupported input format\.$/));
+    const truncated = buildApngHeaders(4, 4, 1, 100).subarray(0, 45);
+    assert.throws(() => preflight.checkFile(writeTempFile('.png', truncated)), isRejection(400, /^Malformed image\. Chunk "acTL" at byte 33 extends past the end of the file\.$/));
+    assert.throws(() => preflight.checkFile(writeTempFile('.png', buildApngHeaders(4, 4, 0, 100))), isRejection(400, /contains no frames/));
+});
+
+// A 64x48 video of 2 seconds at 10 fps, made with the bundled ffmpeg
+let videoPath;
+
+test.before(() => {
+    videoPath = path.join(tempDir, 'video.mp4');
+    execFileSync(ffmpegPath, ['-v', 'error', '-f', 'lavfi', '-i', 'color=c=red:s=64x48:d=2:r=10', '-c:v', 'mpeg4', videoPath], { timeout: 60 * 1000 });
+});
+
+const VIDEO_OPTIONS = { fps: 10, maxDuration: 10, maxWidth: 0, maxHeight: 0 };
+
+test('checkVideoFile counts the frames the conversion keeps', async () => {
+    assert.deepEqual(await preflight.checkVideoFile(videoPath, VIDEO_OPTIONS), { width: 64, height: 48, frames: 20 });
+    // Only the first maxDuration seconds are converted
+    assert.deepEqual(await preflight.checkVideoFile(videoPath, Object.assign({}, VIDEO_OPTIONS, { fps: 5, maxDuration: 1 })), { width: 64, height: 48, frames: 5 });
+});
+
+test('checkVideoFile refuses a video frame over the canvas limit', async () => {
+    preflight.configure({ maxCanvasPixels: 64 * 47 });
+    await assert.rejects(preflight.checkVideoFile(videoPath, VIDEO_OPTIONS), isRejection(413, /^The video is 64x48 \(3072 pixels\); at most 3008 pixels are allowed\.$/));
+});
+
+test('checkVideoFile refuses conversions that keep too many frames', async () => {
+    preflight.configure({ maxFrames: 19 });
+    await assert.rejects(preflight.checkVideoFile(videoPath, VIDEO_OPTIONS), isRejection(413, /^The conversion keeps 20 frames \(2s at 10 fps\); at most 19 are allowed\.$/));
+    preflight.configure({ maxFrames: 20 });
+    await preflight.checkVideoFile(videoPath, VIDEO_OPTIONS);
+});
+
+test('checkVideoFile counts the total pixels at the output size', async () => {
+    preflight.configure({ maxTotalPixels: 20 * 32 * 24 });
+    await assert.rejects(preflight.checkVideoFile(videoPath, VIDEO_OPTIONS), isRejection(413, /^The conversion decodes to 61440 pixels \(20 frames of 64x48\); at most 15360 are allowed\.$/));
+    // Scaled down to fit 32x32, the frames are 32x24
+    assert.deepEqual(await preflight.checkVideoFile(videoPath, Object.assign({}, VIDEO_OPTIONS, { maxWidth: 32, maxHeight: 32 })), { width: 64, height: 48, frames: 20 });
+});
+
+test('checkVideoFile refuses conversions that play for too long', async () => {
+    preflight.configure({ maxDurationMs: 1500 });
+    await assert.rejects(preflight.checkVideoFile(videoPath, VIDEO_OPTIONS), isRejection(413, /^The conversion plays for 2s; at most 1\.5s are allowed\.$/));
+    await preflight.checkVideoFile(videoPath, Object.assign({}, VIDEO_OPTIONS, { maxDuration: 1.5 }));
+});
+
+test('checkVideoFile refuses files ffprobe cannot read with 400', async () => {
+    await assert.rejects(preflight.checkVideoFile(writeTempFile('.mp4', 'not a video'), VIDEO_OPTIONS), isRejection(400, /^Malformed video\. ffprobe could not read it\.$/));
+});
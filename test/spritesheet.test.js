@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PNG } = require('pngjs');
+const { writeSpriteSheet } = require('../lib/spritesheet');
+const { parseConversionOptions } = require('../lib/options');
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const GREY = [128, 128, 128, 255];
+const CLEAR = [0, 0, 0, 0];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spritesheet-test-'));
+let dirCounter = 0;
+
+test.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Write the frames as PNG files into a directory of their own, as ffmpeg
+// leaves them. Each frame is { width, height, color, rect: { x, y, w, h } }:
+// the rectangle (the whole frame if not given) in the colour on a
+// transparent background.
+function writeFrames(frames) {
+    const dir = path.join(tempDir, `frames-${dirCounter++}`);
+    fs.mkdirSync(dir);
+    return frames.map((frame, i) => {
+        const png = new PNG({ width: frame.width, height: frame.height });
+        const rect = frame.rect || { x: 0, y: 0, w: frame.width, h: frame.height };
+        for (let y = 0; y < frame.height; y++) {
+            for (let x = 0; x < frame.width; x++) {
+                const inside = x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + rect.h;
+                png.data.set(inside ? frame.color : CLEAR, (y * frame.width + x) * 4);
+            }
+        }
+        const file = path.join(dir, `frame_${i}.png`);
+        fs.writeFileSync(file, PNG.sync.write(png));
+        return file;
+    });
+}
+
+// Entries of a ZIP file by name, as Buffers (stored or deflated only)
+function readZip(zipPath) {
+    const buffer = fs.readFileSync(zipPath);
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function buildSheet(frames, durations, settings, loops = 0) {
+    const files = writeFrames(frames);
+    const outputPath = path.join(tempDir, `sheet-${dirCounter++}.zip`);
+    await writeSpriteSheet(files, durations, loops, settings, outputPath);
+    return readZip(outputPath);
+}
+
+function pixel(png, x, y) {
+    const p = (y * png.width + x) * 4;
+    return [...png.data.subarray(p, p + 4)];
+}
+
+const atlasOf = (entries, name) => JSON.parse(entries[name].toString());
+const opaque = (width, height, color) => ({ width, height, color });
+
+test('grid layout puts every frame in an equal cell, row by row', async () => {
+    const colors = [RED, GREEN, BLUE, WHITE, BLACK];
+    const entries = await buildSheet(colors.map((color) => opaque(8, 6, color)), [100, 100, 100, 100, 200], { padding: 1 }, 2);
+    assert.deepEqual(Object.keys(entries).sort(), ['sheet.json', 'sheet.png']);
+
+    // 5 frames make 3 columns, with 1px of padding around every cell
+    const atlas = atlasOf(entries, 'sheet.json');
+    assert.deepEqual(atlas.meta.size, { w: 28, h: 15 });
+    assert.equal(atlas.meta.image, 'sheet.png');
+    assert.equal(atlas.meta.loops, 2);
+    assert.equal(atlas.meta.related_multi_packs, undefined);
+    assert.deepEqual(Object.keys(atlas.frames), ['frame_0000.png', 'frame_0001.png', 'frame_0002.png', 'frame_0003.png', 'frame_0004.png']);
+    assert.deepEqual(Object.values(atlas.frames).map((frame) => frame.frame), [
+        { x: 1, y: 1, w: 8, h: 6 },
+        { x: 10, y: 1, w: 8, h: 6 },
+        { x: 19, y: 1, w: 8, h: 6 },
+        { x: 1, y: 8, w: 8, h: 6 },
+        { x: 10, y: 8, w: 8, h: 6 }
+    ]);
+    assert.deepEqual(atlas.frames['frame_0004.png'], {
+        frame: { x: 10, y: 8, w: 8, h: 6 },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: 8, h: 6 },
+        sourceSize: { w: 8, h: 6 },
+        duration: 200
+    });
+
+    const sheet = PNG.sync.read(entries['sheet.png']);
+    assert.deepEqual([sheet.width, sheet.height], [28, 15]);
+    Object.values(atlas.frames).forEach(({ frame }, i) => {
+        assert.deepEqual(pixel(sheet, frame.x, frame.y), colors[i]);
+        assert.deepEqual(pixel(sheet, frame.x + 7, frame.y + 5), colors[i]);
+    });
+    assert.deepEqual(pixel(sheet, 0, 0), CLEAR);
+    assert.deepEqual(pixel(sheet, 9, 1), CLEAR);
+});
+
+test('grid layout keeps the requested columns and stores repeated frames once', async () => {
+    const frames = [opaque(4, 4, RED), opaque(4, 4, GREEN), opaque(4, 4, RED), opaque(4, 4, BLUE)];
+    const entries = await buildSheet(frames, [50, 50, 50, 50], { columns: 1 });
+    const atlas = atlasOf(entries, 'sheet.json');
+    assert.deepEqual(atlas.meta.size, { w: 4, h: 12 });
+    assert.deepEqual(Object.values(atlas.frames).map((frame) => [frame.frame.x, frame.frame.y]), [[0, 0], [0, 4], [0, 0], [0, 8]]);
+});
+
+test('packed layout trims transparent borders and records the offsets', async () => {
+    const frames = [
+        { width: 10, height: 10, color: RED, rect: { x: 2, y: 3, w: 4, h: 5 } },
+        opaque(10, 10, GREEN),
+        { width: 10, height: 10, color: CLEAR }
+    ];
+    const entries = await buildSheet(frames, [100, 100, 100], { packing: 'packed' });
+    const atlas = atlasOf(entries, 'sheet.json');
+
+    const trimmed = atlas.frames['frame_0000.png'];
+    assert.equal(trimmed.trimmed, true);
+    assert.deepEqual(trimmed.spriteSourceSize, { x: 2, y: 3, w: 4, h: 5 });
+    assert.deepEqual(trimmed.sourceSize, { w: 10, h: 10 });
+    assert.deepEqual([trimmed.frame.w, trimmed.frame.h], [4, 5]);
+
+    const whole = atlas.frames['frame_0001.png'];
+    assert.equal(whole.trimmed, false);
+    assert.deepEqual(whole.spriteSourceSize, { x: 0, y: 0, w: 10, h: 10 });
+    assert.deepEqual(whole.frame, { x: 0, y: 0, w: 10, h: 10 });
+
+    // An empty frame keeps one pixel, like TexturePacker does
+    const empty = atlas.frames['frame_0002.png'];
+    assert.equal(empty.trimmed, true);
+    assert.deepEqual(empty.spriteSourceSize, { x: 0, y: 0, w: 1, h: 1 });
+
+    // Only the visible pixels are copied to the sheet
+    const sheet = PNG.sync.read(entries['sheet.png']);
+    assert.deepEqual(pixel(sheet, trimmed.frame.x, trimmed.frame.y), RED);
+    assert.deepEqual(pixel(sheet, trimmed.frame.x + 3, trimmed.frame.y + 4), RED);
+    assert.ok(sheet.width * sheet.height < 3 * 10 * 10);
+});
+
+test('grid layout continues on further sheets at maxSheetSize', async () => {
+    const colors = [RED, GREEN, BLUE, WHITE, BLACK, GREY];
+    const entries = await buildSheet(colors.map((color) => opaque(8, 8, color)), colors.map(() => 100), { maxSheetSize: 20 });
+    assert.deepEqual(Object.keys(entries).sort(), ['sheet-0.json', 'sheet-0.png', 'sheet-1.json', 'sheet-1.png']);
+
+    // 2x2 cells fit on a sheet of 20px
+    const first = atlasOf(entries, 'sheet-0.json');
+    const second = atlasOf(entries, 'sheet-1.json');
+    assert.deepEqual(Object.keys(first.frames), ['frame_0000.png', 'frame_0001.png', 'frame_0002.png', 'frame_0003.png']);
+    assert.deepEqual(Object.keys(second.frames), ['frame_0004.png', 'frame_0005.png']);
+    assert.deepEqual(first.meta.size, { w: 16, h: 16 });
+    assert.deepEqual(second.meta.size, { w: 16, h: 8 });
+    assert.deepEqual(first.meta.related_multi_packs, ['sheet-1.json']);
+    assert.deepEqual(second.meta.related_multi_packs, ['sheet-0.json']);
+    assert.equal(second.meta.image, 'sheet-1.png');
+    assert.deepEqual(second.frames['frame_0005.png'].frame, { x: 8, y: 0, w: 8, h: 8 });
+    assert.deepEqual(pixel(PNG.sync.read(entries['sheet-1.png']), 8, 0), GREY);
+});
+
+test('packed layout continues on further sheets at maxSheetSize', async () => {
+    const colors = [RED, GREEN, BLUE, WHITE, BLACK, GREY];
+    const entries = await buildSheet(colors.map((color) => opaque(8, 8, color)), colors.map(() => 100), { packing: 'packed', maxSheetSize: 20 });
+    const sheets = ['sheet-0.json', 'sheet-1.json'].map((name) => atlasOf(entries, name));
+    assert.deepEqual(sheets.map((atlas) => Object.keys(atlas.frames).length), [4, 2]);
+    sheets.forEach((atlas) => {
+        assert.ok(atlas.meta.size.w <= 20 && atlas.meta.size.h <= 20);
+    });
+});
+
+test('frames larger than maxSheetSize are refused', async () => {
+    await assert.rejects(buildSheet([opaque(24, 8, RED)], [100], { maxSheetSize: 16 }), /^Error: Frames of 24x8px do not fit on a sheet of 16px\.$/);
+    await assert.rejects(buildSheet([opaque(24, 8, RED)], [100], { packing: 'packed', maxSheetSize: 16 }), /do not fit on a sheet of 16px/);
+});
+
+test('the css atlas steps one element through a single grid sheet', async () => {
+    const entries = await buildSheet([opaque(4, 4, RED), opaque(4, 4, GREEN)], [100, 300], { atlas: 'css' });
+    assert.deepEqual(Object.keys(entries).sort(), ['sheet.css', 'sheet.png']);
+    const css = entries['sheet.css'].toString();
+    assert.match(css, /animation: sprite 0\.4s step-end infinite;/);
+    assert.match(css, /^ {4}0% \{ background-position: 0px 0px; \}$/m);
+    assert.match(css, /^ {4}25% \{ background-position: -4px 0px; \}$/m);
+
+    await assert.rejects(buildSheet([opaque(8, 8, RED), opaque(8, 8, GREEN)], [100, 100], { atlas: 'css', columns: 1, maxSheetSize: 8 }),
+        /The frames need 2 sheets, but the css atlas can only use one/);
+});
+
+test('the css atlas is refused with packed layout', () => {
+    assert.deepEqual(parseConversionOptions({ format: 'spritesheet', atlas: 'css', packing: 'packed' }), { error: 'The css atlas needs packing grid.' });
+    assert.equal(parseConversionOptions({ format: 'spritesheet', atlas: 'css' }).options.sheet.packing, 'grid');
+    assert.deepEqual(parseConversionOptions({ format: 'spritesheet', packing: 'packed', columns: '2' }), { error: 'columns can only be used with packing grid.' });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const WebP = require('node-webpmux');
+const { PNG } = require('pngjs');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { fitWithinFilter } = require('./lib/encoding');
+const { sendProgress, sendTimings, parseTimemark, trackCommand, superviseWorker } = require('./lib/worker-utils');
+const log = require('./lib/logger');
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Exit (killing ffmpeg) on timeout, cancellation or too much memory use
+superviseWorker();
+
+// Receive parameters from parent process (same as conversion-worker.js)
+const [inputPath, tempDir, outputPath, optionsJson] = process.argv.slice(2);
+
+if (!inputPath || !tempDir || !outputPath) {
+    log.error('Missing required arguments: inputPath, tempDir, outputPath');
+    process.exit(1);
+}
+
+// Conversion options (already validated by server.js)
+// fps: frames sampled per second of input
+// quality: 0-100, lossy quality or lossless effort
+// lossless: encode frames losslessly
+// loops: number of plays, 0 = forever
+// maxWidth/maxHeight: optional size limits
+// maxDuration: seconds of input to convert at most
+const options = Object.assign({ fps: 15, quality: 75, lossless: false, loops: 0, maxDuration: 30 }, optionsJson ? JSON.parse(optionsJson) : {});
+
+// libwebp lossless preset (0-9) used when lossless is set
+const LOSSLESS_LEVEL = 6;
+
+async function convert() {
+    const startedAt = Date.now();
+    try {
+        // Create temp directory for frames
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir);
+        }
+
+        await extractFrames();
+        const extractedAt = Date.now();
+
+        const files = fs.readdirSync(tempDir).filter((name) => /^frame_\d+\.png$/.test(name)).sort();
+        if (files.length === 0) {
+            throw new Error('No frames could be decoded from the input');
+        }
+
+        log.info(`Encoding ${files.length} frames as animated WebP...`);
+        await WebP.Image.initLib();
+
+        const frames = [];
+        let width = 0;
+        let height = 0;
+        for (let i = 0; i < files.length; i++) {
+            const png = PNG.sync.read(fs.readFileSync(path.join(tempDir, files[i])));
+            width = png.width;
+            height = png.height;
+
+            const img = await WebP.Image.getEmptyImage();
+            const result = await img.setImageData(png.data, {
+                width,
+                height,
+                quality: options.quality,
+                lossless: options.lossless ? LOSSLESS_LEVEL : 0
+            });
+            if (result !== WebP.encodeResults.SUCCESS) {
+                throw new Error(`WebP encoding failed for frame ${i + 1} (code ${result})`);
+            }
+
+            // Every frame covers the whole canvas, so it simply replaces the previous one
+            frames.push(await WebP.Image.generateFrame({ img, delay: frameDelay(i), blend: false, dispose: false }));
+
+            if (i % 10 === 0 || i === files.length - 1) {
+                const progress = ((i + 1) / files.length * 100).toFixed(0);
+                sendProgress('encoding', progress, `Encoding frame ${i + 1}/${files.length}`);
+            }
+        }
+
+        await WebP.Image.save(outputPath, { width, height, frames, loops: options.loops });
+        // Decoding the input with ffmpeg is this worker's composition phase
+        const timings = { composition: extractedAt - startedAt, encoding: Date.now() - extractedAt };
+        log.info('Conversion finished', { timings });
+        await sendTimings(timings);
+        process.exit(0);
+    } catch (error) {
+        log.error('Worker error', { error });
+        process.exit(1);
+    }
+}
+
+// Decode the input into PNG frames sampled at a constant frame rate
+function extractFrames() {
+    return new Promise((resolve, reject) => {
+        const filters = [];
+        if (options.maxWidth || options.maxHeight) {
+            filters.push(fitWithinFilter(options.maxWidth, options.maxHeight));
+        }
+
+        const outputOptions = ['-t', String(options.maxDuration), '-r', String(options.fps), '-pix_fmt', 'rgba'];
+        if (filters.length > 0) {
+            outputOptions.push('-vf', filters.join(','));
+        }
+
+        // Expected length of the decoded part, known once ffmpeg has read the input
+        let durationMs = options.maxDuration * 1000;
+
+        trackCommand(ffmpeg(inputPath))
+            .output(path.join(tempDir, 'frame_%05d.png'))
+            .outputOptions(outputOptions)
+            .on('start', (commandLine) => {
+                log.info('Spawned Ffmpeg with command: ' + commandLine);
+                sendProgress('extracting', 0, 'Decoding frames');
+            })
+            .on('codecData', (data) => {
+                const inputMs = parseTimemark(data.duration);
+                if (inputMs > 0) durationMs = Math.min(durationMs, inputMs);
+            })
+            .on('progress', (progress) => {
+                const decodedMs = parseTimemark(progress.timemark);
+                const value = Math.min(100, decodedMs / durationMs * 100).toFixed(0);
+                sendProgress('extracting', value, `Decoding frames (${progress.frames || 0} frames)`);
+            })
+            .on('end', () => resolve())
+            .on('error', (err, stdout, stderr) => {
+                log.error('FFmpeg failed', { stderr });
+                reject(err);
+            })
+            .run();
+    });
+}
+
+// Display duration (ms) of frame i. WebP delays are whole milliseconds, so
+// each delay is taken from the rounded timeline to avoid accumulating drift.
+function frameDelay(i) {
+    return Math.round((i + 1) * 1000 / options.fps) - Math.round(i * 1000 / options.fps);
+}
+
+convert();